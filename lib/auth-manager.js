@@ -13,12 +13,13 @@ export class AuthManager {
         setInterval(() => this.cleanupExpiredTempTokens(), 60 * 1000);
     }
 
-    async authenticateWithToken(bearerToken, sessionId) {
+    // options.tokenProvider: async () => bearer, for tokens that are renewed while the client lives
+    async authenticateWithToken(bearerToken, sessionId, options = {}) {
         try {
             // Import here to avoid circular dependency
             const { RezoomexApiClient } = await import('./rezoomex-client.js');
             
-            const client = new RezoomexApiClient(bearerToken, this.logger);
+            const client = new RezoomexApiClient(bearerToken, this.logger, { tokenProvider: options.tokenProvider });
             
             // Test authentication
             const isValid = await client.validateSession();
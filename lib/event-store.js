@@ -0,0 +1,76 @@
+// In-memory event store for resumable Streamable HTTP sessions. Every message sent on an SSE
+// stream is kept for a while, so a client that reconnects with Last-Event-ID receives what it
+// missed. Events expire after the retention window and each stream keeps a bounded backlog.
+
+export class MemoryEventStore {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.retention = options.retention ?? (parseInt(process.env.MCP_EVENT_RETENTION_MS) || 10 * 60 * 1000);
+        this.maxEventsPerStream = options.maxEventsPerStream ?? (parseInt(process.env.MCP_EVENT_MAX_PER_STREAM) || 500);
+        this.streams = new Map(); // streamId -> { events: [{ eventId, message, storedAt }], lastSeen }
+        this.sequence = 0;
+    }
+
+    async storeEvent(streamId, message) {
+        this.prune();
+
+        if (!this.streams.has(streamId)) {
+            this.streams.set(streamId, { events: [], lastSeen: Date.now() });
+        }
+
+        const stream = this.streams.get(streamId);
+        const eventId = `${streamId}::${++this.sequence}`;
+        stream.events.push({ eventId, message, storedAt: Date.now() });
+        stream.lastSeen = Date.now();
+
+        if (stream.events.length > this.maxEventsPerStream) {
+            stream.events.splice(0, stream.events.length - this.maxEventsPerStream);
+        }
+        return eventId;
+    }
+
+    async replayEventsAfter(lastEventId, { send }) {
+        const streamId = this.getStreamId(lastEventId);
+        const stream = streamId ? this.streams.get(streamId) : null;
+        if (!stream) {
+            this.logger.warn('Cannot resume stream: events expired or unknown', { lastEventId });
+            return '';
+        }
+
+        const index = stream.events.findIndex(event => event.eventId === lastEventId);
+        if (index === -1) {
+            this.logger.warn('Cannot resume stream: last event no longer retained', { lastEventId });
+            return '';
+        }
+
+        for (const event of stream.events.slice(index + 1)) {
+            await send(event.eventId, event.message);
+        }
+        stream.lastSeen = Date.now();
+        return streamId;
+    }
+
+    getStreamId(eventId) {
+        const separator = String(eventId || '').lastIndexOf('::');
+        return separator > 0 ? eventId.slice(0, separator) : null;
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retention;
+        for (const [streamId, stream] of this.streams) {
+            if (stream.lastSeen < cutoff) {
+                this.streams.delete(streamId);
+            } else if (stream.events.length > 0 && stream.events[0].storedAt < cutoff) {
+                stream.events = stream.events.filter(event => event.storedAt >= cutoff);
+            }
+        }
+    }
+
+    getStats() {
+        let events = 0;
+        for (const stream of this.streams.values()) {
+            events += stream.events.length;
+        }
+        return { streams: this.streams.size, events };
+    }
+}
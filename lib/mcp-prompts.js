@@ -0,0 +1,240 @@
+// Parameterized MCP prompts for common product-management workflows. Each prompt pulls live
+// project data through RezoomexApiClient and hands the assistant a ready-to-run request.
+
+import { TOOL_OUTPUTS, renderResult } from './tool-output.js';
+import { renderElevatorPitch } from './renderer.js';
+
+// Project data is embedded in the prompt text as Markdown
+const render = (output, result) => renderResult(output, result, 'markdown');
+
+export class PromptArgumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptArgumentError';
+        // JSON-RPC "invalid params"
+        this.code = -32602;
+    }
+}
+
+const projectArgument = { name: 'project_id', description: 'Project ID or name', required: true };
+const personaArgument = { name: 'persona_id', description: 'Persona ID or name', required: true };
+
+export class MCPPrompts {
+    constructor(logger = null) {
+        this.logger = logger;
+        this.prompts = new Map();
+        this.initializePrompts();
+    }
+
+    initializePrompts() {
+        const promptDefinitions = [
+            {
+                name: 'write_acceptance_criteria',
+                description: 'Write Given/When/Then acceptance criteria for a user story, building on any that already exist',
+                arguments: [
+                    projectArgument,
+                    personaArgument,
+                    { name: 'story_number', description: 'Story number (as shown by list_user_stories)', required: true }
+                ],
+                build: (client, args) => this.buildAcceptanceCriteriaPrompt(client, args)
+            },
+            {
+                name: 'generate_test_cases_from_journey',
+                description: "Generate test cases that walk through a persona's user journey, optionally focused on one story",
+                arguments: [
+                    projectArgument,
+                    personaArgument,
+                    { name: 'story_number', description: 'Story to focus the test cases on (optional)', required: false }
+                ],
+                build: (client, args) => this.buildJourneyTestCasesPrompt(client, args)
+            },
+            {
+                name: 'critique_elevator_pitch',
+                description: "Critique the project's elevator pitch against its vision statement and suggest a sharper version",
+                arguments: [projectArgument],
+                build: (client, args) => this.buildPitchCritiquePrompt(client, args)
+            },
+            {
+                name: 'draft_stories_from_jtbd',
+                description: "Draft new user stories from a persona's jobs to be done, skipping jobs existing stories already cover",
+                arguments: [
+                    projectArgument,
+                    personaArgument,
+                    { name: 'count', description: 'How many stories to draft (default 5)', required: false }
+                ],
+                build: (client, args) => this.buildStoriesFromJtbdPrompt(client, args)
+            }
+        ];
+
+        promptDefinitions.forEach(prompt => {
+            this.prompts.set(prompt.name, prompt);
+        });
+    }
+
+    getPromptDefinitions() {
+        return Array.from(this.prompts.values()).map(({ name, description, arguments: promptArguments }) => ({
+            name,
+            description,
+            arguments: promptArguments
+        }));
+    }
+
+    async getPrompt(name, args = {}, client) {
+        const prompt = this.prompts.get(name);
+        if (!prompt) {
+            throw new PromptArgumentError(`Unknown prompt: ${name}`);
+        }
+
+        const missing = prompt.arguments
+            .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+            .map(argument => argument.name);
+        if (missing.length > 0) {
+            throw new PromptArgumentError(`Missing required arguments for ${name}: ${missing.join(', ')}`);
+        }
+
+        if (!client) {
+            throw new Error('Client not authenticated. Please authenticate first.');
+        }
+
+        const text = await prompt.build(client, args);
+        return {
+            description: prompt.description,
+            messages: [{
+                role: 'user',
+                content: { type: 'text', text }
+            }]
+        };
+    }
+
+    async resolveScope(client, args) {
+        const projectId = await client.resolveProjectId(args.project_id);
+        const personaId = args.persona_id ? await client.resolvePersonaId(projectId, args.persona_id) : null;
+        return { projectId, personaId };
+    }
+
+    parseNumber(value, argumentName) {
+        const number = parseInt(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new PromptArgumentError(`${argumentName} must be a positive whole number`);
+        }
+        return number;
+    }
+
+    async buildAcceptanceCriteriaPrompt(client, args) {
+        const storyNumber = this.parseNumber(args.story_number, 'story_number');
+        const { projectId, personaId } = await this.resolveScope(client, args);
+        const [story, persona] = await Promise.all([
+            client.getSingleStoryDetails(projectId, personaId, storyNumber),
+            client.getPersonaProfile(projectId, personaId)
+        ]);
+
+        const existing = story.story.acceptanceCriteria.length;
+        return [
+            `Write acceptance criteria for user story #${storyNumber} of project ${projectId}.`,
+            '',
+            'Story:',
+            render(TOOL_OUTPUTS.storyDetails, story),
+            '',
+            'Persona the story is written for:',
+            render(TOOL_OUTPUTS.persona, persona),
+            '',
+            'Instructions:',
+            '- Use Given/When/Then form, one criterion per scenario.',
+            '- Cover the happy path, validation and error cases, and edge cases specific to this persona.',
+            existing > 0
+                ? `- The story already has ${existing} acceptance criteria (listed above); only add what they miss.`
+                : '- The story has no acceptance criteria yet.',
+            `- When done, offer to save each criterion with add_acceptance_criterion (project_id ${projectId}, persona_id ${personaId}, story_number ${storyNumber}).`
+        ].join('\n');
+    }
+
+    async buildJourneyTestCasesPrompt(client, args) {
+        const { projectId, personaId } = await this.resolveScope(client, args);
+        const storyNumber = args.story_number ? this.parseNumber(args.story_number, 'story_number') : null;
+        const [journey, persona, story] = await Promise.all([
+            client.getUserJourney(projectId, personaId),
+            client.getPersonaProfile(projectId, personaId),
+            storyNumber ? client.getSingleStoryDetails(projectId, personaId, storyNumber) : null
+        ]);
+
+        const lines = [
+            `Generate test cases from the user journey of persona ${personaId} in project ${projectId}.`,
+            '',
+            'Persona:',
+            render(TOOL_OUTPUTS.persona, persona),
+            '',
+            'User journey:',
+            render(TOOL_OUTPUTS.journey, journey)
+        ];
+
+        if (story) {
+            lines.push('', `Focus on the journey steps that user story #${storyNumber} touches:`, render(TOOL_OUTPUTS.storyDetails, story));
+        }
+
+        lines.push(
+            '',
+            'Instructions:',
+            '- Write end-to-end test cases that follow the journey in order, with preconditions, steps and expected results.',
+            '- Add negative cases for the pain points and emotional low points in the journey.',
+            '- Reference the journey event each test case exercises.'
+        );
+        if (story) {
+            lines.push(`- When done, offer to save them with add_test_case (story_number ${storyNumber}).`);
+        }
+        return lines.join('\n');
+    }
+
+    async buildPitchCritiquePrompt(client, args) {
+        const { projectId } = await this.resolveScope(client, args);
+        const [pitchPayload, visionPayload] = await Promise.all([
+            client.getElevatorPitch(projectId).catch(() => null),
+            client.getVisionStatement(projectId).catch(() => null)
+        ]);
+
+        const pitch = client.firstResource(pitchPayload)?.properties;
+        const vision = client.firstResource(visionPayload)?.properties?.content;
+        if (!pitch) {
+            throw new PromptArgumentError(`Project ${projectId} has no elevator pitch to critique yet`);
+        }
+
+        return [
+            `Critique the elevator pitch of project ${projectId} against its vision statement.`,
+            '',
+            'Elevator pitch:',
+            renderElevatorPitch(pitch),
+            '',
+            'Vision statement:',
+            vision || '(no vision statement has been written yet)',
+            '',
+            'Instructions:',
+            '- Check that the target customer, need, category, key benefit and differentiator are specific and consistent with the vision.',
+            '- Point out vague wording, claims the vision does not support, and anything the vision emphasises that the pitch leaves out.',
+            '- Propose a revised pitch as values for FOR, WHO, THE, IS_A, THAT, UNLIKE and OUR_PRODUCT.',
+            `- Offer to save it with update_elevator_pitch (project_id ${projectId}), previewing with dry_run first.`
+        ].join('\n');
+    }
+
+    async buildStoriesFromJtbdPrompt(client, args) {
+        const count = args.count ? this.parseNumber(args.count, 'count') : 5;
+        const { projectId, personaId } = await this.resolveScope(client, args);
+        const [jobs, stories] = await Promise.all([
+            client.getJobsToBeDone(projectId, personaId),
+            client.getUserStories(projectId, personaId)
+        ]);
+
+        return [
+            `Draft ${count} new user stories for persona ${personaId} in project ${projectId} from their jobs to be done.`,
+            '',
+            'Jobs to be done:',
+            render(TOOL_OUTPUTS.jobs, jobs),
+            '',
+            'Existing user stories:',
+            render(TOOL_OUTPUTS.storyList, stories),
+            '',
+            'Instructions:',
+            '- Use the form "As a <persona>, I want <capability> so that <outcome>".',
+            '- Prefer jobs that no existing story covers, and name the job each story serves.',
+            `- Offer to save them with create_user_story (project_id ${projectId}, persona_id ${personaId}).`
+        ].join('\n');
+    }
+}
@@ -0,0 +1,169 @@
+// Publishes Rezoomex projects, personas, stories, journeys and JTBD as MCP resources, so
+// clients can attach them to a conversation by URI, e.g.
+// rezoomex://project/39SQ/persona/39SQ-P-003/story/5
+
+import { TOOL_OUTPUTS } from './tool-output.js';
+
+const URI_SCHEME = 'rezoomex://';
+// Every resource is read as the trimmed (standard) JSON of its output shape
+const RESOURCE_MIME_TYPE = 'application/json';
+
+// Each template maps a URI pattern to the client call that reads it and the output shape that
+// trims it
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'rezoomex://project/{projectId}',
+        name: 'Project overview',
+        description: 'Project details, elevator pitch, vision statement and personas',
+        pattern: /^project\/([^/]+)$/,
+        read: (client, [projectId]) => client.getProjectOverview(projectId),
+        output: TOOL_OUTPUTS.projectOverview
+    },
+    {
+        uriTemplate: 'rezoomex://project/{projectId}/persona/{personaId}',
+        name: 'Persona profile',
+        description: 'Demographics, background, traits and motivations of a persona',
+        pattern: /^project\/([^/]+)\/persona\/([^/]+)$/,
+        read: (client, [projectId, personaId]) => client.getPersonaProfile(projectId, personaId),
+        output: TOOL_OUTPUTS.persona
+    },
+    {
+        uriTemplate: 'rezoomex://project/{projectId}/persona/{personaId}/stories',
+        name: 'User stories',
+        description: 'All user stories of a persona with their story numbers',
+        pattern: /^project\/([^/]+)\/persona\/([^/]+)\/stories$/,
+        read: (client, [projectId, personaId]) => client.getUserStories(projectId, personaId),
+        output: TOOL_OUTPUTS.storyList
+    },
+    {
+        uriTemplate: 'rezoomex://project/{projectId}/persona/{personaId}/story/{storyNumber}',
+        name: 'User story',
+        description: 'A single user story with acceptance criteria, test cases and test data (number or story ID)',
+        pattern: /^project\/([^/]+)\/persona\/([^/]+)\/story\/([^/]+)$/,
+        read: (client, [projectId, personaId, story]) => /^\d+$/.test(story)
+            ? client.getSingleStoryDetails(projectId, personaId, parseInt(story))
+            : client.getSingleStoryDetails(projectId, personaId, null, story),
+        output: TOOL_OUTPUTS.storyDetails
+    },
+    {
+        uriTemplate: 'rezoomex://project/{projectId}/persona/{personaId}/journey',
+        name: 'User journey',
+        description: 'Journey events of a persona in order',
+        pattern: /^project\/([^/]+)\/persona\/([^/]+)\/journey$/,
+        read: (client, [projectId, personaId]) => client.getUserJourney(projectId, personaId),
+        output: TOOL_OUTPUTS.journey
+    },
+    {
+        uriTemplate: 'rezoomex://project/{projectId}/persona/{personaId}/jtbd',
+        name: 'Jobs to be done',
+        description: 'Functional, emotional and social jobs of a persona',
+        pattern: /^project\/([^/]+)\/persona\/([^/]+)\/jtbd$/,
+        read: (client, [projectId, personaId]) => client.getJobsToBeDone(projectId, personaId),
+        output: TOOL_OUTPUTS.jobs
+    }
+];
+
+// Resources listed for every persona; single stories are reachable through the template
+const PERSONA_RESOURCES = [
+    { path: '', name: persona => `${persona.name} (persona)` },
+    { path: '/stories', name: persona => `${persona.name}: user stories` },
+    { path: '/journey', name: persona => `${persona.name}: user journey` },
+    { path: '/jtbd', name: persona => `${persona.name}: jobs to be done` }
+];
+
+export class ResourceNotFoundError extends Error {
+    constructor(uri) {
+        super(`Unknown resource URI: ${uri}. Use resources/templates/list to see the supported patterns.`);
+        this.name = 'ResourceNotFoundError';
+        // JSON-RPC code the MCP spec reserves for a missing resource
+        this.code = -32002;
+        this.uri = uri;
+    }
+}
+
+export class MCPResources {
+    constructor(logger = null) {
+        this.logger = logger;
+    }
+
+    getResourceTemplates() {
+        return RESOURCE_TEMPLATES.map(({ uriTemplate, name, description }) => ({
+            uriTemplate,
+            name,
+            description,
+            mimeType: RESOURCE_MIME_TYPE
+        }));
+    }
+
+    async listResources(client) {
+        if (!client) {
+            throw new Error('Client not authenticated. Please authenticate first.');
+        }
+
+        let projects = [];
+        try {
+            projects = (await client.getAllProjects()).projects;
+        } catch (error) {
+            // A user with no accessible projects simply has no resources
+            this.logger?.warn('No projects available for resource listing', { error: error.message });
+            return [];
+        }
+
+        const personaLists = await Promise.allSettled(projects.map(project => client.listPersonas(project.id)));
+
+        const resources = [];
+        projects.forEach((project, index) => {
+            const projectUri = `${URI_SCHEME}project/${project.id}`;
+            resources.push({
+                uri: projectUri,
+                name: `${project.name || project.id} (project)`,
+                description: project.description || undefined,
+                mimeType: RESOURCE_MIME_TYPE
+            });
+
+            const personas = personaLists[index].status === 'fulfilled' ? personaLists[index].value : [];
+            for (const persona of personas) {
+                for (const entry of PERSONA_RESOURCES) {
+                    resources.push({
+                        uri: `${projectUri}/persona/${persona.id}${entry.path}`,
+                        name: entry.name({ ...persona, name: persona.name || persona.id }),
+                        mimeType: RESOURCE_MIME_TYPE
+                    });
+                }
+            }
+        });
+
+        return resources;
+    }
+
+    async readResource(uri, client) {
+        if (!client) {
+            throw new Error('Client not authenticated. Please authenticate first.');
+        }
+
+        const { template, params } = this.matchUri(uri);
+        const result = await template.read(client, params);
+
+        // The same trimmed fields tools return as structuredContent, never the raw upstream payload
+        return {
+            contents: [
+                { uri, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(template.output.standard(result), null, 2) }
+            ]
+        };
+    }
+
+    matchUri(uri) {
+        if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+            throw new ResourceNotFoundError(uri);
+        }
+
+        const path = uri.slice(URI_SCHEME.length).replace(/\/+$/, '');
+        for (const template of RESOURCE_TEMPLATES) {
+            const match = path.match(template.pattern);
+            if (match) {
+                return { template, params: match.slice(1).map(decodeURIComponent) };
+            }
+        }
+        throw new ResourceNotFoundError(uri);
+    }
+}
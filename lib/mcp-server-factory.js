@@ -0,0 +1,112 @@
+// Builds an MCP Server with the Rezoomex tools, resources and prompts registered. Transports
+// differ only in how they obtain an authenticated RezoomexApiClient, which they pass in as
+// getClient: the OAuth server resolves it from the session's bearer token, the stdio server
+// from a locally configured token.
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+    ListToolsRequestSchema,
+    CallToolRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    ListPromptsRequestSchema,
+    GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { MCPTools } from './mcp-tools.js';
+import { MCPResources } from './mcp-resources.js';
+import { MCPPrompts } from './mcp-prompts.js';
+
+export function createMcpServer({ logger, getClient }) {
+    const server = new Server(
+        {
+            name: "rzmx",
+            version: "1.0.0",
+        },
+        {
+            capabilities: {
+                tools: {},
+                resources: {},
+                prompts: {}
+            },
+        }
+    );
+
+    const mcpTools = new MCPTools();
+
+    // List tools
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+        // Authentication happens before the session starts, so the authenticate tool is never offered
+        const availableTools = mcpTools.getToolDefinitions().filter(tool => tool.name !== 'authenticate');
+
+        return {
+            tools: availableTools
+        };
+    });
+
+    const mcpResources = new MCPResources(logger);
+
+    // Resource URI patterns need no upstream access, so they are served without a client
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+        resourceTemplates: mcpResources.getResourceTemplates()
+    }));
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+        resources: await mcpResources.listResources(await getClient())
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+        try {
+            return await mcpResources.readResource(request.params.uri, await getClient());
+        } catch (error) {
+            logger.error('Resource read error', { uri: request.params.uri, error: error.message });
+            throw error;
+        }
+    });
+
+    const mcpPrompts = new MCPPrompts(logger);
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+        prompts: mcpPrompts.getPromptDefinitions()
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+        const { name, arguments: args } = request.params;
+        try {
+            return await mcpPrompts.getPrompt(name, args || {}, await getClient());
+        } catch (error) {
+            logger.error('Prompt error', { prompt: name, error: error.message });
+            throw error;
+        }
+    });
+
+    // Handle tool calls
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        const { name, arguments: args } = request.params;
+
+        // Report the tool's progress stages when the client asked for progress updates
+        const progressToken = request.params._meta?.progressToken;
+        const onProgress = progressToken === undefined ? undefined : ({ message, progress, total }) => {
+            extra.sendNotification({
+                method: 'notifications/progress',
+                params: { progressToken, progress, total, message }
+            }).catch(error => logger.warn('Failed to send progress notification', { tool: name, error: error.message }));
+        };
+
+        try {
+            if (name === 'authenticate') {
+                throw new Error('Authentication is handled outside MCP (OAuth2 flow or configured token)');
+            }
+
+            const client = await getClient();
+            const result = await mcpTools.callTool(name, args || {}, client, { onProgress });
+
+            return mcpTools.formatToolResult(name, result, args);
+        } catch (error) {
+            logger.error('Tool call error', { tool: name, error: error.message });
+            throw error;
+        }
+    });
+
+    return { server };
+}
@@ -1,10 +1,127 @@
+import { AmbiguousMatchError } from './name-matcher.js';
+import { ToolRegistry } from './tool-registry.js';
+import { TOOL_OUTPUTS, storyChildListOutput, storyChildWriteOutput } from './tool-output.js';
+
+// Standalone tools for the child collections of a user story. Each entry expands
+// into list/add/update/remove tools that share the same addressing arguments.
+const STORY_CHILD_TOOLS = [
+    {
+        collection: 'acceptance_criteria',
+        titleField: 'title',
+        label: 'acceptance criterion',
+        pluralLabel: 'acceptance criteria',
+        names: {
+            list: 'list_acceptance_criteria',
+            add: 'add_acceptance_criterion',
+            update: 'update_acceptance_criterion',
+            remove: 'remove_acceptance_criterion'
+        }
+    },
+    {
+        collection: 'test_case',
+        titleField: 'title',
+        label: 'test case',
+        pluralLabel: 'test cases',
+        names: {
+            list: 'list_test_cases',
+            add: 'add_test_case',
+            update: 'update_test_case',
+            remove: 'remove_test_case'
+        }
+    },
+    {
+        collection: 'test_data',
+        titleField: 'name',
+        label: 'test data item',
+        pluralLabel: 'test data',
+        names: {
+            list: 'list_test_data',
+            add: 'add_test_data',
+            update: 'update_test_data',
+            remove: 'remove_test_data'
+        }
+    }
+];
+
+// Persona fields shared by create_persona and update_persona, in client field names
+function getPersonaFields(args) {
+    return {
+        name: args.name,
+        role: args.role,
+        age: args.age,
+        gender: args.gender,
+        occupation: args.occupation,
+        location: args.location,
+        education: args.education,
+        experience: args.experience,
+        background: args.background,
+        keyTraits: args.key_traits,
+        motivations: args.motivations,
+        properties: args.properties
+    };
+}
+
+// Schema fragment for tools addressed by either of two fields, e.g. story_number or story_id
+function exactlyOneOf(...fields) {
+    return { oneOf: fields.map(field => ({ required: [field] })) };
+}
+
+function getPageOptions(args) {
+    return {
+        cursor: args.cursor,
+        pageSize: args.page_size
+    };
+}
+
 export class MCPTools {
     constructor() {
-        this.tools = new Map();
+        this.registry = new ToolRegistry();
         this.initializeTools();
     }
 
     initializeTools() {
+        // Persona fields shared by create_persona and update_persona (mirrors the persona profile layout)
+        const personaFieldProperties = {
+            name: { type: "string", description: "Persona name" },
+            role: { type: "string", description: "Role or job title" },
+            age: { type: "string", description: "Age or age range (e.g., 32 or 25-34)" },
+            gender: { type: "string", description: "Gender" },
+            occupation: { type: "string", description: "Occupation" },
+            location: { type: "string", description: "Location" },
+            education: { type: "string", description: "Education background" },
+            experience: { type: "string", description: "Professional experience" },
+            background: { type: "string", description: "Narrative background" },
+            key_traits: {
+                type: "array",
+                items: { type: "string" },
+                description: "Key personality traits"
+            },
+            motivations: {
+                type: "array",
+                items: { type: "string" },
+                description: "Goals and motivations"
+            },
+            properties: {
+                type: "object",
+                description: "Additional persona properties to store as-is"
+            }
+        };
+
+        // Optional incremental paging for list tools; without them the whole list is walked
+        const paginationProperties = {
+            cursor: {
+                type: "string",
+                description: "Opaque cursor from a previous call's nextCursor to fetch the next page",
+                pattern: "^[A-Za-z0-9_-]+$"
+            },
+            page_size: {
+                type: "integer",
+                description: "Return a single page of this many items instead of the full list",
+                minimum: 1,
+                maximum: 500
+            }
+        };
+
         const toolDefinitions = [
             {
                 name: "list_user_stories",
@@ -19,10 +136,16 @@ export class MCPTools {
                         persona_id: { 
                             type: "string", 
                             description: "Persona ID (required)" 
-                        }
+                        },
+                        ...paginationProperties
                     },
                     required: ["project_id", "persona_id"]
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.storyList,
+                progress: ["Fetching user stories..."],
+                handler: (args, client) => client.getUserStories(args.project_id, args.persona_id, getPageOptions(args))
             },
             {
                 name: "get_story_range",
@@ -50,7 +173,17 @@ export class MCPTools {
                         }
                     },
                     required: ["start_number", "end_number", "project_id", "persona_id"]
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.storyRange,
+                progress: ["Fetching story range..."],
+                handler: (args, client) => client.getStoryRange(
+                    args.project_id,
+                    args.persona_id,
+                    args.start_number,
+                    args.end_number
+                )
             },
             {
                 name: "get_single_story_details",
@@ -76,7 +209,159 @@ export class MCPTools {
                             description: "Persona ID (required)" 
                         }
                     },
-                    required: ["project_id", "persona_id"]
+                    required: ["project_id", "persona_id"],
+                    ...exactlyOneOf("story_number", "story_id")
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.storyDetails,
+                progress: ["Fetching story details..."],
+                handler: (args, client) => client.getSingleStoryDetails(
+                    args.project_id,
+                    args.persona_id,
+                    args.story_number,
+                    args.story_id
+                )
+            },
+            {
+                name: "create_user_story",
+                description: "Create a new user story for a project and persona",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        title: {
+                            type: "string",
+                            description: "Story title / goal (required)"
+                        },
+                        description: {
+                            type: "string",
+                            description: "Story description"
+                        },
+                        properties: {
+                            type: "object",
+                            description: "Additional story properties to store as-is"
+                        }
+                    },
+                    required: ["project_id", "persona_id", "title"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.storyWrite,
+                progress: ["Creating user story..."],
+                handler: (args, client) => client.createUserStory(args.project_id, args.persona_id, {
+                    title: args.title,
+                    description: args.description,
+                    properties: args.properties
+                })
+            },
+            {
+                name: "update_user_story",
+                description: "Update an existing user story by number or ID; omitted fields are left unchanged",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        story_number: {
+                            type: "integer",
+                            description: "Story number (1-based)",
+                            minimum: 1
+                        },
+                        story_id: {
+                            type: "string",
+                            description: "Story ID (e.g., PROJECT-P-XXX-XXX)"
+                        },
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        title: {
+                            type: "string",
+                            description: "New story title / goal"
+                        },
+                        description: {
+                            type: "string",
+                            description: "New story description"
+                        },
+                        properties: {
+                            type: "object",
+                            description: "Additional story properties to merge into the story"
+                        }
+                    },
+                    required: ["project_id", "persona_id"],
+                    ...exactlyOneOf("story_number", "story_id")
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.storyWrite,
+                progress: ["Resolving story...", "Updating user story..."],
+                handler: async (args, client, { advance }) => {
+                    const storyId = await client.resolveStoryId(
+                        args.project_id,
+                        args.persona_id,
+                        args.story_number,
+                        args.story_id
+                    );
+                    advance();
+                    return await client.updateUserStory(args.project_id, args.persona_id, storyId, {
+                        title: args.title,
+                        description: args.description,
+                        properties: args.properties
+                    });
+                }
+            },
+            {
+                name: "delete_user_story",
+                description: "Delete a user story by number or ID. Destructive: requires confirm=true",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        story_number: {
+                            type: "integer",
+                            description: "Story number (1-based)",
+                            minimum: 1
+                        },
+                        story_id: {
+                            type: "string",
+                            description: "Story ID (e.g., PROJECT-P-XXX-XXX)"
+                        },
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        confirm: {
+                            type: "boolean",
+                            description: "Must be true to confirm the deletion"
+                        }
+                    },
+                    required: ["project_id", "persona_id", "confirm"],
+                    ...exactlyOneOf("story_number", "story_id")
+                },
+                category: "authoring",
+                destructive: true,
+                output: TOOL_OUTPUTS.storyWrite,
+                progress: ["Resolving story...", "Deleting user story..."],
+                handler: async (args, client, { advance }) => {
+                    const storyId = await client.resolveStoryId(
+                        args.project_id,
+                        args.persona_id,
+                        args.story_number,
+                        args.story_id
+                    );
+                    advance();
+                    return await client.deleteUserStory(args.project_id, args.persona_id, storyId);
                 }
             },
             {
@@ -91,7 +376,98 @@ export class MCPTools {
                         }
                     },
                     required: ["project_id"]
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectOverview,
+                progress: ["Fetching project overview..."],
+                handler: (args, client) => client.getProjectOverview(args.project_id)
+            },
+            {
+                name: "update_elevator_pitch",
+                description: "Save the project elevator pitch from its structured fields. All fields are required; use dry_run to preview the rendered pitch first",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        for: {
+                            type: "string",
+                            description: "FOR: the target customer"
+                        },
+                        who: {
+                            type: "string",
+                            description: "WHO: the customer's need or opportunity"
+                        },
+                        the: {
+                            type: "string",
+                            description: "THE: the product name"
+                        },
+                        is_a: {
+                            type: "string",
+                            description: "IS_A: the product category"
+                        },
+                        that: {
+                            type: "string",
+                            description: "THAT: the key benefit or reason to buy"
+                        },
+                        unlike: {
+                            type: "string",
+                            description: "UNLIKE: the primary competitive alternative"
+                        },
+                        our_product: {
+                            type: "string",
+                            description: "OUR_PRODUCT: the primary differentiation"
+                        },
+                        dry_run: {
+                            type: "boolean",
+                            description: "Validate and render the pitch without saving it"
+                        }
+                    },
+                    required: ["project_id", "for", "who", "the", "is_a", "that", "unlike", "our_product"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.elevatorPitchWrite,
+                progress: [args => args.dry_run === true ? "Previewing elevator pitch..." : "Saving elevator pitch..."],
+                handler: (args, client) => client.updateElevatorPitch(args.project_id, {
+                    FOR: args.for,
+                    THE: args.the,
+                    WHO: args.who,
+                    IS_A: args.is_a,
+                    THAT: args.that,
+                    UNLIKE: args.unlike,
+                    OUR_PRODUCT: args.our_product
+                }, { dryRun: args.dry_run === true })
+            },
+            {
+                name: "update_vision_statement",
+                description: "Save the project vision statement; use dry_run to preview without saving",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        content: {
+                            type: "string",
+                            description: "Vision statement text (required)"
+                        },
+                        dry_run: {
+                            type: "boolean",
+                            description: "Validate and render the statement without saving it"
+                        }
+                    },
+                    required: ["project_id", "content"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.visionStatementWrite,
+                progress: [args => args.dry_run === true ? "Previewing vision statement..." : "Saving vision statement..."],
+                handler: (args, client) => client.updateVisionStatement(args.project_id, {
+                    content: args.content
+                }, { dryRun: args.dry_run === true })
             },
             {
                 name: "get_persona_profile",
@@ -109,6 +485,57 @@ export class MCPTools {
                         }
                     },
                     required: ["project_id", "persona_id"]
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.persona,
+                progress: ["Fetching persona profile..."],
+                handler: (args, client) => client.getPersonaProfile(args.project_id, args.persona_id)
+            },
+            {
+                name: "create_persona",
+                description: "Create a new persona in a project with demographics, background, traits and motivations",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        ...personaFieldProperties
+                    },
+                    required: ["project_id", "name"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.persona,
+                progress: ["Creating persona..."],
+                handler: (args, client) => client.createPersona(args.project_id, getPersonaFields(args))
+            },
+            {
+                name: "update_persona",
+                description: "Update a persona; only the fields provided are changed, all other properties are kept",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID or name (required)"
+                        },
+                        ...personaFieldProperties
+                    },
+                    required: ["project_id", "persona_id"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.persona,
+                progress: ["Resolving persona...", "Updating persona..."],
+                handler: async (args, client, { advance }) => {
+                    const personaId = await client.resolvePersonaId(args.project_id, args.persona_id);
+                    advance();
+                    return await client.updatePersona(args.project_id, personaId, getPersonaFields(args));
                 }
             },
             {
@@ -124,10 +551,16 @@ export class MCPTools {
                         persona_id: { 
                             type: "string", 
                             description: "Persona ID (required)" 
-                        }
+                        },
+                        ...paginationProperties
                     },
                     required: ["project_id", "persona_id"]
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.journey,
+                progress: ["Fetching user journey..."],
+                handler: (args, client) => client.getUserJourney(args.project_id, args.persona_id, getPageOptions(args))
             },
             {
                 name: "get_jobs_to_be_done",
@@ -142,11 +575,204 @@ export class MCPTools {
                         persona_id: { 
                             type: "string", 
                             description: "Persona ID (required)" 
-                        }
+                        },
+                        ...paginationProperties
                     },
                     required: ["project_id", "persona_id"]
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.jobs,
+                progress: ["Fetching jobs to be done..."],
+                handler: (args, client) => client.getJobsToBeDone(args.project_id, args.persona_id, getPageOptions(args))
+            },
+            {
+                name: "add_journey_event",
+                description: "Add an event to a persona's user journey, optionally at a given position",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        name: {
+                            type: "string",
+                            description: "Event name (required)"
+                        },
+                        description: { type: "string", description: "What happens in this step" },
+                        trigger: { type: "string", description: "What triggers the event" },
+                        actions: { type: "string", description: "Actions the persona takes" },
+                        emotions: { type: "string", description: "How the persona feels" },
+                        pain_points: { type: "string", description: "Pain points in this step" },
+                        touchpoints: { type: "string", description: "Touchpoints involved" },
+                        opportunities: { type: "string", description: "Improvement opportunities" },
+                        position: {
+                            type: "integer",
+                            description: "1-based position in the journey (defaults to the end)",
+                            minimum: 1
+                        }
+                    },
+                    required: ["project_id", "persona_id", "name"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.journeyWrite,
+                progress: ["Adding journey event..."],
+                handler: (args, client) => client.addJourneyEvent(args.project_id, args.persona_id, {
+                    name: args.name,
+                    description: args.description,
+                    trigger: args.trigger,
+                    actions: args.actions,
+                    emotions: args.emotions,
+                    pain_points: args.pain_points,
+                    touchpoints: args.touchpoints,
+                    opportunities: args.opportunities
+                }, args.position)
+            },
+            {
+                name: "reorder_journey_event",
+                description: "Move a user journey event to a new position; the other events shift to make room",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        event_number: {
+                            type: "integer",
+                            description: "Current 1-based position of the event",
+                            minimum: 1
+                        },
+                        event_id: {
+                            type: "string",
+                            description: "Event resource ID"
+                        },
+                        new_position: {
+                            type: "integer",
+                            description: "New 1-based position (required)",
+                            minimum: 1
+                        }
+                    },
+                    required: ["project_id", "persona_id", "new_position"],
+                    ...exactlyOneOf("event_number", "event_id")
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.journeyWrite,
+                progress: ["Resolving journey event...", "Moving journey event..."],
+                handler: async (args, client, { advance }) => {
+                    const eventId = await client.resolveJourneyEventId(
+                        args.project_id,
+                        args.persona_id,
+                        args.event_number,
+                        args.event_id
+                    );
+                    advance();
+                    return await client.moveJourneyEvent(args.project_id, args.persona_id, eventId, args.new_position);
+                }
+            },
+            {
+                name: "remove_journey_event",
+                description: "Remove an event from a user journey by position or ID. Destructive: requires confirm=true",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        event_number: {
+                            type: "integer",
+                            description: "1-based position of the event",
+                            minimum: 1
+                        },
+                        event_id: {
+                            type: "string",
+                            description: "Event resource ID"
+                        },
+                        confirm: {
+                            type: "boolean",
+                            description: "Must be true to confirm the removal"
+                        }
+                    },
+                    required: ["project_id", "persona_id", "confirm"],
+                    ...exactlyOneOf("event_number", "event_id")
+                },
+                category: "authoring",
+                destructive: true,
+                output: TOOL_OUTPUTS.journeyWrite,
+                progress: ["Resolving journey event...", "Removing journey event..."],
+                handler: async (args, client, { advance }) => {
+                    const eventId = await client.resolveJourneyEventId(
+                        args.project_id,
+                        args.persona_id,
+                        args.event_number,
+                        args.event_id
+                    );
+                    advance();
+                    return await client.removeJourneyEvent(args.project_id, args.persona_id, eventId);
                 }
             },
+            {
+                name: "add_job_to_be_done",
+                description: "Add a job to be done for a persona with its functional, emotional and social dimensions",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        project_id: {
+                            type: "string",
+                            description: "Project ID (required)"
+                        },
+                        persona_id: {
+                            type: "string",
+                            description: "Persona ID (required)"
+                        },
+                        job: {
+                            type: "string",
+                            description: "Job statement (required)"
+                        },
+                        task: { type: "string", description: "Task the persona is trying to get done" },
+                        action: { type: "string", description: "Action taken to do the job" },
+                        description: { type: "string", description: "Longer description" },
+                        functional_job: { type: "string", description: "Functional job" },
+                        emotional_job: { type: "string", description: "Emotional job" },
+                        social_job: { type: "string", description: "Social job" },
+                        context: { type: "string", description: "Situation in which the job arises" },
+                        success_criteria: { type: "string", description: "How the persona judges success" },
+                        obstacles: { type: "string", description: "Obstacles in the way" },
+                        current_solutions: { type: "string", description: "How the job is done today" }
+                    },
+                    required: ["project_id", "persona_id", "job"]
+                },
+                category: "authoring",
+                output: TOOL_OUTPUTS.jobWrite,
+                progress: ["Adding job to be done..."],
+                handler: (args, client) => client.addJobToBeDone(args.project_id, args.persona_id, {
+                    jtbdItem: args.job,
+                    task: args.task,
+                    action: args.action,
+                    description: args.description,
+                    functional_job: args.functional_job,
+                    emotional_job: args.emotional_job,
+                    social_job: args.social_job,
+                    context: args.context,
+                    success_criteria: args.success_criteria,
+                    obstacles: args.obstacles,
+                    current_solutions: args.current_solutions
+                })
+            },
             {
                 name: "get_user_info",
                 description: "Get authenticated user profile information",
@@ -154,7 +780,12 @@ export class MCPTools {
                     type: "object",
                     properties: {},
                     required: []
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.userInfo,
+                progress: ["Fetching user info..."],
+                handler: (args, client) => client.getUserInfo()
             },
             {
                 name: "get_project_environment",
@@ -168,7 +799,12 @@ export class MCPTools {
                         }
                     },
                     required: ["project_id"]
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectEnvironment,
+                progress: ["Fetching project environment..."],
+                handler: (args, client) => client.getProjectEnvironment(args.project_id)
             },
             {
                 name: "check_nda_status",
@@ -177,7 +813,12 @@ export class MCPTools {
                     type: "object",
                     properties: {},
                     required: []
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.ndaStatus,
+                progress: ["Checking NDA status..."],
+                handler: (args, client) => client.checkNdaStatus()
             },
             {
                 name: "get_product_info",
@@ -191,7 +832,12 @@ export class MCPTools {
                         }
                     },
                     required: ["project_id"]
-                }
+                },
+                category: "core",
+                readOnly: true,
+                output: TOOL_OUTPUTS.productInfo,
+                progress: ["Fetching product info..."],
+                handler: (args, client) => client.getProductInfo(args.project_id)
             },
             {
                 name: "list_projects",
@@ -200,7 +846,12 @@ export class MCPTools {
                     type: "object",
                     properties: {},
                     required: []
-                }
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectList,
+                progress: ["Fetching all projects..."],
+                handler: (args, client) => client.getAllProjects()
             },
             {
                 name: "list_projects_paginated",
@@ -223,7 +874,12 @@ export class MCPTools {
                         }
                     },
                     required: []
-                }
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectList,
+                progress: ["Fetching projects..."],
+                handler: (args, client) => client.listProjects(args.page, args.pageSize)
             },
             {
                 name: "search_projects",
@@ -250,7 +906,12 @@ export class MCPTools {
                         }
                     },
                     required: ["query"]
-                }
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectList,
+                progress: [args => `Searching projects for: ${args.query}...`],
+                handler: (args, client) => client.searchProjects(args.query, args.page, args.pageSize)
             },
             {
                 name: "find_project_by_name",
@@ -264,7 +925,12 @@ export class MCPTools {
                         }
                     },
                     required: ["project_name"]
-                }
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectMatch,
+                progress: [args => `Finding project by name: ${args.project_name}...`],
+                handler: (args, client) => client.findProjectByName(args.project_name)
             },
             {
                 name: "find_persona_by_name",
@@ -282,6 +948,15 @@ export class MCPTools {
                         }
                     },
                     required: ["project_id", "persona_name"]
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.personaMatch,
+                progress: ["Resolving project...", args => `Finding persona by name: ${args.persona_name}...`],
+                handler: async (args, client, { advance }) => {
+                    const projectId = await client.resolveProjectId(args.project_id);
+                    advance();
+                    return await client.findPersonaByName(projectId, args.persona_name);
                 }
             },
             {
@@ -297,9 +972,20 @@ export class MCPTools {
                         persona_name: {
                             type: "string",
                             description: "Persona name or ID"
-                        }
+                        },
+                        ...paginationProperties
                     },
                     required: ["project_name", "persona_name"]
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.storyList,
+                progress: ["Resolving project and persona names...", "Fetching user stories..."],
+                handler: async (args, client, { advance }) => {
+                    const projectId = await client.resolveProjectId(args.project_name);
+                    const personaId = await client.resolvePersonaId(projectId, args.persona_name);
+                    advance();
+                    return await client.getUserStories(projectId, personaId, getPageOptions(args));
                 }
             },
             {
@@ -318,6 +1004,16 @@ export class MCPTools {
                         }
                     },
                     required: ["project_name", "persona_name"]
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.persona,
+                progress: ["Resolving project and persona names...", "Fetching persona profile..."],
+                handler: async (args, client, { advance }) => {
+                    const projectId = await client.resolveProjectId(args.project_name);
+                    const personaId = await client.resolvePersonaId(projectId, args.persona_name);
+                    advance();
+                    return await client.getPersonaProfile(projectId, personaId);
                 }
             },
             {
@@ -332,21 +1028,12 @@ export class MCPTools {
                         }
                     },
                     required: ['project_name']
-                }
-            },
-            {
-                name: 'find_project_by_name',
-                description: 'Find a project by name and get the project ID (works with known project mappings)',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        project_name: {
-                            type: 'string',
-                            description: 'Project name to search for (e.g., "Talentally Yours")'
-                        }
-                    },
-                    required: ['project_name']
-                }
+                },
+                category: "name",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectDetails,
+                progress: [args => `Finding project by name: ${args.project_name}...`],
+                handler: (args, client) => client.getProjectByName(args.project_name)
             },
             {
                 name: "mcp0_getUserInfo",
@@ -355,7 +1042,12 @@ export class MCPTools {
                     type: "object",
                     properties: {},
                     required: []
-                }
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.userInfo,
+                progress: ["Fetching user info (legacy)..."],
+                handler: (args, client) => client.getUserInfo()
             },
             {
                 name: "mcp0_fetchPersona",
@@ -373,7 +1065,12 @@ export class MCPTools {
                         }
                     },
                     required: ["projectId", "personaId"]
-                }
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.persona,
+                progress: ["Fetching persona (legacy)..."],
+                handler: (args, client) => client.getPersonaProfile(args.projectId, args.personaId)
             },
             {
                 name: "mcp0_fetchElevatorPitch",
@@ -387,6 +1084,15 @@ export class MCPTools {
                         }
                     },
                     required: ["projectId"]
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.legacyElevatorPitch,
+                progress: ["Fetching elevator pitch (legacy)..."],
+                // Fetch just the pitch rather than the whole project overview
+                handler: async (args, client) => {
+                    const elevatorPitch = await client.getElevatorPitch(args.projectId).catch(() => null);
+                    return { result: elevatorPitch || 'No elevator pitch available' };
                 }
             },
             {
@@ -401,6 +1107,14 @@ export class MCPTools {
                         }
                     },
                     required: ["projectId"]
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.legacyVisionStatement,
+                progress: ["Fetching vision statement (legacy)..."],
+                handler: async (args, client) => {
+                    const visionStatement = await client.getVisionStatement(args.projectId).catch(() => null);
+                    return { result: visionStatement || 'No vision statement available' };
                 }
             },
             {
@@ -415,7 +1129,12 @@ export class MCPTools {
                         }
                     },
                     required: ["projectId"]
-                }
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.productInfo,
+                progress: ["Fetching product info (legacy)..."],
+                handler: (args, client) => client.getProductInfo(args.projectId)
             },
             {
                 name: "mcp0_fetchProjectEnvironment",
@@ -429,7 +1148,12 @@ export class MCPTools {
                         }
                     },
                     required: ["projectId"]
-                }
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.projectEnvironment,
+                progress: ["Fetching project environment (legacy)..."],
+                handler: (args, client) => client.getProjectEnvironment(args.projectId)
             },
             {
                 name: "mcp0_checkNdaStatus",
@@ -438,205 +1162,248 @@ export class MCPTools {
                     type: "object",
                     properties: {},
                     required: []
-                }
+                },
+                category: "legacy",
+                readOnly: true,
+                output: TOOL_OUTPUTS.ndaStatus,
+                progress: ["Checking NDA status (legacy)..."],
+                handler: (args, client) => client.checkNdaStatus()
             }
         ];
 
-        // Store tools in map for quick lookup
-        toolDefinitions.forEach(tool => {
-            this.tools.set(tool.name, tool);
-        });
-    }
+        toolDefinitions.push(...this.buildStoryChildToolDefinitions());
 
-    getToolDefinitions() {
-        return Array.from(this.tools.values());
+        // Throws on a duplicate name, so a clash surfaces when the server starts
+        this.registry.registerAll(toolDefinitions);
     }
 
-    getTool(name) {
-        return this.tools.get(name);
-    }
+    buildStoryChildToolDefinitions() {
+        const definitions = [];
 
-    hasTools(name) {
-        return this.tools.has(name);
-    }
-
-    validateToolInput(toolName, input) {
-        const tool = this.getTool(toolName);
-        if (!tool) {
-            throw new Error(`Unknown tool: ${toolName}`);
-        }
+        const storyProperties = {
+            project_id: {
+                type: "string",
+                description: "Project ID (required)"
+            },
+            persona_id: {
+                type: "string",
+                description: "Persona ID (required)"
+            },
+            story_number: {
+                type: "integer",
+                description: "Story number (1-based)",
+                minimum: 1
+            },
+            story_id: {
+                type: "string",
+                description: "Story ID (e.g., PROJECT-P-XXX-XXX)"
+            }
+        };
+        const storyAddress = exactlyOneOf("story_number", "story_id");
+        const itemAddress = exactlyOneOf("item_number", "item_id");
 
-        const schema = tool.inputSchema;
-        const errors = [];
+        for (const spec of STORY_CHILD_TOOLS) {
+            const resolveStory = (args, client) => client.resolveStoryId(
+                args.project_id,
+                args.persona_id,
+                args.story_number,
+                args.story_id
+            );
+            const resolveItem = (args, client, storyId) => client.resolveStoryChildId(
+                args.project_id,
+                storyId,
+                spec.collection,
+                args.item_number,
+                args.item_id
+            );
+            const listOutput = storyChildListOutput(spec);
+            const writeOutput = storyChildWriteOutput(spec);
+            const getFields = args => ({
+                [spec.titleField]: args[spec.titleField],
+                description: args.description,
+                properties: args.properties
+            });
 
-        // Check required fields
-        if (schema.required && schema.required.length > 0) {
-            for (const requiredField of schema.required) {
-                if (!(requiredField in input) || input[requiredField] === null || input[requiredField] === undefined) {
-                    errors.push(`Missing required field: ${requiredField}`);
+            const itemProperties = {
+                item_number: {
+                    type: "integer",
+                    description: `${spec.label} number within the story (1-based, e.g. 2 for "#2 of story 5")`,
+                    minimum: 1
+                },
+                item_id: {
+                    type: "string",
+                    description: `${spec.label} resource ID`
                 }
-            }
-        }
+            };
+            const contentProperties = {
+                [spec.titleField]: {
+                    type: "string",
+                    description: `${spec.label} ${spec.titleField}`
+                },
+                description: {
+                    type: "string",
+                    description: `${spec.label} description`
+                },
+                properties: {
+                    type: "object",
+                    description: "Additional properties to store as-is"
+                }
+            };
 
-        // Validate field types and constraints
-        if (schema.properties) {
-            for (const [fieldName, fieldSchema] of Object.entries(schema.properties)) {
-                if (fieldName in input) {
-                    const value = input[fieldName];
-                    
-                    // Type validation
-                    if (fieldSchema.type === 'integer' && !Number.isInteger(value)) {
-                        errors.push(`Field ${fieldName} must be an integer`);
-                    } else if (fieldSchema.type === 'string' && typeof value !== 'string') {
-                        errors.push(`Field ${fieldName} must be a string`);
+            definitions.push(
+                {
+                    name: spec.names.list,
+                    description: `List the ${spec.pluralLabel} of a user story, numbered for reference`,
+                    inputSchema: {
+                        type: "object",
+                        properties: { ...storyProperties },
+                        required: ["project_id", "persona_id"],
+                        ...storyAddress
+                    },
+                    category: "authoring",
+                    readOnly: true,
+                    output: listOutput,
+                    progress: ["Resolving story...", `Fetching ${spec.pluralLabel}...`],
+                    handler: async (args, client, { advance }) => {
+                        const storyId = await resolveStory(args, client);
+                        advance();
+                        return await client.listStoryChildren(args.project_id, storyId, spec.collection);
                     }
-                    
-                    // Constraint validation
-                    if (fieldSchema.minimum !== undefined && value < fieldSchema.minimum) {
-                        errors.push(`Field ${fieldName} must be at least ${fieldSchema.minimum}`);
+                },
+                {
+                    name: spec.names.add,
+                    description: `Add a ${spec.label} to a user story`,
+                    inputSchema: {
+                        type: "object",
+                        properties: { ...storyProperties, ...contentProperties },
+                        required: ["project_id", "persona_id", spec.titleField],
+                        ...storyAddress
+                    },
+                    category: "authoring",
+                    output: writeOutput,
+                    progress: ["Resolving story...", `Adding ${spec.label}...`],
+                    handler: async (args, client, { advance }) => {
+                        const storyId = await resolveStory(args, client);
+                        advance();
+                        return await client.addStoryChild(args.project_id, storyId, spec.collection, getFields(args));
                     }
-                    
-                    if (fieldSchema.maximum !== undefined && value > fieldSchema.maximum) {
-                        errors.push(`Field ${fieldName} must be at most ${fieldSchema.maximum}`);
+                },
+                {
+                    name: spec.names.update,
+                    description: `Edit a ${spec.label} of a user story by number or ID; omitted fields are left unchanged`,
+                    inputSchema: {
+                        type: "object",
+                        properties: { ...storyProperties, ...itemProperties, ...contentProperties },
+                        required: ["project_id", "persona_id"],
+                        allOf: [storyAddress, itemAddress]
+                    },
+                    category: "authoring",
+                    output: writeOutput,
+                    progress: ["Resolving story...", `Updating ${spec.label}...`],
+                    handler: async (args, client, { advance }) => {
+                        const storyId = await resolveStory(args, client);
+                        const itemId = await resolveItem(args, client, storyId);
+                        advance();
+                        return await client.updateStoryChild(args.project_id, storyId, spec.collection, itemId, getFields(args));
+                    }
+                },
+                {
+                    name: spec.names.remove,
+                    description: `Remove a ${spec.label} from a user story by number or ID. Destructive: requires confirm=true`,
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...storyProperties,
+                            ...itemProperties,
+                            confirm: {
+                                type: "boolean",
+                                description: "Must be true to confirm the removal"
+                            }
+                        },
+                        required: ["project_id", "persona_id", "confirm"],
+                        allOf: [storyAddress, itemAddress]
+                    },
+                    category: "authoring",
+                    destructive: true,
+                    output: writeOutput,
+                    progress: ["Resolving story...", `Removing ${spec.label}...`],
+                    handler: async (args, client, { advance }) => {
+                        const storyId = await resolveStory(args, client);
+                        const itemId = await resolveItem(args, client, storyId);
+                        advance();
+                        return await client.removeStoryChild(args.project_id, storyId, spec.collection, itemId);
                     }
                 }
-            }
+            );
         }
 
-        if (errors.length > 0) {
-            throw new Error(`Validation errors: ${errors.join(', ')}`);
-        }
+        return definitions;
+    }
 
-        return true;
+    getToolDefinitions() {
+        return this.registry.getDefinitions();
+    }
+
+    getToolCatalog() {
+        return this.registry.getCatalog();
+    }
+
+    getTool(name) {
+        return this.registry.get(name);
+    }
+
+    hasTools(name) {
+        return this.registry.has(name);
     }
 
-    async callTool(toolName, args, client) {
+    // Returns the arguments with schema defaults applied (and strings converted to the
+    // declared types when options.coerce is set); throws ToolInputError listing each bad field
+    validateToolInput(toolName, input, options = {}) {
+        if (!this.hasTools(toolName)) {
+            throw new Error(`Unknown tool: ${toolName}`);
+        }
+        return this.registry.validate(toolName, input, options);
+    }
+
+    // options.onProgress receives { message, progress, total } as the tool's declared stages are
+    // reached; options.coerce converts string arguments (query strings, forms) to their schema types
+    async callTool(toolName, args, client, options = {}) {
         // Validate tool exists
         if (!this.hasTools(toolName)) {
             throw new Error(`Unknown tool: ${toolName}`);
         }
 
         // Validate input
-        this.validateToolInput(toolName, args);
-
+        const validatedArgs = this.validateToolInput(toolName, args, { coerce: options.coerce });
 
         // All other tools require an authenticated client
         if (!client) {
             throw new Error('Client is required for this tool');
         }
 
-        // Call the appropriate client method based on tool name
-        switch (toolName) {
-            case 'list_user_stories':
-                return await client.getUserStories(args.project_id, args.persona_id);
-            
-            case 'get_story_range':
-                return await client.getStoryRange(
-                    args.project_id,
-                    args.persona_id,
-                    args.start_number,
-                    args.end_number
-                );
-            
-            case 'get_single_story_details':
-                return await client.getSingleStoryDetails(
-                    args.project_id,
-                    args.persona_id,
-                    args.story_number,
-                    args.story_id
-                );
-            
-            case 'get_project_overview':
-                return await client.getProjectOverview(args.project_id);
-            
-            case 'get_persona_profile':
-                return await client.getPersonaProfile(args.project_id, args.persona_id);
-            
-            case 'get_user_journey':
-                return await client.getUserJourney(args.project_id, args.persona_id);
-            
-            case 'get_jobs_to_be_done':
-                return await client.getJobsToBeDone(args.project_id, args.persona_id);
-            
-            case 'get_user_info':
-                return await client.getUserInfo();
-            
-            case 'get_project_environment':
-                return await client.getProjectEnvironment(args.project_id);
-            
-            case 'check_nda_status':
-                return await client.checkNdaStatus();
-            
-            case 'get_product_info':
-                return await client.getProductInfo(args.project_id);
-            
-            case 'list_projects':
-                return await client.getAllProjects();
-            
-            case 'list_projects_paginated':
-                return await client.listProjects(args.page, args.pageSize);
-            
-            case 'search_projects':
-                return await client.searchProjects(args.query, args.page, args.pageSize);
-            
-            case 'find_project_by_name':
-                return await client.findProjectByName(args.project_name);
-            
-            case 'find_persona_by_name':
-                const findPersonaProjectId = await client.resolveProjectId(args.project_id);
-                return await client.findPersonaByName(findPersonaProjectId, args.persona_name);
-            
-            case 'get_user_stories_by_name':
-                const storiesProjectId = await client.resolveProjectId(args.project_name);
-                const personaId = await client.resolvePersonaId(storiesProjectId, args.persona_name);
-                return await client.getUserStories(storiesProjectId, personaId);
-            
-            case 'get_project_by_name':
-                return await client.getProjectByName(args.project_name);
-            
-            case 'find_project_by_name':
-                // Use direct name-to-ID mapping for known projects
-                const projectId = await client.resolveProjectId(args.project_name);
-                return { id: projectId, name: args.project_name };
-            
-            case 'get_persona_by_name':
-                const projectIdForPersona = await client.resolveProjectId(args.project_name);
-                const personaIdForProfile = await client.resolvePersonaId(projectIdForPersona, args.persona_name);
-                return await client.getPersonaProfile(projectIdForPersona, personaIdForProfile);
-            
-            // Legacy tools
-            case 'mcp0_getUserInfo':
-                return await client.getUserInfo();
-            
-            case 'mcp0_fetchPersona':
-                return await client.getPersonaProfile(args.projectId, args.personaId);
-            
-            case 'mcp0_fetchElevatorPitch':
-                const overview = await client.getProjectOverview(args.projectId);
-                return { result: overview.overview?.elevatorPitch || 'No elevator pitch available' };
-            
-            case 'mcp0_fetchVisionStatement':
-                const visionOverview = await client.getProjectOverview(args.projectId);
-                return { result: visionOverview.overview?.visionStatement || 'No vision statement available' };
-            
-            case 'mcp0_fetchProductInfo':
-                return await client.getProductInfo(args.projectId);
-            
-            case 'mcp0_fetchProjectEnvironment':
-                return await client.getProjectEnvironment(args.projectId);
-            
-            case 'mcp0_checkNdaStatus':
-                return await client.checkNdaStatus();
-            
-            default:
-                throw new Error(`Tool ${toolName} not implemented`);
+        try {
+            return await this.registry.execute(toolName, validatedArgs, client, { onProgress: options.onProgress });
+        } catch (error) {
+            // Hand ambiguous names back as a candidate list so the assistant can ask the user
+            if (error instanceof AmbiguousMatchError) {
+                return error.toResult();
+            }
+            throw error;
         }
     }
 
+    // MCP tools/call result for a callTool() result: trimmed structuredContent at the requested
+    // verbosity (minimal, standard or raw) and a text rendering in the requested format. Both are
+    // read from the tool's arguments.
+    formatToolResult(toolName, result, args) {
+        const { verbosity, format } = args || {};
+        return this.registry.formatResult(toolName, result, { verbosity, format });
+    }
+
     getToolUsageStats() {
         return {
-            totalTools: this.tools.size,
-            toolNames: Array.from(this.tools.keys())
+            totalTools: this.registry.size,
+            toolNames: this.registry.names()
         };
     }
 }
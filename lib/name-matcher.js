@@ -0,0 +1,169 @@
+// Ranked fuzzy matching for project and persona names typed by users ("talentaly yours",
+// "the recruiter persona"). Scores combine edit distance, token overlap and aliases.
+
+// Filler words users add around a name that never distinguish one entity from another
+const STOP_WORDS = new Set(['the', 'a', 'an', 'my', 'our', 'of', 'for', 'project', 'persona', 'product', 'user']);
+
+// A best match at or above this score is accepted without asking...
+const CONFIDENT_SCORE = 0.8;
+// ...as long as the runner-up trails it by at least this much
+const CONFIDENT_MARGIN = 0.1;
+// Candidates below this score are not worth offering
+const MIN_CANDIDATE_SCORE = 0.45;
+const MAX_CANDIDATES = 5;
+
+// Aliases score slightly below the primary name so an exact name wins a tie
+const ALIAS_WEIGHT = 0.95;
+
+export class AmbiguousMatchError extends Error {
+    constructor(kind, query, candidates) {
+        const options = candidates.map(c => `${c.name} (${c.id})`).join(', ');
+        super(`Could not confidently match "${query}" to a ${kind}. Did you mean: ${options}?`);
+        this.name = 'AmbiguousMatchError';
+        this.kind = kind;
+        this.query = query;
+        this.candidates = candidates;
+    }
+
+    toResult() {
+        return {
+            success: false,
+            ambiguous: true,
+            kind: this.kind,
+            query: this.query,
+            message: this.message,
+            candidates: this.candidates,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+export function normalizeName(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !STOP_WORDS.has(token))
+        .join(' ');
+}
+
+export function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function editSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+function tokenOverlap(queryTokens, nameTokens) {
+    if (queryTokens.length === 0 || nameTokens.length === 0) {
+        return 0;
+    }
+
+    // Tokens count as shared when they are near-identical, so typos inside a word still overlap
+    let shared = 0;
+    for (const token of queryTokens) {
+        if (nameTokens.some(nameToken => editSimilarity(token, nameToken) >= 0.8)) {
+            shared++;
+        }
+    }
+    return (2 * shared) / (queryTokens.length + nameTokens.length);
+}
+
+function scoreName(query, name) {
+    const normalizedName = normalizeName(name);
+    if (!query || !normalizedName) {
+        return 0;
+    }
+    if (query === normalizedName) {
+        return 1;
+    }
+
+    const queryTokens = query.split(' ');
+    const nameTokens = normalizedName.split(' ');
+
+    // "priya" vs "priya sinha": every query token (typos allowed) appears in the name
+    const containment = queryTokens.every(token => nameTokens.some(nameToken => editSimilarity(token, nameToken) >= 0.8))
+        ? 0.75 + 0.2 * (queryTokens.length / nameTokens.length)
+        : 0;
+
+    return Math.max(editSimilarity(query, normalizedName), tokenOverlap(queryTokens, nameTokens), containment);
+}
+
+function acronym(name) {
+    const tokens = normalizeName(name).split(' ').filter(Boolean);
+    return tokens.length > 1 ? tokens.map(token => token[0]).join('') : '';
+}
+
+export function rankCandidates(query, candidates) {
+    const normalizedQuery = normalizeName(query);
+    const rawQuery = String(query || '').trim().toLowerCase();
+
+    return candidates
+        .map(candidate => {
+            if (candidate.id && candidate.id.toLowerCase() === rawQuery) {
+                return { candidate, score: 1, matchedOn: 'id' };
+            }
+
+            let best = { score: scoreName(normalizedQuery, candidate.name), matchedOn: 'name' };
+            const aliases = [...(candidate.aliases || []), acronym(candidate.name)].filter(Boolean);
+            for (const alias of aliases) {
+                const score = scoreName(normalizedQuery, alias) * ALIAS_WEIGHT;
+                if (score > best.score) {
+                    best = { score, matchedOn: `alias:${alias}` };
+                }
+            }
+            return { candidate, ...best };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+// Returns { status: 'match' | 'ambiguous' | 'none', match, candidates }
+export function resolveName(query, candidates) {
+    const ranked = rankCandidates(query, candidates);
+    const plausible = ranked
+        .filter(entry => entry.score >= MIN_CANDIDATE_SCORE)
+        .slice(0, MAX_CANDIDATES)
+        .map(entry => ({
+            id: entry.candidate.id,
+            name: entry.candidate.name,
+            score: Math.round(entry.score * 100) / 100,
+            matchedOn: entry.matchedOn
+        }));
+
+    const [best, runnerUp] = ranked;
+    const clearLead = !runnerUp || best.score - runnerUp.score >= CONFIDENT_MARGIN
+        || (best.score === 1 && runnerUp.score < 1);
+    if (best && best.score >= CONFIDENT_SCORE && clearLead) {
+        return { status: 'match', match: best.candidate, score: best.score, candidates: plausible };
+    }
+
+    return { status: plausible.length > 0 ? 'ambiguous' : 'none', match: null, candidates: plausible };
+}
+
+// Alias map from REZOOMEX_NAME_ALIASES, e.g. {"ty": "39SQ", "recruiter": "39SQ-P-003"}
+export function getConfiguredAliases(id) {
+    let aliases = {};
+    try {
+        aliases = JSON.parse(process.env.REZOOMEX_NAME_ALIASES || '{}');
+    } catch (error) {
+        return [];
+    }
+    return Object.entries(aliases)
+        .filter(([, target]) => target === id)
+        .map(([alias]) => alias);
+}
@@ -0,0 +1,202 @@
+// OAuth client registrations (RFC 7591). Each registering client gets its own client_id and a
+// set of redirect URIs checked against the redirect policy (redirect-policy.js). Registrations
+// live in a pluggable store: in memory, or a JSON file that survives restarts (the default).
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { OAuthError, SUPPORTED_GRANT_TYPES } from './oauth-server.js';
+import { RedirectUriPolicy } from './redirect-policy.js';
+
+const MAX_REDIRECT_URIS = 10;
+
+export class MemoryClientStore {
+    constructor() {
+        this.clients = new Map(); // clientId -> registration
+    }
+
+    async get(clientId) {
+        return this.clients.get(clientId) || null;
+    }
+
+    async save(client) {
+        this.clients.set(client.client_id, client);
+    }
+
+    async delete(clientId) {
+        return this.clients.delete(clientId);
+    }
+
+    async list() {
+        return Array.from(this.clients.values());
+    }
+}
+
+// All registrations in one JSON file, loaded on first use and rewritten on every change
+export class FileClientStore extends MemoryClientStore {
+    constructor(logger, filePath) {
+        super();
+        this.logger = logger;
+        this.filePath = filePath;
+        this.loading = null;
+        this.writes = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = fs.readFile(this.filePath, 'utf8')
+                .then(text => {
+                    for (const client of JSON.parse(text).clients || []) {
+                        this.clients.set(client.client_id, client);
+                    }
+                    this.logger.info('Loaded OAuth client registrations', { count: this.clients.size, filePath: this.filePath });
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        this.logger.warn('OAuth client store unreadable, starting empty', { filePath: this.filePath, error: error.message });
+                    }
+                });
+        }
+        await this.loading;
+    }
+
+    async get(clientId) {
+        await this.load();
+        return super.get(clientId);
+    }
+
+    async save(client) {
+        await this.load();
+        await super.save(client);
+        await this.persist();
+    }
+
+    async delete(clientId) {
+        await this.load();
+        const deleted = await super.delete(clientId);
+        if (deleted) {
+            await this.persist();
+        }
+        return deleted;
+    }
+
+    async list() {
+        await this.load();
+        return super.list();
+    }
+
+    // Chain writes and swap in a complete file, so readers never see a torn write
+    async persist() {
+        const snapshot = JSON.stringify({ clients: Array.from(this.clients.values()) }, null, 2);
+        const write = this.writes.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, snapshot, { mode: 0o600 });
+            await fs.rename(tempPath, this.filePath);
+        });
+        // A failed write must not block later ones
+        this.writes = write.catch(() => {});
+
+        try {
+            await write;
+        } catch (error) {
+            throw new Error(`Failed to persist OAuth client registrations: ${error.message}`);
+        }
+    }
+}
+
+// OAUTH_CLIENT_STORE selects the store: "file" (default) or "memory"
+export function createClientStore(logger, options = {}) {
+    const type = options.type ?? (process.env.OAUTH_CLIENT_STORE || 'file');
+    if (type === 'memory') {
+        return new MemoryClientStore();
+    }
+    if (type === 'file') {
+        const filePath = options.filePath ?? (process.env.OAUTH_CLIENT_STORE_PATH || path.join(process.cwd(), 'data', 'oauth-clients.json'));
+        return new FileClientStore(logger, filePath);
+    }
+    throw new Error(`Unknown OAUTH_CLIENT_STORE: ${type} (expected file or memory)`);
+}
+
+export class ClientRegistry {
+    constructor(logger, store, redirectPolicy = new RedirectUriPolicy()) {
+        this.logger = logger;
+        this.store = store;
+        this.redirectPolicy = redirectPolicy;
+    }
+
+    // Validates RFC 7591 client metadata and stores a new registration. Clients are public:
+    // whatever token_endpoint_auth_method was asked for, the registration says "none".
+    async register(metadata = {}) {
+        const redirectUris = metadata.redirect_uris;
+        if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+            throw new OAuthError('invalid_redirect_uri', 'redirect_uris must be a non-empty array');
+        }
+        if (redirectUris.length > MAX_REDIRECT_URIS) {
+            throw new OAuthError('invalid_redirect_uri', `At most ${MAX_REDIRECT_URIS} redirect_uris can be registered`);
+        }
+        for (const uri of redirectUris) {
+            const reason = this.redirectPolicy.checkRegistration(uri);
+            if (reason) {
+                throw new OAuthError('invalid_redirect_uri', `Redirect URI ${JSON.stringify(uri)} ${reason}`);
+            }
+        }
+
+        const grantTypes = metadata.grant_types ?? ['authorization_code'];
+        if (!Array.isArray(grantTypes) || !grantTypes.includes('authorization_code') || grantTypes.some(type => !SUPPORTED_GRANT_TYPES.includes(type))) {
+            throw new OAuthError('invalid_client_metadata', `grant_types must include authorization_code and may only use: ${SUPPORTED_GRANT_TYPES.join(', ')}`);
+        }
+        const responseTypes = metadata.response_types ?? ['code'];
+        if (!Array.isArray(responseTypes) || responseTypes.some(type => type !== 'code')) {
+            throw new OAuthError('invalid_client_metadata', 'response_types may only contain code');
+        }
+        for (const field of ['client_name', 'client_uri', 'logo_uri', 'scope', 'software_id', 'software_version']) {
+            if (metadata[field] !== undefined && (typeof metadata[field] !== 'string' || metadata[field].length > 500)) {
+                throw new OAuthError('invalid_client_metadata', `${field} must be a string of at most 500 characters`);
+            }
+        }
+
+        const client = {
+            client_id: randomUUID(),
+            client_id_issued_at: Math.floor(Date.now() / 1000),
+            redirect_uris: [...new Set(redirectUris)],
+            grant_types: [...new Set(grantTypes)],
+            response_types: ['code'],
+            token_endpoint_auth_method: 'none',
+            ...pickStrings(metadata, ['client_name', 'client_uri', 'logo_uri', 'scope', 'software_id', 'software_version'])
+        };
+
+        await this.store.save(client);
+        this.logger.info('OAuth client registered', {
+            clientId: client.client_id,
+            clientName: client.client_name,
+            redirectUris: client.redirect_uris
+        });
+        return client;
+    }
+
+    async get(clientId) {
+        return typeof clientId === 'string' && clientId ? await this.store.get(clientId) : null;
+    }
+
+    async list() {
+        return await this.store.list();
+    }
+
+    isRedirectUriAllowed(client, redirectUri) {
+        return this.redirectPolicy.isAllowed(client.redirect_uris, redirectUri);
+    }
+
+    // Removes the registration; returns false when the client was not registered
+    async revoke(clientId) {
+        const deleted = await this.store.delete(clientId);
+        if (deleted) {
+            this.logger.info('OAuth client revoked', { clientId });
+        }
+        return deleted;
+    }
+}
+
+function pickStrings(source, keys) {
+    return Object.fromEntries(keys.filter(key => typeof source[key] === 'string').map(key => [key, source[key]]));
+}
@@ -0,0 +1,332 @@
+// OAuth 2.1 authorization server for MCP clients. An authorization request is checked and held
+// while the user signs in to Rezoomex; sign-in issues a short-lived, single-use code bound to
+// the client_id, redirect_uri and PKCE (S256) challenge of that request, and the token endpoint
+// only starts a grant in the token store (oauth-tokens.js) for the matching code_verifier.
+// Sign-in itself is injected (authenticate), so the flow can run against any Rezoomex token
+// endpoint.
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+export class OAuthError extends Error {
+    // code is the OAuth error code (invalid_request, invalid_grant, ...) returned to the client
+    constructor(code, description, status = 400) {
+        super(description);
+        this.name = 'OAuthError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.code, error_description: this.message };
+    }
+}
+
+// RFC 7636: verifiers are 43-128 characters of [A-Z a-z 0-9 - . _ ~]
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+// base64url of a SHA-256 digest
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9\-_]{43}$/;
+// RFC 6749 state: printable ASCII
+const STATE_PATTERN = /^[\x20-\x7E]{1,1024}$/;
+
+export const SUPPORTED_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+export const SUPPORTED_CODE_CHALLENGE_METHODS = ['S256'];
+export const SUPPORTED_SCOPES = ['read', 'write'];
+
+export function computeCodeChallenge(verifier) {
+    return createHash('sha256').update(verifier).digest('base64url');
+}
+
+export class OAuthAuthorizationServer {
+    // authenticate(email, password) -> { access_token, expires_in?, refresh_token? } signs the
+    // user in upstream; clients is the ClientRegistry of registered clients, and tokens the
+    // OAuthTokenStore that issues and refreshes tokens
+    constructor(logger, { authenticate, clients, tokens, codeTtl, requestTtl } = {}) {
+        if (typeof authenticate !== 'function' || !clients || !tokens) {
+            throw new Error('OAuthAuthorizationServer needs an authenticate(email, password) function, a client registry and a token store');
+        }
+        this.logger = logger;
+        this.authenticate = authenticate;
+        this.clients = clients;
+        this.tokens = tokens;
+        this.codeTtl = codeTtl ?? (parseInt(process.env.OAUTH_CODE_TTL_MS) || 60 * 1000);
+        this.requestTtl = requestTtl ?? (parseInt(process.env.OAUTH_REQUEST_TTL_MS) || 10 * 60 * 1000);
+        this.pendingRequests = new Map(); // requestId -> { clientId, clientName, redirectUri, state, codeChallenge, scope, expiresAt }
+        this.codes = new Map(); // code -> { clientId, redirectUri, codeChallenge, scope, subject, upstream, credentials, expiresAt }
+        this.redeemedCodes = new Map(); // code -> { clientId, expiresAt }, kept to recognise replays
+    }
+
+    // Checks an authorization request (the /authorize query) and holds it until sign-in.
+    // Throws OAuthError; redirectable is false when the client or redirect_uri cannot be
+    // trusted, in which case the error must be shown to the user instead of redirected.
+    async beginAuthorization(params) {
+        this.prune();
+
+        const { response_type, client_id, redirect_uri, state, code_challenge, code_challenge_method, scope } = params;
+        const client = await this.checkRedirectUri(client_id, redirect_uri);
+
+        // From here on errors go back to the client's redirect_uri
+        const fail = (code, description) => {
+            throw Object.assign(new OAuthError(code, description), { redirectable: true, redirectUri: redirect_uri, state });
+        };
+
+        if (typeof state !== 'string' || !STATE_PATTERN.test(state)) {
+            fail('invalid_request', 'state is required and must be printable ASCII of at most 1024 characters');
+        }
+        if (response_type !== 'code') {
+            fail('unsupported_response_type', 'Only the code response type is supported');
+        }
+        if (!code_challenge) {
+            fail('invalid_request', 'code_challenge is required (PKCE)');
+        }
+        if (!SUPPORTED_CODE_CHALLENGE_METHODS.includes(code_challenge_method)) {
+            fail('invalid_request', 'code_challenge_method must be S256');
+        }
+        if (!CODE_CHALLENGE_PATTERN.test(code_challenge)) {
+            fail('invalid_request', 'code_challenge must be a base64url-encoded SHA-256 digest');
+        }
+
+        // No scope asks for all of them
+        const requestedScopes = scope ? scope.split(' ').filter(Boolean) : SUPPORTED_SCOPES;
+        const unsupportedScopes = requestedScopes.filter(requested => !SUPPORTED_SCOPES.includes(requested));
+        if (requestedScopes.length === 0 || unsupportedScopes.length > 0) {
+            fail('invalid_scope', `scope must be made of: ${SUPPORTED_SCOPES.join(', ')}`);
+        }
+        const grantedScope = requestedScopes.join(' ');
+
+        const requestId = randomBytes(16).toString('hex');
+        this.pendingRequests.set(requestId, {
+            clientId: client_id,
+            clientName: client.client_name || null,
+            redirectUri: redirect_uri,
+            state,
+            codeChallenge: code_challenge,
+            scope: grantedScope,
+            expiresAt: Date.now() + this.requestTtl
+        });
+
+        this.logger.info('Authorization request accepted', { requestId, clientId: client_id, redirectUri: redirect_uri });
+        return { requestId, clientId: client_id, clientName: client.client_name || null, scope: grantedScope };
+    }
+
+    // Resolves the client of an authorization request and makes sure its redirect_uri is safe
+    // to send the browser to; throws a non-redirectable OAuthError otherwise. Pass client for
+    // clients configured outside the registry, such as the Auth0 application.
+    async checkRedirectUri(client_id, redirect_uri, client = null) {
+        if (!client) {
+            if (!client_id || typeof client_id !== 'string') {
+                throw Object.assign(new OAuthError('invalid_request', 'client_id is required'), { redirectable: false });
+            }
+            client = await this.clients.get(client_id);
+            if (!client) {
+                throw Object.assign(new OAuthError('invalid_request', 'client_id is not registered. Register the client again.'), { redirectable: false });
+            }
+        }
+        if (!isAbsoluteRedirectUri(redirect_uri)) {
+            throw Object.assign(new OAuthError('invalid_request', 'redirect_uri must be an absolute URI without a fragment'), { redirectable: false });
+        }
+        // Never send the browser, not even with an error, to a URI the client did not register
+        if (!this.clients.isRedirectUriAllowed(client, redirect_uri)) {
+            throw Object.assign(new OAuthError('invalid_request', 'redirect_uri is not registered for this client'), { redirectable: false });
+        }
+        return client;
+    }
+
+    getPendingRequest(requestId) {
+        this.prune();
+        return this.pendingRequests.get(requestId) || null;
+    }
+
+    // Signs the user in upstream and issues a code for the pending request. Returns the URL to
+    // send the browser back to. Failed sign-ins keep the request so the form can be retried.
+    async completeAuthorization(requestId, email, password) {
+        const request = this.getPendingRequest(requestId);
+        if (!request) {
+            throw Object.assign(new OAuthError('invalid_request', 'Authorization request expired or unknown. Start the sign-in again from your client.'), { redirectable: false });
+        }
+
+        const upstream = await this.authenticate(email, password);
+        this.pendingRequests.delete(requestId);
+
+        const code = randomBytes(32).toString('base64url');
+        this.codes.set(code, {
+            clientId: request.clientId,
+            redirectUri: request.redirectUri,
+            codeChallenge: request.codeChallenge,
+            scope: request.scope,
+            subject: email,
+            upstream,
+            // Only needed to sign in again when the token store keeps credentials
+            credentials: this.tokens.retainCredentials ? { email, password } : null,
+            expiresAt: Date.now() + this.codeTtl
+        });
+
+        this.logger.info('Authorization code issued', { requestId, clientId: request.clientId });
+        return buildRedirect(request.redirectUri, { code, state: request.state });
+    }
+
+    // Token endpoint. Returns the token response body; throws OAuthError.
+    async exchangeToken(params) {
+        this.prune();
+
+        const { grant_type, client_id } = params;
+        if (!grant_type) {
+            throw new OAuthError('invalid_request', 'grant_type is required');
+        }
+        if (!SUPPORTED_GRANT_TYPES.includes(grant_type)) {
+            throw new OAuthError('unsupported_grant_type', `Supported grant types: ${SUPPORTED_GRANT_TYPES.join(', ')}`);
+        }
+        if (!client_id) {
+            throw new OAuthError('invalid_request', 'client_id is required');
+        }
+
+        // Revoked clients lose their codes and tokens along with the registration
+        const client = await this.clients.get(client_id);
+        if (!client) {
+            throw new OAuthError('invalid_client', 'Unknown or revoked client', 401);
+        }
+        if (!client.grant_types.includes(grant_type)) {
+            throw new OAuthError('unauthorized_client', `The client is not registered for the ${grant_type} grant`);
+        }
+
+        return grant_type === 'refresh_token' ? this.tokens.refresh(params) : this.redeemCode(params, client);
+    }
+
+    redeemCode({ code, client_id, redirect_uri, code_verifier }, client) {
+        if (!code || !client_id || !redirect_uri || !code_verifier) {
+            throw new OAuthError('invalid_request', 'code, client_id, redirect_uri and code_verifier are required');
+        }
+
+        const issued = this.codes.get(code);
+        // Codes are single use: remove it before any other check so a failed attempt burns it too
+        this.codes.delete(code);
+
+        if (!issued) {
+            const redeemed = this.redeemedCodes.get(code);
+            if (redeemed) {
+                this.logger.warn('Authorization code replay rejected', { clientId: client_id, issuedTo: redeemed.clientId });
+                throw new OAuthError('invalid_grant', 'Authorization code has already been used');
+            }
+            throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+        }
+        this.redeemedCodes.set(code, { clientId: issued.clientId, expiresAt: issued.expiresAt });
+
+        if (issued.expiresAt <= Date.now()) {
+            throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+        }
+        if (issued.clientId !== client_id) {
+            this.logger.warn('Authorization code presented by another client', { clientId: client_id, issuedTo: issued.clientId });
+            throw new OAuthError('invalid_grant', 'Authorization code was issued to another client');
+        }
+        if (issued.redirectUri !== redirect_uri) {
+            throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+        }
+        if (!CODE_VERIFIER_PATTERN.test(code_verifier) || !safeEqual(computeCodeChallenge(code_verifier), issued.codeChallenge)) {
+            this.logger.warn('PKCE verification failed', { clientId: client_id });
+            throw new OAuthError('invalid_grant', 'code_verifier does not match the code_challenge');
+        }
+
+        this.logger.info('Authorization code redeemed', { clientId: client_id });
+        return this.tokens.issue({
+            clientId: issued.clientId,
+            scope: issued.scope,
+            subject: issued.subject,
+            upstream: issued.upstream,
+            credentials: issued.credentials,
+            refreshable: client.grant_types.includes('refresh_token')
+        });
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const store of [this.pendingRequests, this.codes, this.redeemedCodes]) {
+            for (const [key, entry] of store) {
+                // Redeemed codes are remembered for one more code lifetime to report replays
+                const expiresAt = store === this.redeemedCodes ? entry.expiresAt + this.codeTtl : entry.expiresAt;
+                if (expiresAt <= now) {
+                    store.delete(key);
+                }
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            pendingRequests: this.pendingRequests.size,
+            activeCodes: this.codes.size,
+            ...this.tokens.getStats()
+        };
+    }
+}
+
+// RFC 8414 authorization server metadata, served at /.well-known/oauth-authorization-server
+export function getAuthorizationServerMetadata(issuer) {
+    return {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        registration_endpoint: `${issuer}/register`,
+        scopes_supported: SUPPORTED_SCOPES,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: SUPPORTED_GRANT_TYPES,
+        token_endpoint_auth_methods_supported: ['none'],
+        code_challenge_methods_supported: SUPPORTED_CODE_CHALLENGE_METHODS
+    };
+}
+
+// RFC 9728 protected resource metadata for one resource URL, served at
+// /.well-known/oauth-protected-resource followed by the resource's path
+export function getProtectedResourceMetadata(resource, authorizationServer) {
+    return {
+        resource,
+        authorization_servers: [authorizationServer],
+        scopes_supported: SUPPORTED_SCOPES,
+        bearer_methods_supported: ['header'],
+        resource_name: 'Rezoomex MCP Server'
+    };
+}
+
+// Where clients find the metadata for a resource URL (RFC 9728 section 3.1)
+export function getProtectedResourceMetadataUrl(resource) {
+    const url = new URL(resource);
+    const path = url.pathname === '/' ? '' : url.pathname;
+    return `${url.origin}/.well-known/oauth-protected-resource${path}`;
+}
+
+// WWW-Authenticate value for a 401 (RFC 6750 section 3, RFC 9728 section 5.1). Pass
+// error when a token was presented but rejected; a missing token gets no error code.
+export function buildBearerChallenge(resourceMetadataUrl, error) {
+    const params = [`resource_metadata="${resourceMetadataUrl}"`, `scope="${SUPPORTED_SCOPES.join(' ')}"`];
+    if (error) {
+        params.push(`error="${error.code}"`, `error_description="${error.description.replace(/["\\]/g, '')}"`);
+    }
+    return `Bearer ${params.join(', ')}`;
+}
+
+// Appends query parameters to a redirect URI that may already carry its own query
+export function buildRedirect(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(key, value);
+        }
+    }
+    return url.toString();
+}
+
+export function isAbsoluteRedirectUri(value) {
+    if (typeof value !== 'string' || !value) {
+        return false;
+    }
+    try {
+        return !new URL(value).hash;
+    } catch {
+        return false;
+    }
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && timingSafeEqual(left, right);
+}
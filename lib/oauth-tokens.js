@@ -0,0 +1,291 @@
+// Access and refresh tokens issued by the OAuth server. Clients never see the Rezoomex token:
+// each token pair belongs to a grant that holds the upstream credentials, and the upstream
+// token is renewed shortly before it expires, so API clients always get a live bearer.
+// Refresh tokens rotate on every use; presenting a rotated one again revokes the grant.
+// When Rezoomex issues no refresh token, a grant can only outlive the upstream token by signing
+// in again with the user's email and password. Those are kept (in memory only) just when
+// OAUTH_RETAIN_CREDENTIALS=true, and such grants end after OAUTH_CREDENTIAL_GRANT_TTL_MS;
+// otherwise the grant ends when the upstream token does.
+
+import { randomBytes } from 'crypto';
+import { OAuthError } from './oauth-server.js';
+
+export const ACCESS_TOKEN_PREFIX = 'rzmx_at_';
+export const REFRESH_TOKEN_PREFIX = 'rzmx_rt_';
+
+// Thrown by renewUpstream when Rezoomex refuses the refresh token or credentials, as opposed
+// to being unreachable; only a refusal ends the grant
+export class UpstreamRejectedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UpstreamRejectedError';
+    }
+}
+
+export class OAuthTokenStore {
+    // renewUpstream(upstream) -> { access_token, expires_in?, refresh_token? } gets a fresh
+    // upstream token from upstream.refreshToken, or from upstream.credentials when Rezoomex
+    // issued no refresh token, and throws UpstreamRejectedError when Rezoomex refuses them
+    constructor(logger, { renewUpstream, accessTokenTtl, refreshTokenTtl, renewalWindow, upstreamTokenTtl, retainCredentials, credentialGrantTtl } = {}) {
+        if (typeof renewUpstream !== 'function') {
+            throw new Error('OAuthTokenStore needs a renewUpstream(upstream) function');
+        }
+        this.logger = logger;
+        this.renewUpstream = renewUpstream;
+        this.accessTokenTtl = accessTokenTtl ?? (parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL_MS) || 60 * 60 * 1000);
+        this.refreshTokenTtl = refreshTokenTtl ?? (parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000);
+        this.renewalWindow = renewalWindow ?? (parseInt(process.env.OAUTH_UPSTREAM_RENEWAL_MS) || 5 * 60 * 1000);
+        // Lifetime assumed for upstream tokens that state no expiry of their own
+        this.upstreamTokenTtl = upstreamTokenTtl ?? (parseInt(process.env.REZOOMEX_TOKEN_TTL_MS) || 60 * 60 * 1000);
+        this.retainCredentials = retainCredentials ?? process.env.OAUTH_RETAIN_CREDENTIALS === 'true';
+        // Longest a grant holding a password may live, however long its refresh tokens would
+        this.credentialGrantTtl = credentialGrantTtl ?? (parseInt(process.env.OAUTH_CREDENTIAL_GRANT_TTL_MS) || 24 * 60 * 60 * 1000);
+        this.grants = new Map(); // grantId -> { clientId, scope, subject, refreshable, upstream, expiresAt, renewing }
+        this.accessTokens = new Map(); // token -> { grantId, scope, expiresAt }
+        this.refreshTokens = new Map(); // token -> { grantId, expiresAt, rotated }
+    }
+
+    static isIssuedToken(token) {
+        return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX);
+    }
+
+    // Starts a grant for a redeemed authorization code and returns its first token response.
+    // Clients not registered for the refresh_token grant get an access token only, and so does
+    // a grant whose upstream token cannot be renewed.
+    issue({ clientId, scope, subject, upstream, credentials, refreshable = true }) {
+        const grantId = randomBytes(16).toString('hex');
+        const upstreamState = this.toUpstream(upstream, credentials);
+        const renewable = !!(upstreamState.refreshToken || upstreamState.credentials);
+
+        let expiresAt = Date.now() + (refreshable && renewable ? this.refreshTokenTtl : this.accessTokenTtl);
+        if (upstreamState.credentials) {
+            expiresAt = Math.min(expiresAt, Date.now() + this.credentialGrantTtl);
+        }
+        if (!renewable) {
+            expiresAt = Math.min(expiresAt, upstreamState.expiresAt);
+        }
+
+        this.grants.set(grantId, {
+            clientId,
+            scope,
+            subject,
+            refreshable: refreshable && renewable,
+            upstream: upstreamState,
+            expiresAt,
+            renewing: null
+        });
+
+        this.logger.info('OAuth grant started', { grantId, clientId });
+        return this.issueTokens(grantId);
+    }
+
+    // refresh_token grant: rotates the refresh token and issues a new access token
+    async refresh({ refresh_token, client_id, scope }) {
+        this.prune();
+
+        if (!refresh_token || !client_id) {
+            throw new OAuthError('invalid_request', 'refresh_token and client_id are required');
+        }
+
+        const entry = this.refreshTokens.get(refresh_token);
+        const grant = entry && this.grants.get(entry.grantId);
+        if (!entry || !grant || entry.expiresAt <= Date.now()) {
+            throw new OAuthError('invalid_grant', 'Refresh token is invalid or expired');
+        }
+        if (entry.rotated) {
+            // A rotated token came back: it leaked or was replayed, so end the whole grant
+            this.logger.warn('Rotated refresh token reused; revoking grant', { grantId: entry.grantId, clientId: client_id });
+            this.revokeGrant(entry.grantId);
+            throw new OAuthError('invalid_grant', 'Refresh token has already been used');
+        }
+        if (grant.clientId !== client_id) {
+            this.logger.warn('Refresh token presented by another client', { grantId: entry.grantId, clientId: client_id });
+            throw new OAuthError('invalid_grant', 'Refresh token was issued to another client');
+        }
+        if (scope && !scope.split(' ').every(requested => grant.scope.split(' ').includes(requested))) {
+            throw new OAuthError('invalid_scope', 'Requested scope exceeds the original grant');
+        }
+
+        // Rotate before any await, so a concurrent request with the same token counts as reuse
+        entry.rotated = true;
+
+        // Make sure Rezoomex still accepts the stored credentials before handing out a new token
+        try {
+            await this.getUpstreamToken(entry.grantId);
+        } catch (error) {
+            if (error instanceof UpstreamRejectedError || !this.grants.has(entry.grantId)) {
+                this.revokeGrant(entry.grantId);
+                throw new OAuthError('invalid_grant', 'Upstream sign-in is no longer valid. Sign in again.');
+            }
+            // Rezoomex could not be reached: keep the refresh token usable for a retry
+            entry.rotated = false;
+            throw new OAuthError('temporarily_unavailable', 'Rezoomex is unavailable. Try again shortly.', 503);
+        }
+        // Revoked while we waited, e.g. because the same refresh token was presented again
+        if (!this.grants.has(entry.grantId)) {
+            throw new OAuthError('invalid_grant', 'Refresh token has already been used');
+        }
+
+        this.logger.info('OAuth tokens refreshed', { grantId: entry.grantId, clientId: client_id });
+        return this.issueTokens(entry.grantId, scope);
+    }
+
+    // The grant behind one of our access tokens, or null when it is unknown or expired
+    verifyAccessToken(token) {
+        const entry = this.accessTokens.get(token);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            return null;
+        }
+        const grant = this.grants.get(entry.grantId);
+        if (!grant || grant.expiresAt <= Date.now()) {
+            return null;
+        }
+        return {
+            grantId: entry.grantId,
+            clientId: grant.clientId,
+            scope: entry.scope,
+            subject: grant.subject,
+            expiresAt: entry.expiresAt
+        };
+    }
+
+    // Current upstream bearer for a grant, renewed first when it is about to expire.
+    // Concurrent callers share one renewal.
+    async getUpstreamToken(grantId) {
+        const grant = this.grants.get(grantId);
+        if (!grant) {
+            throw new Error('OAuth grant has been revoked or has expired');
+        }
+        // Nothing to renew with: the grant ends with this token anyway
+        const renewable = grant.upstream.refreshToken || grant.upstream.credentials;
+        if (!renewable || grant.upstream.expiresAt - Date.now() > this.renewalWindow) {
+            return grant.upstream.accessToken;
+        }
+
+        if (!grant.renewing) {
+            grant.renewing = this.renew(grantId, grant).finally(() => {
+                grant.renewing = null;
+            });
+        }
+        return grant.renewing;
+    }
+
+    async renew(grantId, grant) {
+        try {
+            const renewed = await this.renewUpstream(grant.upstream);
+            grant.upstream = this.toUpstream(renewed, grant.upstream.credentials, grant.upstream.refreshToken);
+            this.logger.info('Upstream token renewed', { grantId, expiresAt: new Date(grant.upstream.expiresAt).toISOString() });
+            return grant.upstream.accessToken;
+        } catch (error) {
+            this.logger.error('Upstream token renewal failed', { grantId, rejected: error instanceof UpstreamRejectedError, error: error.message });
+            if (error instanceof UpstreamRejectedError) {
+                throw error;
+            }
+            throw new Error(`Failed to renew Rezoomex token: ${error.message}`);
+        }
+    }
+
+    countClientGrants(clientId) {
+        return Array.from(this.grants.values()).filter(grant => grant.clientId === clientId).length;
+    }
+
+    // Ends every grant of a client; returns how many there were
+    revokeClient(clientId) {
+        const grantIds = Array.from(this.grants.entries())
+            .filter(([, grant]) => grant.clientId === clientId)
+            .map(([grantId]) => grantId);
+        grantIds.forEach(grantId => this.revokeGrant(grantId));
+        return grantIds.length;
+    }
+
+    revokeGrant(grantId) {
+        this.grants.delete(grantId);
+        for (const store of [this.accessTokens, this.refreshTokens]) {
+            for (const [token, entry] of store) {
+                if (entry.grantId === grantId) {
+                    store.delete(token);
+                }
+            }
+        }
+        this.logger.info('OAuth grant revoked', { grantId });
+    }
+
+    // scope narrows the new access token; the grant, and its refresh tokens, keep the original
+    issueTokens(grantId, scope) {
+        const grant = this.grants.get(grantId);
+        const accessToken = `${ACCESS_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+        const expiresAt = Math.min(Date.now() + this.accessTokenTtl, grant.expiresAt);
+        const tokenScope = scope || grant.scope;
+        this.accessTokens.set(accessToken, { grantId, scope: tokenScope, expiresAt });
+
+        const response = {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: Math.floor((expiresAt - Date.now()) / 1000),
+            scope: tokenScope
+        };
+        if (grant.refreshable) {
+            response.refresh_token = `${REFRESH_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+            this.refreshTokens.set(response.refresh_token, { grantId, expiresAt: grant.expiresAt, rotated: false });
+        }
+        return response;
+    }
+
+    // Upstream token state. Credentials are only kept when retention is enabled and there is
+    // no refresh token to renew with, and only in memory.
+    toUpstream(response, credentials, previousRefreshToken) {
+        const refreshToken = response.refresh_token || previousRefreshToken || null;
+        return {
+            accessToken: response.access_token,
+            expiresAt: this.getUpstreamExpiry(response),
+            refreshToken,
+            credentials: refreshToken || !this.retainCredentials ? null : credentials || null
+        };
+    }
+
+    getUpstreamExpiry(response) {
+        if (response.expires_in) {
+            return Date.now() + response.expires_in * 1000;
+        }
+        return readJwtExpiry(response.access_token) ?? Date.now() + this.upstreamTokenTtl;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [grantId, grant] of this.grants) {
+            if (grant.expiresAt <= now) {
+                this.revokeGrant(grantId);
+            }
+        }
+        for (const store of [this.accessTokens, this.refreshTokens]) {
+            for (const [token, entry] of store) {
+                if (entry.expiresAt <= now) {
+                    store.delete(token);
+                }
+            }
+        }
+    }
+
+    getStats() {
+        this.prune();
+        return {
+            grants: this.grants.size,
+            accessTokens: this.accessTokens.size,
+            refreshTokens: this.refreshTokens.size
+        };
+    }
+}
+
+// The exp claim of a JWT, in milliseconds; null when the token is not a JWT
+function readJwtExpiry(token) {
+    const payload = typeof token === 'string' ? token.split('.')[1] : null;
+    if (!payload) {
+        return null;
+    }
+    try {
+        const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
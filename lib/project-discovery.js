@@ -0,0 +1,153 @@
+// Builds each user's list of accessible projects. The gateway has no "list my projects"
+// endpoint, so candidates are gathered from the user's memberships, a configurable list of
+// IDs to probe, and projects the user has already used successfully, then verified one by one.
+
+// Keys on /v1/users/me that may carry project memberships
+const MEMBERSHIP_KEYS = ['projects', 'projectIds', 'memberships', 'products', 'productCodes', 'workspaces'];
+
+// Keys on a membership entry that may carry the project ID
+const MEMBERSHIP_ID_KEYS = ['projectId', 'productCode', 'product_code', 'code', 'id', 'slug'];
+
+export class ProjectDiscovery {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.cacheTtl = options.cacheTtl ?? (parseInt(process.env.PROJECT_DISCOVERY_TTL_MS) || 5 * 60 * 1000);
+        this.probeIds = options.probeIds ?? parseIdList(process.env.REZOOMEX_PROJECT_IDS);
+        this.projectLists = new Map(); // userKey -> { projects, expiresAt }
+        this.knownProjects = new Map(); // userKey -> Set of project IDs used successfully
+    }
+
+    getUserKey(userInfo) {
+        if (!userInfo) {
+            return null;
+        }
+        const key = userInfo.id || userInfo.userId || userInfo.sub || userInfo.email;
+        return key ? String(key) : null;
+    }
+
+    rememberProject(userKey, projectId) {
+        if (!userKey || !projectId) {
+            return;
+        }
+
+        if (!this.knownProjects.has(userKey)) {
+            this.knownProjects.set(userKey, new Set());
+        }
+
+        const known = this.knownProjects.get(userKey);
+        if (known.has(projectId)) {
+            return;
+        }
+
+        known.add(projectId);
+
+        // A cached list that doesn't include this project is now stale
+        const cached = this.projectLists.get(userKey);
+        if (cached && !cached.projects.some(project => project.id === projectId)) {
+            this.projectLists.delete(userKey);
+        }
+    }
+
+    forgetProject(userKey, projectId) {
+        this.knownProjects.get(userKey)?.delete(projectId);
+    }
+
+    invalidate(userKey) {
+        this.projectLists.delete(userKey);
+    }
+
+    getCandidateIds(userKey, userInfo) {
+        const candidates = [
+            ...extractMembershipIds(userInfo),
+            ...this.probeIds,
+            ...(this.knownProjects.get(userKey) || [])
+        ];
+        return [...new Set(candidates)];
+    }
+
+    async discover(client) {
+        const userKey = this.getUserKey(client.userInfo);
+        const cached = userKey ? this.projectLists.get(userKey) : null;
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.projects;
+        }
+
+        const candidateIds = this.getCandidateIds(userKey, client.userInfo);
+        const results = await Promise.allSettled(
+            candidateIds.map(projectId => client.fetchProjectSummary(projectId))
+        );
+
+        const projects = [];
+        const seen = new Set();
+        results.forEach((result, index) => {
+            const projectId = candidateIds[index];
+            if (result.status === 'rejected') {
+                this.logger.debug(`Project ${projectId} not accessible`, { error: result.reason?.message });
+                const status = result.reason?.response?.status;
+                if (status === 403 || status === 404) {
+                    this.forgetProject(userKey, projectId);
+                }
+                return;
+            }
+
+            const project = result.value;
+            if (project && !seen.has(project.id)) {
+                seen.add(project.id);
+                projects.push(project);
+            }
+        });
+
+        if (userKey) {
+            this.projectLists.set(userKey, { projects, expiresAt: Date.now() + this.cacheTtl });
+        }
+
+        this.logger.info('Project discovery completed', {
+            userKey,
+            candidates: candidateIds.length,
+            accessible: projects.length
+        });
+
+        return projects;
+    }
+}
+
+export function extractMembershipIds(userInfo) {
+    if (!userInfo || typeof userInfo !== 'object') {
+        return [];
+    }
+
+    const ids = [];
+    for (const key of MEMBERSHIP_KEYS) {
+        const value = userInfo[key];
+        const entries = Array.isArray(value) ? value : (value && typeof value === 'object' ? Object.values(value) : []);
+
+        for (const entry of entries) {
+            if (typeof entry === 'string' && entry.trim()) {
+                ids.push(entry.trim());
+            } else if (entry && typeof entry === 'object') {
+                const idKey = MEMBERSHIP_ID_KEYS.find(k => typeof entry[k] === 'string' && entry[k].trim());
+                if (idKey) {
+                    ids.push(entry[idKey].trim());
+                }
+            }
+        }
+    }
+    return ids;
+}
+
+function parseIdList(value) {
+    return (value || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+let sharedDiscovery = null;
+
+// One discovery instance per process so the per-user cache survives across sessions
+export function getProjectDiscovery(logger) {
+    if (!sharedDiscovery) {
+        sharedDiscovery = new ProjectDiscovery(logger);
+    }
+    return sharedDiscovery;
+}
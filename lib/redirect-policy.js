@@ -0,0 +1,109 @@
+// Which redirect URIs OAuth clients may register and use. A registered URI must be https, a
+// loopback http address (native IDE clients, RFC 8252), or a private-use scheme such as
+// vscode:// or cursor://; OAUTH_REDIRECT_ALLOWLIST narrows that to listed origins and schemes.
+// At authorization time the redirect_uri must match a registered URI exactly, except that
+// loopback URIs may move to another port (OAUTH_LOOPBACK_REDIRECTS).
+
+// Schemes a browser would execute, read locally or hand to something other than the client
+const BLOCKED_SCHEMES = ['javascript:', 'data:', 'vbscript:', 'file:', 'blob:', 'about:', 'ftp:', 'ws:', 'wss:'];
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]', 'localhost'];
+
+// any-port: loopback URIs match a registered one on any port (RFC 8252 section 7.3)
+// exact: loopback URIs must match exactly, port included
+// deny: loopback URIs cannot be registered or used
+export const LOOPBACK_POLICIES = ['any-port', 'exact', 'deny'];
+
+export class RedirectUriPolicy {
+    constructor(options = {}) {
+        this.loopback = options.loopback ?? (process.env.OAUTH_LOOPBACK_REDIRECTS || 'any-port');
+        if (!LOOPBACK_POLICIES.includes(this.loopback)) {
+            throw new Error(`Unknown OAUTH_LOOPBACK_REDIRECTS: ${this.loopback} (expected ${LOOPBACK_POLICIES.join(', ')})`);
+        }
+        // Origins ("https://vscode.dev") and schemes ("cursor:") allowed besides loopback
+        this.allowlist = options.allowlist ?? (process.env.OAUTH_REDIRECT_ALLOWLIST || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    // Why a URI cannot be registered, or null when it is acceptable
+    checkRegistration(uri) {
+        const url = parseUri(uri);
+        if (!url) {
+            return 'must be an absolute URI';
+        }
+        if (url.hash || uri.includes('#')) {
+            return 'must not contain a fragment';
+        }
+        if (url.username || url.password) {
+            return 'must not contain credentials';
+        }
+        if (BLOCKED_SCHEMES.includes(url.protocol)) {
+            return `the ${url.protocol} scheme is not allowed`;
+        }
+
+        if (isLoopback(url)) {
+            return this.loopback === 'deny' ? 'loopback redirect URIs are disabled' : null;
+        }
+        if (url.protocol === 'http:') {
+            return 'http is only allowed for loopback addresses; use https';
+        }
+        if (this.allowlist.length > 0 && !this.allowlist.some(entry => matchesAllowlistEntry(url, entry))) {
+            return 'is not on the redirect allowlist';
+        }
+        return null;
+    }
+
+    // Whether a client registered with registeredUris may send the browser to redirectUri.
+    // Registered URIs are checked against the current policy too, so tightening it also
+    // applies to existing clients.
+    isAllowed(registeredUris, redirectUri) {
+        if (this.checkRegistration(redirectUri) !== null) {
+            return false;
+        }
+        if (registeredUris.includes(redirectUri)) {
+            return true;
+        }
+        if (this.loopback !== 'any-port') {
+            return false;
+        }
+
+        const requested = parseUri(redirectUri);
+        if (!isLoopback(requested)) {
+            return false;
+        }
+        return registeredUris.some(registered => {
+            const url = parseUri(registered);
+            return isLoopback(url)
+                && url.protocol === requested.protocol
+                && url.hostname === requested.hostname
+                && url.pathname === requested.pathname
+                && url.search === requested.search;
+        });
+    }
+}
+
+function parseUri(value) {
+    if (typeof value !== 'string' || !value) {
+        return null;
+    }
+    try {
+        return new URL(value);
+    } catch {
+        return null;
+    }
+}
+
+function isLoopback(url) {
+    return url?.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname);
+}
+
+function matchesAllowlistEntry(url, entry) {
+    // "cursor:" or "cursor://" allows the whole scheme
+    const scheme = entry.match(/^([a-z][a-z0-9+.-]*):(\/\/)?$/i);
+    if (scheme) {
+        return url.protocol === `${scheme[1].toLowerCase()}:`;
+    }
+    const allowed = parseUri(entry);
+    return allowed !== null && allowed.origin !== 'null' && allowed.origin === url.origin;
+}
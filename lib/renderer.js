@@ -0,0 +1,371 @@
+// Renders tool results as text. A view turns a trimmed result into a small document: a list
+// of blocks (heading, text, fields, list, note, code). An output format turns the blocks into a
+// string. Built-in formats are plain, markdown, compact and json; more can be added with
+// registerFormat. Views know nothing about formats and formats nothing about Rezoomex data.
+
+export const DEFAULT_FORMAT = 'plain';
+
+// Block constructors
+
+export function heading(text, level = 1) {
+    return { type: 'heading', text, level };
+}
+
+export function paragraph(text) {
+    return { type: 'text', text };
+}
+
+// pairs: [[label, value], ...]; empty values are dropped
+export function fields(pairs) {
+    return { type: 'fields', fields: pairs.filter(([, value]) => !isEmpty(value)) };
+}
+
+// items: [{ number, title, id, fields: [[label, value], ...] }]
+export function list(items) {
+    return { type: 'list', items };
+}
+
+export function note(text) {
+    return { type: 'note', text };
+}
+
+export function code(text, language = '') {
+    return { type: 'code', text, language };
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// keyTraits -> key traits, pain_points -> pain points
+function humanize(key) {
+    return String(key)
+        .replace(/_/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase();
+}
+
+function describeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(describeValue).join(', ');
+    }
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function itemNumber(item) {
+    return item.number === undefined || item.number === null ? '' : `${item.number}. `;
+}
+
+// Output formats. Each renders the blocks; json renders the structured data instead.
+
+// Each block renderer returns a string; the format joins the non-empty ones
+function blockFormat(renderers, separator) {
+    return {
+        render(blocks) {
+            return blocks
+                .map(block => renderers[block.type](block))
+                .filter(text => text !== '')
+                .join(separator);
+        }
+    };
+}
+
+const plain = blockFormat({
+    heading: block => block.level === 1
+        ? `${block.text}\n${'='.repeat(block.text.length)}`
+        : `\n${block.text}:`,
+    text: block => block.text,
+    fields: block => block.fields.map(([label, value]) => `${humanize(label)}: ${describeValue(value)}`).join('\n'),
+    list: block => block.items.map(item => [
+        `${itemNumber(item)}${item.title}${item.id ? ` (${item.id})` : ''}`,
+        ...(item.fields || [])
+            .filter(([, value]) => !isEmpty(value))
+            .map(([label, value]) => `   ${humanize(label)}: ${describeValue(value)}`)
+    ].join('\n')).join('\n'),
+    note: block => block.text,
+    code: block => block.text
+}, '\n');
+
+const markdown = blockFormat({
+    heading: block => `${'#'.repeat(block.level)} ${block.text}`,
+    text: block => block.text,
+    fields: block => block.fields.map(([label, value]) => `- **${humanize(label)}:** ${describeValue(value)}`).join('\n'),
+    list: block => block.items.map(item => [
+        `- ${item.number === undefined || item.number === null ? '' : `**${item.number}.** `}${item.title}${item.id ? ` \`${item.id}\`` : ''}`,
+        ...(item.fields || [])
+            .filter(([, value]) => !isEmpty(value))
+            .map(([label, value]) => `  - ${humanize(label)}: ${describeValue(value)}`)
+    ].join('\n')).join('\n'),
+    note: block => `> ${block.text}`,
+    code: block => `\`\`\`${block.language}\n${block.text}\n\`\`\``
+}, '\n\n');
+
+// One line per block, list items and fields run together, details and raw dumps left out
+const compact = blockFormat({
+    heading: block => block.text,
+    text: block => block.text,
+    fields: block => block.fields.map(([label, value]) => `${humanize(label)}: ${describeValue(value)}`).join('; '),
+    list: block => block.items.map(item => `${itemNumber(item)}${item.title}`).join('; '),
+    note: block => block.text,
+    code: () => ''
+}, '\n');
+
+const json = {
+    render(blocks, data) {
+        return JSON.stringify(data, null, 2);
+    }
+};
+
+export class Renderer {
+    constructor() {
+        this.formats = new Map();
+    }
+
+    // format: { render(blocks, data) => string }
+    registerFormat(name, format) {
+        if (typeof format?.render !== 'function') {
+            throw new Error(`Output format ${name} needs a render(blocks, data) function`);
+        }
+        this.formats.set(name, format);
+    }
+
+    formatNames() {
+        return Array.from(this.formats.keys());
+    }
+
+    render(blocks, format = DEFAULT_FORMAT, data = null) {
+        const renderer = this.formats.get(format);
+        if (!renderer) {
+            throw new Error(`Unknown output format: ${format}. Available formats: ${this.formatNames().join(', ')}`);
+        }
+        return renderer.render(blocks, data);
+    }
+}
+
+let sharedRenderer = null;
+
+export function getRenderer() {
+    if (!sharedRenderer) {
+        sharedRenderer = new Renderer();
+        sharedRenderer.registerFormat('plain', plain);
+        sharedRenderer.registerFormat('markdown', markdown);
+        sharedRenderer.registerFormat('compact', compact);
+        sharedRenderer.registerFormat('json', json);
+    }
+    return sharedRenderer;
+}
+
+// Fills the elevator pitch template from its slots
+export function renderElevatorPitch(props) {
+    const audience = props.WHO ? `${props.FOR || ''} who ${props.WHO}` : (props.FOR || '');
+    return `For ${audience}, ${props.THE || ''} is a ${props.IS_A || ''} that ${props.THAT || ''}. Unlike ${props.UNLIKE || ''}, our product ${props.OUR_PRODUCT || ''}`;
+}
+
+// Views: trimmed result (see tool-output.js) -> blocks. They accept both the standard and the
+// minimal payload, so every field beyond the identifiers is optional.
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function pageNote(content) {
+    return content.hasMore ? [note(`More available: pass cursor "${content.nextCursor}" for the next page`)] : [];
+}
+
+function titleOf(item, fallback) {
+    return item.title || item.name || item.jtbdItem || fallback;
+}
+
+// Fields of a flattened resource other than the ones already shown
+function restFields(resource, shown) {
+    return Object.entries(resource).filter(([key]) => !shown.includes(key));
+}
+
+function listItem(item, fallback, details = []) {
+    return { number: item.number, title: titleOf(item, fallback), id: item.id, fields: details };
+}
+
+function actionText(noun, action, item) {
+    if (!item) {
+        return `${noun} ${action}`;
+    }
+    const number = item.number === undefined || item.number === null ? '' : ` #${item.number}`;
+    const title = titleOf(item, '');
+    return `${noun}${number}${title ? ` "${title}"` : ''} (${item.id}) ${action}`;
+}
+
+function afterChange(headingText, items, fallback) {
+    return items.length > 0
+        ? [heading(headingText, 2), list(items.map(item => listItem(item, fallback)))]
+        : [paragraph(headingText)];
+}
+
+const STORY_SECTIONS = [
+    ['acceptanceCriteria', 'Acceptance criteria'],
+    ['testCases', 'Test cases'],
+    ['testData', 'Test data']
+];
+
+function storyBlocks(story, level = 1) {
+    const blocks = [
+        heading(`Story #${story.number ?? '-'}: ${story.title}`, level),
+        fields([['id', story.id], ['description', story.description]])
+    ];
+    for (const [field, label] of STORY_SECTIONS) {
+        if (story[field]?.length > 0) {
+            blocks.push(heading(label, level + 1));
+            blocks.push(list(story[field].map(item => listItem(item, 'Untitled', [['description', item.description]]))));
+        }
+    }
+    if (story.failedCollections?.length > 0) {
+        blocks.push(note(`Could not load: ${story.failedCollections.join(', ')} (shown as empty)`));
+    }
+    return blocks;
+}
+
+function personaBlocks(persona, action) {
+    const blocks = action ? [paragraph(`Persona ${action}`)] : [];
+    if (!persona) {
+        return [...blocks, paragraph('Persona not found')];
+    }
+    blocks.push(heading(`${persona.name || 'Unnamed persona'} (${persona.id})`));
+    blocks.push(fields(restFields(persona, ['id', 'name'])));
+    return blocks;
+}
+
+function projectBlocks(project) {
+    return [
+        heading(`${project.name || 'Unnamed project'} (${project.id})`),
+        ...(project.description ? [paragraph(project.description)] : []),
+        fields(restFields(project, ['id', 'name', 'description']))
+    ];
+}
+
+function personaList(personas) {
+    return list(personas.map(persona => ({
+        title: persona.name || 'Unnamed persona',
+        id: persona.id,
+        fields: [['role', persona.role]]
+    })));
+}
+
+export const VIEWS = {
+    storyList: content => [
+        heading(plural(content.total, 'user story', 'user stories')),
+        list(content.stories.map(story => listItem(story, 'Untitled story'))),
+        ...pageNote(content)
+    ],
+
+    storyDetails: content => storyBlocks(content.story),
+
+    storyRange: content => {
+        if (content.count === 0) {
+            return [paragraph(content.message || `No stories found in range ${content.range}`)];
+        }
+        const detailed = content.stories.every(story => story.acceptanceCriteria);
+        return [
+            heading(`${plural(content.count, 'story', 'stories')} in range ${content.range}`),
+            ...(detailed
+                ? content.stories.flatMap(story => storyBlocks(story, 2))
+                : [list(content.stories.map(story => listItem(story, 'Untitled story')))])
+        ];
+    },
+
+    storyWrite: content => [
+        paragraph(`${actionText('Story', content.action, content.story)}${content.total === undefined ? '' : `; ${plural(content.total, 'story', 'stories')} in total`}`)
+    ],
+
+    projectOverview: content => [
+        heading(`${content.name || 'Project'} (${content.projectId})`),
+        ...(content.description ? [paragraph(content.description)] : []),
+        fields([
+            ['elevator pitch', content.elevatorPitch === undefined ? undefined : (content.elevatorPitch ? renderElevatorPitch(content.elevatorPitch) : 'none')],
+            ['vision', content.visionStatement === undefined ? undefined : (content.visionStatement || 'none')]
+        ]),
+        heading('Personas', 2),
+        content.personas.length > 0 ? personaList(content.personas) : paragraph('none')
+    ],
+
+    elevatorPitchWrite: content => [
+        paragraph(`${content.dryRun ? 'Elevator pitch preview (not saved)' : `Elevator pitch ${content.action}`}: ${content.rendered}`)
+    ],
+
+    visionStatementWrite: content => [
+        paragraph(`${content.dryRun ? 'Vision statement preview (not saved)' : `Vision statement ${content.action}`}: ${content.visionStatement.content}`)
+    ],
+
+    persona: content => personaBlocks(content.persona, content.action),
+
+    journey: content => [
+        heading(plural(content.total, 'journey event')),
+        list(content.events.map(event => listItem(event, 'Untitled event', restFields(event, ['number', 'id', 'name'])))),
+        ...pageNote(content)
+    ],
+
+    journeyWrite: content => [
+        paragraph(actionText('Journey event', content.action, content.event)),
+        ...(content.events ? afterChange(`The journey now has ${plural(content.total, 'event')}`, content.events, 'Untitled event') : [])
+    ],
+
+    jobs: content => [
+        heading(plural(content.total, 'job to be done', 'jobs to be done')),
+        list(content.jobs.map(job => listItem(job, 'Untitled job', restFields(job, ['number', 'id', 'jtbdItem'])))),
+        ...pageNote(content)
+    ],
+
+    jobWrite: content => [
+        paragraph(actionText('Job', content.action, content.job)),
+        ...(content.jobs ? [paragraph(`The persona now has ${plural(content.total, 'job to be done', 'jobs to be done')}`)] : [])
+    ],
+
+    userInfo: content => {
+        const { user } = content;
+        const name = user.name || [user.firstName, user.lastName].filter(Boolean).join(' ');
+        return [
+            paragraph(`Signed in as ${[name, user.email && `<${user.email}>`].filter(Boolean).join(' ') || 'unknown user'}`),
+            fields([['NDA status', user.ndaStatus]])
+        ];
+    },
+
+    ndaStatus: content => [fields([['NDA status', content.ndaStatus]])],
+
+    projectEnvironment: content => [
+        heading(`Project environment with ${plural(content.total, 'persona')}`),
+        personaList(content.personas)
+    ],
+
+    project: content => projectBlocks(content.project),
+
+    projectList: content => [
+        heading([
+            plural(content.total, 'project'),
+            content.query && `matching "${content.query}"`,
+            content.page && `(page ${content.page})`
+        ].filter(Boolean).join(' ')),
+        list(content.projects.map(project => ({ title: project.name || 'Unnamed project', id: project.id })))
+    ],
+
+    legacyElevatorPitch: content => [
+        paragraph(typeof content.result === 'string' ? content.result : renderElevatorPitch(content.result))
+    ],
+
+    legacyVisionStatement: content => [paragraph(content.result)]
+};
+
+// Story child collections differ only in labels and title field
+export function storyChildListView(spec) {
+    return content => [
+        heading(`${plural(content.total, spec.label, spec.pluralLabel)}${content.storyId ? ` on story ${content.storyId}` : ''}`),
+        list(content.items.map(item => listItem(item, `Untitled ${spec.label}`, [['description', item.description]])))
+    ];
+}
+
+export function storyChildWriteView(spec) {
+    const noun = spec.label.charAt(0).toUpperCase() + spec.label.slice(1);
+    return content => [
+        paragraph(actionText(noun, content.action, content.item)),
+        ...(content.items
+            ? afterChange(`The story now has ${plural(content.total, spec.label, spec.pluralLabel)}`, content.items, `Untitled ${spec.label}`)
+            : [])
+    ];
+}
@@ -0,0 +1,83 @@
+// Limits how many upstream fan-out requests run at once, both per user and across the
+// process, so a large story range queues its child fetches instead of flooding the gateway.
+// Waiting tasks start in arrival order as soon as both limits allow.
+
+export class RequestScheduler {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.globalLimit = options.globalLimit ?? (parseInt(process.env.SCHEDULER_GLOBAL_CONCURRENCY) || 16);
+        this.userLimit = options.userLimit ?? (parseInt(process.env.SCHEDULER_USER_CONCURRENCY) || 6);
+        this.active = 0;
+        this.activeByUser = new Map(); // userKey -> running task count
+        this.queue = []; // { userKey, task, resolve, reject }
+        this.stats = { completed: 0, failed: 0, maxQueued: 0 };
+    }
+
+    schedule(userKey, task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ userKey: userKey || 'anonymous', task, resolve, reject });
+            this.stats.maxQueued = Math.max(this.stats.maxQueued, this.queue.length);
+            this.drain();
+        });
+    }
+
+    canStart(userKey) {
+        return this.active < this.globalLimit && (this.activeByUser.get(userKey) || 0) < this.userLimit;
+    }
+
+    drain() {
+        // Skip past users at their limit so one busy user doesn't hold up everyone else
+        for (let i = 0; i < this.queue.length && this.active < this.globalLimit;) {
+            const entry = this.queue[i];
+            if (!this.canStart(entry.userKey)) {
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            this.run(entry);
+        }
+    }
+
+    async run({ userKey, task, resolve, reject }) {
+        this.active++;
+        this.activeByUser.set(userKey, (this.activeByUser.get(userKey) || 0) + 1);
+
+        try {
+            resolve(await task());
+            this.stats.completed++;
+        } catch (error) {
+            reject(error);
+            this.stats.failed++;
+        } finally {
+            this.active--;
+            const remaining = this.activeByUser.get(userKey) - 1;
+            if (remaining > 0) {
+                this.activeByUser.set(userKey, remaining);
+            } else {
+                this.activeByUser.delete(userKey);
+            }
+            this.drain();
+        }
+    }
+
+    getStats() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            globalLimit: this.globalLimit,
+            userLimit: this.userLimit,
+            ...this.stats
+        };
+    }
+}
+
+let sharedScheduler = null;
+
+// One scheduler per process so the global limit covers every session
+export function getRequestScheduler(logger) {
+    if (!sharedScheduler) {
+        sharedScheduler = new RequestScheduler(logger);
+    }
+    return sharedScheduler;
+}
@@ -0,0 +1,190 @@
+// Retry policy and circuit breakers for calls to the Rezoomex gateway. Transient failures
+// (gateway 502/503/504, timeouts, dropped connections) are retried with jittered exponential
+// backoff; a run of them opens the upstream's breaker so callers fail fast until it recovers.
+
+const RETRYABLE_STATUSES = [502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ERR_NETWORK'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+export class CircuitOpenError extends Error {
+    constructor(breaker) {
+        const retryIn = Math.max(0, Math.ceil((breaker.openedAt + breaker.resetTimeout - Date.now()) / 1000));
+        super(
+            `Rezoomex API (${breaker.name}) is unavailable after ${breaker.consecutiveFailures} consecutive failures; ` +
+            `not sending requests for another ${retryIn}s. Try again shortly.`
+        );
+        this.name = 'CircuitOpenError';
+        this.code = 'UPSTREAM_UNAVAILABLE';
+        this.upstream = breaker.name;
+    }
+}
+
+export class CircuitBreaker {
+    constructor(name, logger, options = {}) {
+        this.name = name;
+        this.logger = logger;
+        this.failureThreshold = options.failureThreshold ?? (parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5);
+        this.resetTimeout = options.resetTimeout ?? (parseInt(process.env.CIRCUIT_RESET_MS) || 30000);
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+    }
+
+    // Throws CircuitOpenError while the upstream is considered down. After the reset timeout
+    // one trial request is let through; its outcome closes or re-opens the breaker. Returns
+    // true for that trial request.
+    beforeRequest() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeout) {
+                throw new CircuitOpenError(this);
+            }
+            this.state = 'half-open';
+            this.trialInFlight = false;
+            this.logger.info('Circuit breaker half-open, sending trial request', { upstream: this.name });
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this);
+            }
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            this.logger.info('Circuit breaker closed', { upstream: this.name });
+        }
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    // Settles a trial request that proved neither health nor failure (e.g. it was cancelled);
+    // the breaker stays half-open and the next request becomes the trial
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.lastFailure = { message: error?.message, at: new Date().toISOString() };
+        this.trialInFlight = false;
+
+        if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                this.logger.warn('Circuit breaker opened', {
+                    upstream: this.name,
+                    consecutiveFailures: this.consecutiveFailures
+                });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+export class RetryPolicy {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? parseIntOr(process.env.API_MAX_RETRIES, 2);
+        this.baseDelay = options.baseDelay ?? parseIntOr(process.env.API_RETRY_BASE_MS, 200);
+        this.maxDelay = options.maxDelay ?? parseIntOr(process.env.API_RETRY_MAX_MS, 5000);
+        // A Retry-After longer than this is not worth waiting for inside a tool call
+        this.maxRetryAfter = options.maxRetryAfter ?? parseIntOr(process.env.API_RETRY_AFTER_MAX_MS, 30000);
+    }
+
+    // Delay in ms before the next attempt, or null when the request should not be retried
+    getRetryDelay(error, attempt) {
+        if (attempt >= this.maxRetries) {
+            return null;
+        }
+
+        const status = error.response?.status;
+        const method = (error.config?.method || 'get').toLowerCase();
+
+        // 429 means the request was not processed, so any method can be retried
+        if (status === 429) {
+            const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+            if (retryAfter !== null) {
+                return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+            }
+            return this.getBackoff(attempt);
+        }
+
+        if (!IDEMPOTENT_METHODS.includes(method)) {
+            return null;
+        }
+
+        return isTransientFailure(error) ? this.getBackoff(attempt) : null;
+    }
+
+    getBackoff(attempt) {
+        // Full jitter: anywhere between 0 and the capped exponential delay
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
+    }
+}
+
+// Failures that say the upstream is unhealthy, as opposed to a bad request
+export function isTransientFailure(error) {
+    if (!error?.isAxiosError || error.code === 'ERR_CANCELED') {
+        return false;
+    }
+
+    const status = error.response?.status;
+    if (status) {
+        return RETRYABLE_STATUSES.includes(status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code) || !error.response;
+}
+
+export function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parseIntOr(value, fallback) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const breakers = new Map();
+
+// One breaker per upstream, shared by every client in the process
+export function getCircuitBreaker(name, logger) {
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name, logger));
+    }
+    return breakers.get(name);
+}
+
+export function getCircuitBreakerStates() {
+    const states = {};
+    for (const [name, breaker] of breakers) {
+        states[name] = breaker.getState();
+    }
+    return states;
+}
@@ -0,0 +1,200 @@
+// Caches upstream GET responses per user, so repeated tool calls from any of the user's
+// sessions skip the gateway. Entries expire per endpoint family and writes through the
+// client drop the entries they affect.
+
+// Default TTLs in milliseconds; 0 disables caching for that family
+const DEFAULT_TTLS = {
+    projects: 5 * 60 * 1000,
+    personas: 2 * 60 * 1000,
+    stories: 60 * 1000,
+    children: 60 * 1000
+};
+
+const TTL_ENV_VARS = {
+    projects: 'CACHE_TTL_PROJECTS_MS',
+    personas: 'CACHE_TTL_PERSONAS_MS',
+    stories: 'CACHE_TTL_STORIES_MS',
+    children: 'CACHE_TTL_CHILDREN_MS'
+};
+
+// Story-level child collections, addressed as /v1/requirements/{project}/{story}/{collection}
+const CHILD_COLLECTIONS = ['acceptance_criteria', 'test_case', 'test_data'];
+
+// Persona-level collections, addressed as /v1/requirements/{project}/{persona}/{collection}
+const STORY_COLLECTIONS = ['user_story', 'event', 'jtbd'];
+
+// Project-level documents, addressed as /v1/requirements/{project}/{project}/{collection}
+const PROJECT_COLLECTIONS = ['elevator_pitch', 'vision_statement'];
+
+const REQUIREMENTS_PATH = /^\/v1\/requirements\/([^/?]+)\/([^/?]+)\/([^/?]+)(?:\/([^/?]+))?/;
+
+export class ResponseCache {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.ttls = { ...DEFAULT_TTLS, ...readTtlsFromEnv(), ...(options.ttls || {}) };
+        this.maxEntries = options.maxEntries ?? (parseInt(process.env.CACHE_MAX_ENTRIES) || 1000);
+        this.entries = new Map(); // "user|url?params" -> { value, family, userKey, url, expiresAt }
+        this.stats = { hits: 0, misses: 0, invalidations: 0, evictions: 0, byFamily: {} };
+    }
+
+    // Which family a GET belongs to, or null when the endpoint should not be cached
+    getFamily(url) {
+        const path = stripQuery(url);
+        if (/^\/v1\/requirements\/projects\/[^/]+$/.test(path)) {
+            return 'projects';
+        }
+
+        const match = path.match(REQUIREMENTS_PATH);
+        if (!match) {
+            return null;
+        }
+
+        const collection = match[3];
+        if (PROJECT_COLLECTIONS.includes(collection)) return 'projects';
+        if (collection === 'persona') return 'personas';
+        if (STORY_COLLECTIONS.includes(collection)) return 'stories';
+        if (CHILD_COLLECTIONS.includes(collection)) return 'children';
+        return null;
+    }
+
+    getKey(userKey, url, params) {
+        const query = params && Object.keys(params).length > 0 ? `?${JSON.stringify(params)}` : '';
+        return `${userKey}|${stripQuery(url)}${query}`;
+    }
+
+    get(userKey, url, params) {
+        const family = this.getFamily(url);
+        if (!userKey || !family || !this.ttls[family]) {
+            return undefined;
+        }
+
+        const key = this.getKey(userKey, url, params);
+        const entry = this.entries.get(key);
+        const familyStats = this.getFamilyStats(family);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) {
+                this.entries.delete(key);
+            }
+            this.stats.misses++;
+            familyStats.misses++;
+            return undefined;
+        }
+
+        this.stats.hits++;
+        familyStats.hits++;
+        return structuredClone(entry.value);
+    }
+
+    set(userKey, url, params, value) {
+        const family = this.getFamily(url);
+        if (!userKey || !family || !this.ttls[family]) {
+            return;
+        }
+
+        const key = this.getKey(userKey, url, params);
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value: structuredClone(value),
+            family,
+            userKey,
+            url: stripQuery(url),
+            expiresAt: Date.now() + this.ttls[family]
+        });
+
+        // Map keeps insertion order, so the first entries are the oldest
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    // Drop every entry a write to this URL could have changed
+    invalidateForWrite(userKey, url) {
+        const path = stripQuery(url);
+        const prefixes = [];
+
+        const projectMatch = path.match(/^\/v1\/requirements\/projects\/([^/]+)/);
+        const match = path.match(REQUIREMENTS_PATH);
+        if (projectMatch) {
+            prefixes.push(`/v1/requirements/projects/${projectMatch[1]}`);
+        } else if (match) {
+            const [, projectId, ownerId, collection, resourceId] = match;
+            prefixes.push(`/v1/requirements/${projectId}/${ownerId}/${collection}`);
+            // A story's children hang off its ID, so deleting or replacing the story affects them too
+            if (collection === 'user_story' && resourceId) {
+                prefixes.push(`/v1/requirements/${projectId}/${resourceId}/`);
+            }
+        } else {
+            return 0;
+        }
+
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.userKey === userKey && prefixes.some(prefix => entry.url.startsWith(prefix))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        this.stats.invalidations += removed;
+        if (removed > 0) {
+            this.logger.debug('Cache entries invalidated', { url: path, removed });
+        }
+        return removed;
+    }
+
+    clear(userKey = null) {
+        for (const [key, entry] of this.entries) {
+            if (!userKey || entry.userKey === userKey) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    getFamilyStats(family) {
+        if (!this.stats.byFamily[family]) {
+            this.stats.byFamily[family] = { hits: 0, misses: 0 };
+        }
+        return this.stats.byFamily[family];
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            entries: this.entries.size,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+            invalidations: this.stats.invalidations,
+            evictions: this.stats.evictions,
+            byFamily: structuredClone(this.stats.byFamily),
+            ttls: { ...this.ttls }
+        };
+    }
+}
+
+function stripQuery(url) {
+    return String(url || '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+}
+
+function readTtlsFromEnv() {
+    const ttls = {};
+    for (const [family, name] of Object.entries(TTL_ENV_VARS)) {
+        const value = parseInt(process.env[name]);
+        if (!Number.isNaN(value)) {
+            ttls[family] = value;
+        }
+    }
+    return ttls;
+}
+
+let sharedCache = null;
+
+// One cache per process so every session of a user shares it
+export function getResponseCache(logger) {
+    if (!sharedCache) {
+        sharedCache = new ResponseCache(logger);
+    }
+    return sharedCache;
+}
@@ -1,13 +1,67 @@
 import axios from 'axios';
+import { getProjectDiscovery } from './project-discovery.js';
+import { AmbiguousMatchError, resolveName, getConfiguredAliases } from './name-matcher.js';
+import { getStoryRegistry } from './story-registry.js';
+import { getResponseCache } from './response-cache.js';
+import { CircuitOpenError, RetryPolicy, getCircuitBreaker, isTransientFailure } from './resilience.js';
+import { getRequestScheduler } from './request-scheduler.js';
+
+// Page-walking limits for list endpoints (user stories, journey events, JTBD)
+const DEFAULT_PAGE_SIZE = parseInt(process.env.REZOOMEX_PAGE_SIZE) || 100;
+const DEFAULT_MAX_LIST_ITEMS = parseInt(process.env.REZOOMEX_MAX_LIST_ITEMS) || 1000;
+
+// Child collections hanging off a user story: endpoint segment -> display metadata
+export const STORY_CHILD_COLLECTIONS = {
+    acceptance_criteria: { label: 'acceptance criterion', pluralLabel: 'acceptance criteria', titleField: 'title' },
+    test_case: { label: 'test case', pluralLabel: 'test cases', titleField: 'title' },
+    test_data: { label: 'test data item', pluralLabel: 'test data', titleField: 'name' }
+};
+
+// Child collections loaded with a story's details: result field -> collection endpoint
+const STORY_DETAIL_COLLECTIONS = {
+    acceptanceCriteria: 'acceptance_criteria',
+    testCases: 'test_case',
+    testData: 'test_data'
+};
+
+// Elevator pitch template slots as stored in the elevator_pitch properties
+export const ELEVATOR_PITCH_FIELDS = ['FOR', 'THE', 'WHO', 'IS_A', 'THAT', 'UNLIKE', 'OUR_PRODUCT'];
+
+// Journey event properties accepted by the journey write tools; ordering lives in properties[JOURNEY_ORDER_FIELD]
+export const JOURNEY_EVENT_FIELDS = [
+    'name', 'description', 'trigger', 'actions', 'emotions', 'pain_points', 'touchpoints', 'opportunities'
+];
+// The Rezoomex API has no ordering for journey events. This server owns the "order" property:
+// it writes a 1-based position on every event it adds or moves, and sorts by it when reading.
+// Events written elsewhere without one keep their API order after the ordered ones.
+export const JOURNEY_ORDER_FIELD = 'order';
+
+// Jobs-to-be-done properties accepted by add_job_to_be_done
+export const JTBD_FIELDS = [
+    'jtbdItem', 'task', 'action', 'description', 'functional_job', 'emotional_job', 'social_job',
+    'context', 'success_criteria', 'obstacles', 'current_solutions'
+];
+
+// Persona properties accepted by the persona write tools
+export const PERSONA_FIELDS = [
+    'name', 'role', 'age', 'gender', 'occupation', 'location',
+    'education', 'experience', 'background', 'keyTraits', 'motivations'
+];
 
 export class RezoomexApiClient {
-    constructor(bearerToken, logger) {
+    constructor(bearerToken, logger, options = {}) {
         this.bearerToken = bearerToken;
         this.logger = logger;
+        this.projectDiscovery = options.projectDiscovery || getProjectDiscovery(logger);
+        this.storyRegistry = options.storyRegistry || getStoryRegistry(logger);
+        this.responseCache = options.responseCache || getResponseCache(logger);
+        this.requestScheduler = options.requestScheduler || getRequestScheduler(logger);
         this.baseURL = process.env.REZOOMEX_BASE_URL || 'https://awsapi-gateway.rezoomex.com';
         this.workspaceURL = process.env.REZOOMEX_LOGIN_URL || 'https://workspace.rezoomex.com';
         this.authenticated = false;
         this.userInfo = null;
+        this.retryPolicy = options.retryPolicy || new RetryPolicy();
+        this.circuitBreaker = options.circuitBreaker || getCircuitBreaker(new URL(this.baseURL).host, logger);
         
         // Create axios instance with default config
         this.api = axios.create({
@@ -28,10 +82,69 @@ export class RezoomexApiClient {
             }
         });
 
+        // With a token provider (OAuth grants), every request asks it for the current bearer, so
+        // a long-lived client picks up renewed upstream tokens
+        this.getBearerToken = options.tokenProvider || null;
+
+        // Serve cached GETs without touching the gateway; otherwise fail fast while it is down
+        this.api.interceptors.request.use(async (config) => {
+            if (config.method === 'get') {
+                const cached = this.responseCache.get(this.getUserKey(), config.url, config.params);
+                if (cached !== undefined) {
+                    config.fromCache = true;
+                    config.adapter = async () => ({ ...cached, config, request: null });
+                    return config;
+                }
+            }
+            if (this.getBearerToken) {
+                this.bearerToken = await this.getBearerToken();
+                config.headers.Authorization = `Bearer ${this.bearerToken}`;
+            }
+            config.circuitTrial = this.circuitBreaker.beforeRequest();
+            return config;
+        });
+
         // Add response interceptor for error handling
         this.api.interceptors.response.use(
-            (response) => response,
-            (error) => {
+            (response) => {
+                if (!response.config?.fromCache) {
+                    this.circuitBreaker.recordSuccess();
+                }
+                this.rememberProjectFromUrl(response.config?.url);
+                this.updateResponseCache(response);
+                return response;
+            },
+            async (error) => {
+                if (error instanceof CircuitOpenError) {
+                    throw error;
+                }
+
+                if (isTransientFailure(error)) {
+                    this.circuitBreaker.recordFailure(error);
+                } else if (error.response) {
+                    // The gateway answered, so it is up even if the request was rejected
+                    this.circuitBreaker.recordSuccess();
+                } else if (error.config?.circuitTrial) {
+                    // No answer, but no sign of an outage either (e.g. a cancelled trial request)
+                    this.circuitBreaker.releaseTrial();
+                }
+
+                const config = error.config;
+                const attempt = config?.retryCount || 0;
+                const delay = config ? this.retryPolicy.getRetryDelay(error, attempt) : null;
+                if (delay !== null) {
+                    this.logger.warn('Retrying API request', {
+                        url: config.url,
+                        method: config.method,
+                        status: error.response?.status,
+                        error: error.message,
+                        attempt: attempt + 1,
+                        delay
+                    });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    return this.api.request({ ...config, retryCount: attempt + 1 });
+                }
+
                 this.logger.error('API request failed', {
                     url: error.config?.url,
                     method: error.config?.method,
@@ -44,6 +157,30 @@ export class RezoomexApiClient {
         );
     }
 
+    getUserKey() {
+        return this.projectDiscovery.getUserKey(this.userInfo);
+    }
+
+    updateResponseCache(response) {
+        const config = response.config || {};
+        const userKey = this.getUserKey();
+        if (config.fromCache) {
+            return;
+        }
+
+        if (config.method === 'get') {
+            const headers = response.headers?.toJSON ? response.headers.toJSON() : { ...(response.headers || {}) };
+            this.responseCache.set(userKey, config.url, config.params, {
+                status: response.status,
+                statusText: response.statusText,
+                headers,
+                data: response.data
+            });
+        } else {
+            this.responseCache.invalidateForWrite(userKey, config.url);
+        }
+    }
+
     async makeRequest(url, method = 'GET', data = null) {
         try {
             const config = {
@@ -118,45 +255,30 @@ export class RezoomexApiClient {
         }
     }
 
-    async getUserStories(projectId, personaId, pageSize = 100, startOffset = 0) {
+    async getUserStories(projectId, personaId, options = {}) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
         }
 
         try {
             const url = `/v1/requirements/${projectId}/${personaId}/user_story`;
-            const response = await this.api.get(url, {
-                params: { pageSize, startOffset }
-            });
-
-            const stories = [];
-            const data = response.data?.data || [];
-
-            for (let i = 0; i < data.length; i++) {
-                const item = data[i];
-                const properties = item.properties || {};
-                
-                const story = {
-                    number: i + 1,
-                    id: item.resourceId || '',
-                    title: properties.goal || 'Untitled Story',
-                    description: properties.description || '',
-                    status: 'Active',
-                    projectId,
-                    personaId,
-                    createdAt: item.createdAt,
-                    rawData: item
-                };
-                stories.push(story);
+            const page = await this.fetchListPages(url, options);
+
+            // Numbers come from the persisted registry, so they survive edits and deletions.
+            // A page holding stories we have never numbered triggers a full sync first, so new
+            // stories are numbered in creation order no matter which page they were first seen on.
+            const pageIds = page.items.map(item => item.resourceId);
+            const isFullList = page.startOffset === 0 && page.nextCursor === null;
+            if (isFullList) {
+                await this.storyRegistry.assign(projectId, personaId, this.sortByCreation(page.items), { complete: true });
+            } else if (!(await this.storyRegistry.hasAll(projectId, personaId, pageIds))) {
+                await this.syncStoryNumbers(projectId, personaId);
             }
+            const numbers = await this.storyRegistry.assign(projectId, personaId, page.items);
 
-            // Sort by creation date for consistent ordering
-            stories.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
-
-            // Re-number after sorting
-            stories.forEach((story, index) => {
-                story.number = index + 1;
-            });
+            const stories = page.items
+                .map(item => this.normalizeStory(item, projectId, personaId, numbers[item.resourceId] || null))
+                .sort((a, b) => (a.number || Infinity) - (b.number || Infinity));
 
             return {
                 success: true,
@@ -164,7 +286,8 @@ export class RezoomexApiClient {
                 personaId,
                 stories,
                 total: stories.length,
-                summary: this.formatStoriesSummary(stories),
+                nextCursor: page.nextCursor,
+                hasMore: page.nextCursor !== null,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -172,6 +295,77 @@ export class RezoomexApiClient {
         }
     }
 
+    async syncStoryNumbers(projectId, personaId) {
+        const url = `/v1/requirements/${projectId}/${personaId}/user_story`;
+        const page = await this.fetchListPages(url);
+        await this.storyRegistry.assign(projectId, personaId, this.sortByCreation(page.items), {
+            complete: page.nextCursor === null
+        });
+    }
+
+    sortByCreation(items) {
+        return [...items].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+    }
+
+    async fetchListPages(url, options = {}) {
+        // With a cursor or explicit page size the caller is paging incrementally: one page only.
+        // Otherwise walk every page up to the configured item limit.
+        const incremental = options.cursor !== undefined && options.cursor !== null || options.pageSize !== undefined;
+        const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        const maxItems = options.maxItems || DEFAULT_MAX_LIST_ITEMS;
+        const startOffset = this.decodeCursor(options.cursor);
+
+        const items = [];
+        let offset = startOffset;
+        let exhausted = false;
+
+        while (!exhausted) {
+            const limit = incremental ? pageSize : Math.min(pageSize, maxItems - items.length);
+            const response = await this.api.get(url, {
+                params: { pageSize: limit, startOffset: offset }
+            });
+            const pageItems = response.data?.data || [];
+
+            items.push(...pageItems);
+            offset += pageItems.length;
+            exhausted = pageItems.length < limit;
+
+            if (incremental || items.length >= maxItems) {
+                break;
+            }
+        }
+
+        if (!exhausted && !incremental) {
+            this.logger.warn('List truncated at configured item limit', { url, maxItems });
+        }
+
+        return {
+            items,
+            startOffset,
+            nextCursor: exhausted ? null : this.encodeCursor(offset)
+        };
+    }
+
+    encodeCursor(offset) {
+        return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        if (cursor === undefined || cursor === null || cursor === '') {
+            return 0;
+        }
+
+        try {
+            const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (Number.isInteger(offset) && offset >= 0) {
+                return offset;
+            }
+        } catch (error) {
+            // Fall through to the error below
+        }
+        throw new Error('Invalid cursor: pass back the nextCursor value from a previous call');
+    }
+
     async getSingleStoryDetails(projectId, personaId, storyNumber = null, storyId = null) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
@@ -180,267 +374,912 @@ export class RezoomexApiClient {
         try {
             let story = null;
 
-            if (storyId) {
-                // Direct fetch by story ID
-                const url = `/v1/requirements/${projectId}/${personaId}/user_story/${storyId}`;
-                const response = await this.api.get(url);
-                story = this.formatSingleStory(response.data, projectId, personaId, 1);
-            } else if (storyNumber) {
-                // Fetch all stories and get by number
-                const storiesResult = await this.getUserStories(projectId, personaId);
-                const targetStory = storiesResult.stories.find(s => s.number === storyNumber);
-                
-                if (!targetStory) {
-                    throw new Error(`Story #${storyNumber} not found`);
-                }
-                
-                story = targetStory;
+            if (storyId || storyNumber) {
+                // Numbers map straight to a resourceId through the registry, no list fetch needed
+                const targetId = await this.resolveStoryId(projectId, personaId, storyNumber, storyId);
+                const storyData = await this.getNumberedStory(projectId, personaId, targetId, storyNumber);
+                await this.storyRegistry.assign(projectId, personaId, [storyData]);
+                const number = await this.storyRegistry.getNumber(projectId, personaId, targetId);
+                story = this.normalizeStory(storyData, projectId, personaId, number);
             } else {
                 throw new Error('Either storyNumber or storyId must be provided');
             }
 
-            // Fetch additional details
-            const [acceptanceCriteria, testCases, testData] = await Promise.allSettled([
-                this.getStoryAcceptanceCriteria(projectId, story.id),
-                this.getStoryTestCases(projectId, story.id),
-                this.getStoryTestData(projectId, story.id)
+            const storyWithDetails = await this.loadStoryDetails(projectId, story);
+
+            return {
+                success: true,
+                story: storyWithDetails,
+                partial: storyWithDetails.failedCollections.length > 0,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to fetch story details: ${error.message}`);
+        }
+    }
+
+    async getStoryRange(projectId, personaId, startNumber, endNumber) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const storiesResult = await this.getUserStories(projectId, personaId);
+            // Numbers can have gaps where stories were deleted, so select by number, not position
+            const selectedStories = storiesResult.stories.filter(s => s.number >= startNumber && s.number <= endNumber);
+
+            if (selectedStories.length === 0) {
+                return {
+                    success: true,
+                    stories: [],
+                    range: `${startNumber}-${endNumber}`,
+                    message: 'No stories found in the specified range',
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            // Child fetches go through the shared scheduler, so a big range queues instead of
+            // opening hundreds of upstream requests at once
+            const storiesWithDetails = await Promise.all(
+                selectedStories.map(story => this.loadStoryDetails(projectId, story))
+            );
+
+            return {
+                success: true,
+                stories: storiesWithDetails,
+                range: `${startNumber}-${endNumber}`,
+                count: storiesWithDetails.length,
+                partial: storiesWithDetails.some(story => story.failedCollections.length > 0),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to fetch story range: ${error.message}`);
+        }
+    }
+
+    // Loads a story's child collections. A collection that fails to load comes back empty and
+    // is named in failedCollections, so the rest of the story is still returned.
+    async loadStoryDetails(projectId, story) {
+        const userKey = this.getUserKey();
+        const fields = Object.entries(STORY_DETAIL_COLLECTIONS);
+        const results = await Promise.allSettled(fields.map(([, collection]) =>
+            this.requestScheduler.schedule(userKey, () => this.fetchStoryChildren(projectId, story.id, collection))
+        ));
+
+        const storyWithDetails = { ...story, failedCollections: [] };
+        results.forEach((result, index) => {
+            const [field, collection] = fields[index];
+            if (result.status === 'fulfilled') {
+                storyWithDetails[field] = result.value;
+            } else {
+                this.logger.warn(`Failed to fetch ${collection} for story ${story.id}`, { error: result.reason?.message });
+                storyWithDetails[field] = [];
+                storyWithDetails.failedCollections.push(collection);
+            }
+        });
+        return storyWithDetails;
+    }
+
+    async getStoryAcceptanceCriteria(projectId, storyId) {
+        try {
+            return await this.fetchStoryChildren(projectId, storyId, 'acceptance_criteria');
+        } catch (error) {
+            this.logger.warn(`Failed to fetch acceptance criteria for story ${storyId}`, { error: error.message });
+            return [];
+        }
+    }
+
+    async getStoryTestCases(projectId, storyId) {
+        try {
+            return await this.fetchStoryChildren(projectId, storyId, 'test_case');
+        } catch (error) {
+            this.logger.warn(`Failed to fetch test cases for story ${storyId}`, { error: error.message });
+            return [];
+        }
+    }
+
+    async getStoryTestData(projectId, storyId) {
+        try {
+            return await this.fetchStoryChildren(projectId, storyId, 'test_data');
+        } catch (error) {
+            this.logger.warn(`Failed to fetch test data for story ${storyId}`, { error: error.message });
+            return [];
+        }
+    }
+
+    async fetchStoryChildren(projectId, storyId, collection) {
+        const url = `/v1/requirements/${projectId}/${storyId}/${collection}`;
+        const response = await this.api.get(url);
+        return response.data?.data || [];
+    }
+
+    async listStoryChildren(projectId, storyId, collection) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const meta = this.getStoryChildMeta(collection);
+
+        try {
+            const items = await this.fetchStoryChildren(projectId, storyId, collection);
+            const numbered = this.numberStoryChildren(items, collection);
+
+            return {
+                success: true,
+                projectId,
+                storyId,
+                collection,
+                items: numbered,
+                total: numbered.length,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to list ${meta.label} entries: ${error.message}`);
+        }
+    }
+
+    async resolveStoryChildId(projectId, storyId, collection, itemNumber = null, itemId = null) {
+        if (itemId) {
+            return itemId;
+        }
+
+        const meta = this.getStoryChildMeta(collection);
+        if (!itemNumber) {
+            throw new Error(`Either a ${meta.label} number or ID must be provided`);
+        }
+
+        const items = this.numberStoryChildren(await this.fetchStoryChildren(projectId, storyId, collection), collection);
+        const target = items.find(item => item.number === itemNumber);
+        if (!target) {
+            throw new Error(`Could not find ${meta.label} #${itemNumber} on story ${storyId} (it has ${items.length})`);
+        }
+        return target.id;
+    }
+
+    async addStoryChild(projectId, storyId, collection, fields = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const meta = this.getStoryChildMeta(collection);
+
+        try {
+            const properties = this.buildStoryChildProperties(fields, meta);
+            if (!properties[meta.titleField]) {
+                throw new Error(`A ${meta.titleField} is required`);
+            }
+
+            const url = `/v1/requirements/${projectId}/${storyId}/${collection}`;
+            const response = await this.makeRequest(url, 'POST', { properties });
+            const created = this.unwrapResource(response.data);
+
+            this.logger.info('Story child created', { projectId, storyId, collection, itemId: created?.resourceId });
+            return await this.buildStoryChildWriteResult(projectId, storyId, collection, created?.resourceId, 'created');
+        } catch (error) {
+            throw new Error(`Failed to add ${meta.label}: ${error.message}`);
+        }
+    }
+
+    async updateStoryChild(projectId, storyId, collection, itemId, fields = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const meta = this.getStoryChildMeta(collection);
+
+        try {
+            const url = `/v1/requirements/${projectId}/${storyId}/${collection}/${itemId}`;
+            const existing = this.unwrapResource((await this.api.get(url)).data);
+            const properties = {
+                ...(existing?.properties || {}),
+                ...this.buildStoryChildProperties(fields, meta)
+            };
+
+            await this.makeRequest(url, 'PUT', { ...existing, properties });
+
+            this.logger.info('Story child updated', { projectId, storyId, collection, itemId });
+            return await this.buildStoryChildWriteResult(projectId, storyId, collection, itemId, 'updated');
+        } catch (error) {
+            throw new Error(`Failed to update ${meta.label}: ${error.message}`);
+        }
+    }
+
+    async removeStoryChild(projectId, storyId, collection, itemId) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const meta = this.getStoryChildMeta(collection);
+
+        try {
+            const url = `/v1/requirements/${projectId}/${storyId}/${collection}/${itemId}`;
+            const existing = this.unwrapResource((await this.api.get(url)).data);
+            await this.makeRequest(url, 'DELETE');
+
+            this.logger.info('Story child removed', { projectId, storyId, collection, itemId });
+            const result = await this.buildStoryChildWriteResult(projectId, storyId, collection, itemId, 'deleted');
+            return {
+                ...result,
+                item: this.normalizeStoryChild(existing || { resourceId: itemId }, meta, null)
+            };
+        } catch (error) {
+            throw new Error(`Failed to remove ${meta.label}: ${error.message}`);
+        }
+    }
+
+    async buildStoryChildWriteResult(projectId, storyId, collection, itemId, action) {
+        const listing = await this.listStoryChildren(projectId, storyId, collection);
+        return {
+            success: true,
+            action,
+            storyId,
+            collection,
+            item: listing.items.find(item => item.id === itemId) || null,
+            items: listing.items,
+            total: listing.total,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    getStoryChildMeta(collection) {
+        const meta = STORY_CHILD_COLLECTIONS[collection];
+        if (!meta) {
+            throw new Error(`Unknown story collection: ${collection}`);
+        }
+        return meta;
+    }
+
+    numberStoryChildren(items, collection) {
+        const meta = this.getStoryChildMeta(collection);
+        return [...items]
+            .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+            .map((item, index) => this.normalizeStoryChild(item, meta, index + 1));
+    }
+
+    buildStoryChildProperties(fields, meta) {
+        const properties = { ...(fields.properties || {}) };
+        if (fields[meta.titleField] !== undefined) properties[meta.titleField] = fields[meta.titleField];
+        if (fields.description !== undefined) properties.description = fields.description;
+        return properties;
+    }
+
+    async getUserStory(projectId, personaId, storyId) {
+        const url = `/v1/requirements/${projectId}/${personaId}/user_story/${storyId}`;
+        const response = await this.api.get(url);
+        return this.unwrapResource(response.data);
+    }
+
+    async resolveStoryId(projectId, personaId, storyNumber = null, storyId = null) {
+        if (storyId) {
+            return storyId;
+        }
+
+        if (!storyNumber) {
+            throw new Error('Either storyNumber or storyId must be provided');
+        }
+
+        let resourceId = await this.storyRegistry.lookup(projectId, personaId, storyNumber);
+        if (!resourceId) {
+            // The number may belong to a story created since we last listed
+            await this.syncStoryNumbers(projectId, personaId);
+            resourceId = await this.storyRegistry.lookup(projectId, personaId, storyNumber);
+        }
+        if (!resourceId) {
+            throw new Error(`Story #${storyNumber} not found`);
+        }
+        return resourceId;
+    }
+
+    async getNumberedStory(projectId, personaId, storyId, storyNumber = null) {
+        try {
+            return await this.getUserStory(projectId, personaId, storyId);
+        } catch (error) {
+            // The story was deleted outside this server: retire its number and report it as stale
+            if (storyNumber && error.response?.status === 404) {
+                await this.storyRegistry.retire(projectId, personaId, storyId);
+                await this.storyRegistry.assertNotRetired(projectId, personaId, storyNumber);
+            }
+            throw error;
+        }
+    }
+
+    async createUserStory(projectId, personaId, fields = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const properties = this.buildStoryProperties(fields);
+            if (!properties.goal) {
+                throw new Error('A story title is required');
+            }
+
+            const url = `/v1/requirements/${projectId}/${personaId}/user_story`;
+            const response = await this.makeRequest(url, 'POST', { properties });
+            const created = this.unwrapResource(response.data);
+
+            this.logger.info('User story created', { projectId, personaId, storyId: created?.resourceId });
+            return await this.buildStoryWriteResult(projectId, personaId, created, 'created');
+        } catch (error) {
+            throw new Error(`Failed to create user story: ${error.message}`);
+        }
+    }
+
+    async updateUserStory(projectId, personaId, storyId, fields = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            // Merge into the stored properties so fields the caller didn't send survive the PUT
+            const existing = await this.getUserStory(projectId, personaId, storyId);
+            const properties = {
+                ...(existing?.properties || {}),
+                ...this.buildStoryProperties(fields)
+            };
+
+            const url = `/v1/requirements/${projectId}/${personaId}/user_story/${storyId}`;
+            const response = await this.makeRequest(url, 'PUT', { ...existing, properties });
+            const updated = this.unwrapResource(response.data) || { ...existing, properties };
+
+            this.logger.info('User story updated', { projectId, personaId, storyId });
+            return await this.buildStoryWriteResult(projectId, personaId, { resourceId: storyId, ...updated }, 'updated');
+        } catch (error) {
+            throw new Error(`Failed to update user story: ${error.message}`);
+        }
+    }
+
+    async deleteUserStory(projectId, personaId, storyId) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const existing = await this.getUserStory(projectId, personaId, storyId);
+            const deletedNumber = await this.storyRegistry.getNumber(projectId, personaId, storyId);
+            const deletedStory = this.normalizeStory(existing || { resourceId: storyId }, projectId, personaId, deletedNumber);
+
+            const url = `/v1/requirements/${projectId}/${personaId}/user_story/${storyId}`;
+            await this.makeRequest(url, 'DELETE');
+
+            await this.storyRegistry.retire(projectId, personaId, storyId);
+            this.logger.info('User story deleted', { projectId, personaId, storyId });
+
+            // The deleted story's number is retired; the others keep theirs
+            const storiesResult = await this.getUserStories(projectId, personaId);
+            return {
+                success: true,
+                action: 'deleted',
+                story: deletedStory,
+                stories: storiesResult.stories,
+                total: storiesResult.total,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to delete user story: ${error.message}`);
+        }
+    }
+
+    async buildStoryWriteResult(projectId, personaId, storyData, action) {
+        // Re-read the list so a new story is numbered and the total reflects the change
+        const storiesResult = await this.getUserStories(projectId, personaId);
+        const story = storiesResult.stories.find(s => s.id === storyData?.resourceId)
+            || this.normalizeStory(storyData || {}, projectId, personaId, null);
+
+        return {
+            success: true,
+            action,
+            story,
+            total: storiesResult.total,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    buildStoryProperties(fields) {
+        const properties = { ...(fields.properties || {}) };
+        if (fields.title !== undefined) properties.goal = fields.title;
+        if (fields.description !== undefined) properties.description = fields.description;
+        return properties;
+    }
+
+    unwrapResource(payload) {
+        // Single-resource endpoints answer either with the item itself or wrapped in { data }
+        if (payload?.data && !Array.isArray(payload.data) && typeof payload.data === 'object') {
+            return payload.data;
+        }
+        return payload;
+    }
+
+    async getProjectOverview(projectId) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const [projectDetails, elevatorPitch, visionStatement, personas] = await Promise.allSettled([
+                this.getProjectDetails(projectId),
+                this.getElevatorPitch(projectId),
+                this.getVisionStatement(projectId),
+                this.getAllPersonas(projectId)
             ]);
 
-            const storyWithDetails = {
-                ...story,
-                acceptanceCriteria: acceptanceCriteria.status === 'fulfilled' ? acceptanceCriteria.value : [],
-                testCases: testCases.status === 'fulfilled' ? testCases.value : [],
-                testData: testData.status === 'fulfilled' ? testData.value : []
+            const overview = {
+                projectId,
+                projectDetails: projectDetails.status === 'fulfilled' ? projectDetails.value : null,
+                elevatorPitch: elevatorPitch.status === 'fulfilled' ? elevatorPitch.value : null,
+                visionStatement: visionStatement.status === 'fulfilled' ? visionStatement.value : null,
+                personas: personas.status === 'fulfilled' ? personas.value : null
+            };
+
+            return {
+                success: true,
+                overview,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to fetch project overview: ${error.message}`);
+        }
+    }
+
+    async getProjectDetails(projectId) {
+        const url = `/v1/requirements/projects/${projectId}`;
+        const response = await this.api.get(url);
+        return response.data;
+    }
+
+    async getElevatorPitch(projectId) {
+        const url = `/v1/requirements/${projectId}/${projectId}/elevator_pitch`;
+        const response = await this.api.get(url);
+        return response.data;
+    }
+
+    async getVisionStatement(projectId) {
+        const url = `/v1/requirements/${projectId}/${projectId}/vision_statement`;
+        const response = await this.api.get(url);
+        return response.data;
+    }
+
+    async updateElevatorPitch(projectId, fields = {}, options = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const missing = ELEVATOR_PITCH_FIELDS.filter(key => !fields[key] || !String(fields[key]).trim());
+        if (missing.length > 0) {
+            throw new Error(`Elevator pitch is incomplete. Missing fields: ${missing.join(', ')}`);
+        }
+
+        const properties = {};
+        ELEVATOR_PITCH_FIELDS.forEach(key => {
+            properties[key] = String(fields[key]).trim();
+        });
+
+        if (options.dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                pitch: properties,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        try {
+            const existing = this.firstResource(await this.getElevatorPitch(projectId));
+            const saved = await this.saveProjectSingleton(projectId, 'elevator_pitch', existing, properties);
+
+            this.logger.info('Elevator pitch saved', { projectId, resourceId: saved?.resourceId });
+            return {
+                success: true,
+                action: existing?.resourceId ? 'updated' : 'created',
+                pitch: properties,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to save elevator pitch: ${error.message}`);
+        }
+    }
+
+    async updateVisionStatement(projectId, fields = {}, options = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        const content = typeof fields.content === 'string' ? fields.content.trim() : '';
+        if (!content) {
+            throw new Error('Vision statement is incomplete. Missing fields: content');
+        }
+
+        if (options.dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                visionStatement: { content },
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        try {
+            const existing = this.firstResource(await this.getVisionStatement(projectId));
+            const saved = await this.saveProjectSingleton(projectId, 'vision_statement', existing, { content });
+
+            this.logger.info('Vision statement saved', { projectId, resourceId: saved?.resourceId });
+            return {
+                success: true,
+                action: existing?.resourceId ? 'updated' : 'created',
+                visionStatement: { content },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to save vision statement: ${error.message}`);
+        }
+    }
+
+    async saveProjectSingleton(projectId, resource, existing, properties) {
+        // Elevator pitch and vision statement are one-per-project: update in place when present
+        const baseUrl = `/v1/requirements/${projectId}/${projectId}/${resource}`;
+        if (existing?.resourceId) {
+            const response = await this.makeRequest(`${baseUrl}/${existing.resourceId}`, 'PUT', {
+                ...existing,
+                properties: { ...(existing.properties || {}), ...properties }
+            });
+            return this.unwrapResource(response.data) || existing;
+        }
+
+        const response = await this.makeRequest(baseUrl, 'POST', { properties });
+        return this.unwrapResource(response.data);
+    }
+
+    firstResource(payload) {
+        const data = payload?.data;
+        return Array.isArray(data) ? (data[0] || null) : (data || null);
+    }
+
+    async getAllPersonas(projectId) {
+        const url = `/v1/requirements/${projectId}/${projectId}/persona`;
+        const response = await this.api.get(url);
+        return response.data;
+    }
+
+    async listPersonas(projectId) {
+        const personasResponse = await this.getAllPersonas(projectId);
+        // The persona endpoint returns { data: [...] }; older payloads used { personas: [...] }
+        const items = Array.isArray(personasResponse?.data)
+            ? personasResponse.data
+            : (personasResponse?.personas || []);
+
+        return items.map(item => {
+            const properties = item.properties || {};
+            return {
+                id: item.resourceId || item.id || '',
+                name: properties.name || item.name || '',
+                role: properties.role || item.role || '',
+                properties
+            };
+        });
+    }
+
+    async createPersona(projectId, fields = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const properties = this.buildPersonaProperties(fields);
+            if (!properties.name) {
+                throw new Error('A persona name is required');
+            }
+
+            const url = `/v1/requirements/${projectId}/${projectId}/persona`;
+            const response = await this.makeRequest(url, 'POST', { properties });
+            const created = this.unwrapResource(response.data) || { properties };
+            const personaId = created.resourceId || '';
+
+            this.logger.info('Persona created', { projectId, personaId });
+            return {
+                success: true,
+                action: 'created',
+                personaId,
+                persona: created,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to create persona: ${error.message}`);
+        }
+    }
+
+    async updatePersona(projectId, personaId, fields = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const url = `/v1/requirements/${projectId}/${projectId}/persona/${personaId}`;
+            const existing = this.unwrapResource((await this.api.get(url)).data) || {};
+
+            // Partial update: only the fields the caller sent replace stored values
+            const properties = {
+                ...(existing.properties || {}),
+                ...this.buildPersonaProperties(fields)
+            };
+
+            const response = await this.makeRequest(url, 'PUT', { ...existing, properties });
+            const updated = this.unwrapResource(response.data) || { ...existing, properties };
+
+            this.logger.info('Persona updated', { projectId, personaId, fields: Object.keys(fields) });
+            return {
+                success: true,
+                action: 'updated',
+                personaId,
+                persona: updated,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            throw new Error(`Failed to update persona: ${error.message}`);
+        }
+    }
+
+    buildPersonaProperties(fields) {
+        return this.pickProperties(fields, PERSONA_FIELDS);
+    }
+
+    async getPersonaProfile(projectId, personaId) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            const url = `/v1/requirements/${projectId}/${projectId}/persona/${personaId}`;
+            const response = await this.api.get(url);
+
+            return {
+                success: true,
+                persona: response.data,
+                timestamp: new Date().toISOString()
             };
+        } catch (error) {
+            throw new Error(`Failed to fetch persona profile: ${error.message}`);
+        }
+    }
+
+    async getUserJourney(projectId, personaId, options = {}) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
+        }
+
+        try {
+            // Journey order lives in each event's stored position, not in the upstream order, so
+            // sort the whole journey before cutting the requested page out of it
+            const events = await this.fetchJourneyEvents(projectId, personaId);
+            const incremental = options.cursor !== undefined && options.cursor !== null || options.pageSize !== undefined;
+            const startOffset = this.decodeCursor(options.cursor);
+            const end = incremental ? startOffset + (options.pageSize || DEFAULT_PAGE_SIZE) : events.length;
+            const nextCursor = end < events.length ? this.encodeCursor(end) : null;
+
+            const journeyData = { data: events.slice(startOffset, end), total: events.length };
 
             return {
                 success: true,
-                story: storyWithDetails,
-                formatted: this.formatStoryDetails(storyWithDetails),
+                journey: journeyData,
+                startOffset,
+                nextCursor,
+                hasMore: nextCursor !== null,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            throw new Error(`Failed to fetch story details: ${error.message}`);
+            throw new Error(`Failed to fetch user journey: ${error.message}`);
         }
     }
 
-    async getStoryRange(projectId, personaId, startNumber, endNumber) {
+    async fetchJourneyEvents(projectId, personaId) {
+        const url = `/v1/requirements/${projectId}/${personaId}/event`;
+        const page = await this.fetchListPages(url);
+        return this.sortJourneyEvents(page.items);
+    }
+
+    async resolveJourneyEventId(projectId, personaId, eventNumber = null, eventId = null) {
+        if (eventId) {
+            return eventId;
+        }
+
+        if (!eventNumber) {
+            throw new Error('Either an event number or event ID must be provided');
+        }
+
+        const events = await this.fetchJourneyEvents(projectId, personaId);
+        const target = events[eventNumber - 1];
+        if (!target) {
+            throw new Error(`Journey event #${eventNumber} not found (the journey has ${events.length} events)`);
+        }
+        return target.resourceId;
+    }
+
+    async addJourneyEvent(projectId, personaId, fields = {}, position = null) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
         }
 
         try {
-            const storiesResult = await this.getUserStories(projectId, personaId);
-            const allStories = storiesResult.stories;
-
-            const startIdx = Math.max(0, startNumber - 1);
-            const endIdx = Math.min(allStories.length, endNumber);
+            const properties = this.pickProperties(fields, JOURNEY_EVENT_FIELDS);
+            if (!properties.name) {
+                throw new Error('An event name is required');
+            }
 
-            if (startIdx >= allStories.length) {
-                return {
-                    success: true,
-                    stories: [],
-                    range: `${startNumber}-${endNumber}`,
-                    message: 'No stories found in the specified range',
-                    timestamp: new Date().toISOString()
-                };
+            const events = await this.fetchJourneyEvents(projectId, personaId);
+            if (position !== null && position !== undefined && (!Number.isInteger(position) || position < 1 || position > events.length + 1)) {
+                throw new Error(`Position must be between 1 and ${events.length + 1}`);
             }
+            properties[JOURNEY_ORDER_FIELD] = events.length + 1;
 
-            const selectedStories = allStories.slice(startIdx, endIdx);
-            const storiesWithDetails = [];
-
-            // Fetch details for each story in parallel
-            const detailPromises = selectedStories.map(async (story) => {
-                try {
-                    const [acceptanceCriteria, testCases, testData] = await Promise.allSettled([
-                        this.getStoryAcceptanceCriteria(projectId, story.id),
-                        this.getStoryTestCases(projectId, story.id),
-                        this.getStoryTestData(projectId, story.id)
-                    ]);
-
-                    return {
-                        ...story,
-                        acceptanceCriteria: acceptanceCriteria.status === 'fulfilled' ? acceptanceCriteria.value : [],
-                        testCases: testCases.status === 'fulfilled' ? testCases.value : [],
-                        testData: testData.status === 'fulfilled' ? testData.value : []
-                    };
-                } catch (error) {
-                    this.logger.warn(`Failed to fetch details for story ${story.id}`, { error: error.message });
-                    return {
-                        ...story,
-                        acceptanceCriteria: [],
-                        testCases: [],
-                        testData: []
-                    };
-                }
-            });
+            const url = `/v1/requirements/${projectId}/${personaId}/event`;
+            const response = await this.makeRequest(url, 'POST', { properties });
+            const created = this.unwrapResource(response.data);
 
-            const results = await Promise.all(detailPromises);
-            storiesWithDetails.push(...results);
+            // New events are appended; slot them into the requested position afterwards
+            if (position && position <= events.length && created?.resourceId) {
+                events.splice(position - 1, 0, created);
+                await this.persistJourneyOrder(projectId, personaId, events);
+            }
 
-            return {
-                success: true,
-                stories: storiesWithDetails,
-                range: `${startNumber}-${endNumber}`,
-                count: storiesWithDetails.length,
-                formatted: this.formatStoryRange(storiesWithDetails),
-                timestamp: new Date().toISOString()
-            };
+            this.logger.info('Journey event added', { projectId, personaId, eventId: created?.resourceId });
+            return await this.buildJourneyWriteResult(projectId, personaId, created?.resourceId, 'created');
         } catch (error) {
-            throw new Error(`Failed to fetch story range: ${error.message}`);
+            throw new Error(`Failed to add journey event: ${error.message}`);
         }
     }
 
-    async getStoryAcceptanceCriteria(projectId, storyId) {
-        try {
-            const url = `/v1/requirements/${projectId}/${storyId}/acceptance_criteria`;
-            const response = await this.api.get(url);
-            return response.data?.data || [];
-        } catch (error) {
-            this.logger.warn(`Failed to fetch acceptance criteria for story ${storyId}`, { error: error.message });
-            return [];
+    async moveJourneyEvent(projectId, personaId, eventId, newPosition) {
+        if (!this.authenticated) {
+            throw new Error('Not authenticated');
         }
-    }
 
-    async getStoryTestCases(projectId, storyId) {
         try {
-            const url = `/v1/requirements/${projectId}/${storyId}/test_case`;
-            const response = await this.api.get(url);
-            return response.data?.data || [];
-        } catch (error) {
-            this.logger.warn(`Failed to fetch test cases for story ${storyId}`, { error: error.message });
-            return [];
-        }
-    }
+            const events = await this.fetchJourneyEvents(projectId, personaId);
+            const currentIndex = events.findIndex(event => event.resourceId === eventId);
+            if (currentIndex === -1) {
+                throw new Error(`Journey event ${eventId} not found`);
+            }
+            if (!Number.isInteger(newPosition) || newPosition < 1 || newPosition > events.length) {
+                throw new Error(`Position must be between 1 and ${events.length}`);
+            }
 
-    async getStoryTestData(projectId, storyId) {
-        try {
-            const url = `/v1/requirements/${projectId}/${storyId}/test_data`;
-            const response = await this.api.get(url);
-            return response.data?.data || [];
+            const [moved] = events.splice(currentIndex, 1);
+            events.splice(newPosition - 1, 0, moved);
+            await this.persistJourneyOrder(projectId, personaId, events);
+
+            this.logger.info('Journey event moved', { projectId, personaId, eventId, from: currentIndex + 1, to: newPosition });
+            return await this.buildJourneyWriteResult(projectId, personaId, eventId, 'reordered');
         } catch (error) {
-            this.logger.warn(`Failed to fetch test data for story ${storyId}`, { error: error.message });
-            return [];
+            throw new Error(`Failed to reorder journey event: ${error.message}`);
         }
     }
 
-    async getProjectOverview(projectId) {
+    async removeJourneyEvent(projectId, personaId, eventId) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
         }
 
         try {
-            const [projectDetails, elevatorPitch, visionStatement, personas] = await Promise.allSettled([
-                this.getProjectDetails(projectId),
-                this.getElevatorPitch(projectId),
-                this.getVisionStatement(projectId),
-                this.getAllPersonas(projectId)
-            ]);
+            const events = await this.fetchJourneyEvents(projectId, personaId);
+            const removed = events.find(event => event.resourceId === eventId);
+            if (!removed) {
+                throw new Error(`Journey event ${eventId} not found`);
+            }
 
-            const overview = {
-                projectId,
-                projectDetails: projectDetails.status === 'fulfilled' ? projectDetails.value : null,
-                elevatorPitch: elevatorPitch.status === 'fulfilled' ? elevatorPitch.value : null,
-                visionStatement: visionStatement.status === 'fulfilled' ? visionStatement.value : null,
-                personas: personas.status === 'fulfilled' ? personas.value : null
-            };
+            await this.makeRequest(`/v1/requirements/${projectId}/${personaId}/event/${eventId}`, 'DELETE');
 
-            return {
-                success: true,
-                overview,
-                formatted: this.formatProjectOverview(overview),
-                timestamp: new Date().toISOString()
-            };
+            // Close the gap left in the ordering
+            await this.persistJourneyOrder(projectId, personaId, events.filter(event => event.resourceId !== eventId));
+
+            this.logger.info('Journey event removed', { projectId, personaId, eventId });
+            const result = await this.buildJourneyWriteResult(projectId, personaId, null, 'deleted');
+            return { ...result, event: removed };
         } catch (error) {
-            throw new Error(`Failed to fetch project overview: ${error.message}`);
+            throw new Error(`Failed to remove journey event: ${error.message}`);
         }
     }
 
-    async getProjectDetails(projectId) {
-        const url = `/v1/requirements/projects/${projectId}`;
-        const response = await this.api.get(url);
-        return response.data;
-    }
+    async persistJourneyOrder(projectId, personaId, events) {
+        // Only rewrite events whose stored position actually changed
+        for (let i = 0; i < events.length; i++) {
+            const event = events[i];
+            const properties = event.properties || {};
+            if (Number(properties[JOURNEY_ORDER_FIELD]) === i + 1) {
+                continue;
+            }
 
-    async getElevatorPitch(projectId) {
-        const url = `/v1/requirements/${projectId}/${projectId}/elevator_pitch`;
-        const response = await this.api.get(url);
-        return response.data;
+            await this.makeRequest(`/v1/requirements/${projectId}/${personaId}/event/${event.resourceId}`, 'PUT', {
+                ...event,
+                properties: { ...properties, [JOURNEY_ORDER_FIELD]: i + 1 }
+            });
+        }
     }
 
-    async getVisionStatement(projectId) {
-        const url = `/v1/requirements/${projectId}/${projectId}/vision_statement`;
-        const response = await this.api.get(url);
-        return response.data;
+    async buildJourneyWriteResult(projectId, personaId, eventId, action) {
+        const journey = await this.getUserJourney(projectId, personaId);
+        const events = journey.journey?.data || [];
+        const index = events.findIndex(event => event.resourceId === eventId);
+
+        return {
+            success: true,
+            action,
+            event: index === -1 ? null : { number: index + 1, ...events[index] },
+            journey: journey.journey,
+            timestamp: new Date().toISOString()
+        };
     }
 
-    async getAllPersonas(projectId) {
-        const url = `/v1/requirements/${projectId}/${projectId}/persona`;
-        const response = await this.api.get(url);
-        return response.data;
+    sortJourneyEvents(events) {
+        // Events without a stored position keep their API order after the positioned ones
+        return events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => {
+                const orderA = Number(a.event.properties?.[JOURNEY_ORDER_FIELD]);
+                const orderB = Number(b.event.properties?.[JOURNEY_ORDER_FIELD]);
+                const hasA = Number.isFinite(orderA);
+                const hasB = Number.isFinite(orderB);
+                if (hasA && hasB && orderA !== orderB) return orderA - orderB;
+                if (hasA !== hasB) return hasA ? -1 : 1;
+                return a.index - b.index;
+            })
+            .map(entry => entry.event);
     }
 
-    async getPersonaProfile(projectId, personaId) {
+    async addJobToBeDone(projectId, personaId, fields = {}) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
         }
 
         try {
-            const url = `/v1/requirements/${projectId}/${projectId}/persona/${personaId}`;
-            const response = await this.api.get(url);
+            const properties = this.pickProperties(fields, JTBD_FIELDS);
+            if (!properties.jtbdItem) {
+                throw new Error('A job statement (jtbdItem) is required');
+            }
+
+            const url = `/v1/requirements/${projectId}/${personaId}/jtbd`;
+            const response = await this.makeRequest(url, 'POST', { properties });
+            const created = this.unwrapResource(response.data);
 
+            this.logger.info('Job to be done added', { projectId, personaId, jobId: created?.resourceId });
+            const jobs = await this.getJobsToBeDone(projectId, personaId);
             return {
                 success: true,
-                persona: response.data,
-                formatted: this.formatPersonaProfile(response.data, personaId),
+                action: 'created',
+                job: created,
+                jobsToBeDone: jobs.jobsToBeDone,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            throw new Error(`Failed to fetch persona profile: ${error.message}`);
+            throw new Error(`Failed to add job to be done: ${error.message}`);
         }
     }
 
-    async getUserJourney(projectId, personaId, pageSize = 50, startOffset = 0) {
-        if (!this.authenticated) {
-            throw new Error('Not authenticated');
-        }
-
-        try {
-            const url = `/v1/requirements/${projectId}/${personaId}/event`;
-            const response = await this.api.get(url, {
-                params: { pageSize, startOffset }
-            });
-
-            const journeyData = response.data;
-
-            return {
-                success: true,
-                journey: journeyData,
-                formatted: this.formatUserJourney(journeyData, personaId),
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            throw new Error(`Failed to fetch user journey: ${error.message}`);
+    pickProperties(fields, allowed) {
+        const properties = { ...(fields.properties || {}) };
+        for (const field of allowed) {
+            if (fields[field] !== undefined) {
+                properties[field] = fields[field];
+            }
         }
+        return properties;
     }
 
-    async getJobsToBeDone(projectId, personaId, pageSize = 50, startOffset = 0) {
+    async getJobsToBeDone(projectId, personaId, options = {}) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
         }
 
         try {
             const url = `/v1/requirements/${projectId}/${personaId}/jtbd`;
-            const response = await this.api.get(url, {
-                params: { pageSize, startOffset }
-            });
+            const page = await this.fetchListPages(url, options);
 
-            const jtbdData = response.data;
+            const jtbdData = { data: page.items, total: page.items.length };
 
             return {
                 success: true,
                 jobsToBeDone: jtbdData,
-                formatted: this.formatJobsToBeDone(jtbdData, personaId),
+                startOffset: page.startOffset,
+                nextCursor: page.nextCursor,
+                hasMore: page.nextCursor !== null,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -455,8 +1294,14 @@ export class RezoomexApiClient {
 
         try {
             // Based on Python server: /v1/requirements/{product_code}/{product_code}/persona
-            const response = await this.makeRequest(`/v1/requirements/${projectId}/${projectId}/persona`);
-            return this.formatProjectEnvironment(response.data);
+            const personas = await this.listPersonas(projectId);
+            return {
+                success: true,
+                projectId,
+                personas,
+                total: personas.length,
+                timestamp: new Date().toISOString()
+            };
         } catch (error) {
             throw new Error(`Failed to get project environment: ${error.message}`);
         }
@@ -464,43 +1309,10 @@ export class RezoomexApiClient {
 
     async getAllProjects() {
         try {
-            // Based on HAR file analysis: /v1/requirements/projects endpoint doesn't exist
-            // Only individual project access via /v1/requirements/projects/{projectId} works
-            // So we need to test access to known project patterns
-            
-            const accessibleProjects = [];
-            
-            // Test common project ID patterns that users might have access to
-            // Note: We'll try a few common patterns to enable project discovery
-            // This allows name-to-ID lookup to work for accessible projects
-            const commonProjectPatterns = [
-                '39SQ', // Re-enable for project name lookup functionality
-                // Add more patterns as discovered from user feedback or API discovery
-            ];
-            
-            for (const projectId of commonProjectPatterns) {
-                try {
-                    // Test access using the individual project endpoint from HAR file
-                    const response = await this.makeRequest(`/v1/requirements/projects/${projectId}`);
-                    if (response.data) {
-                        // Extract project data from API response
-                        accessibleProjects.push({
-                            id: response.data.id || projectId,
-                            slug: response.data.slug || projectId,
-                            name: response.data.name || response.data.title || `Project ${projectId}`,
-                            description: response.data.description || response.data.elevator_pitch || 'Project description not available',
-                            sponsor: response.data.sponsor || null,
-                            expectedStartDate: response.data.expectedStartDate || null,
-                            expectedEndDate: response.data.expectedEndDate || null,
-                            companyDescription: response.data.companyDescription || null
-                        });
-                    }
-                } catch (error) {
-                    // Project not accessible or doesn't exist, skip it
-                    this.logger.debug(`Project ${projectId} not accessible:`, error.message);
-                }
-            }
-            
+            // The gateway has no "list my projects" endpoint, only /v1/requirements/projects/{projectId},
+            // so the discovery subsystem assembles and verifies the candidate IDs for this user
+            const accessibleProjects = await this.projectDiscovery.discover(this);
+
             if (accessibleProjects.length === 0) {
                 throw new Error('No accessible projects found. Please ensure you have proper permissions or contact support to get access to projects.');
             }
@@ -518,6 +1330,35 @@ export class RezoomexApiClient {
         }
     }
 
+    async fetchProjectSummary(projectId) {
+        const response = await this.api.get(`/v1/requirements/projects/${projectId}`);
+        const data = this.unwrapResource(response.data);
+        if (!data) {
+            return null;
+        }
+
+        const properties = data.properties || {};
+        return {
+            id: data.id || data.resourceId || projectId,
+            slug: data.slug || projectId,
+            name: data.name || properties.name || data.title || `Project ${projectId}`,
+            description: data.description || properties.description || data.elevator_pitch || 'Project description not available',
+            sponsor: data.sponsor || null,
+            expectedStartDate: data.expectedStartDate || null,
+            expectedEndDate: data.expectedEndDate || null,
+            companyDescription: data.companyDescription || null
+        };
+    }
+
+    rememberProjectFromUrl(url) {
+        // Any successful project-scoped call proves the user can reach that project
+        const match = /^\/v1\/requirements\/(?:projects\/)?([^/?]+)/.exec(url || '');
+        if (!match || match[1] === 'projects') {
+            return;
+        }
+        this.projectDiscovery.rememberProject(this.projectDiscovery.getUserKey(this.userInfo), match[1]);
+    }
+
     async listProjects(page = 1, pageSize = 20) {
         if (!this.authenticated) {
             throw new Error('Not authenticated');
@@ -592,35 +1433,52 @@ export class RezoomexApiClient {
         try {
             const projectsResponse = await this.getAllProjects();
             const projects = projectsResponse.projects || [];
-            
-            const project = projects.find(p => 
-                p.name?.toLowerCase() === projectName.toLowerCase() ||
-                p.id?.toLowerCase() === projectName.toLowerCase()
-            );
-            
-            if (!project) {
+
+            const resolution = resolveName(projectName, projects.map(p => ({
+                id: p.id,
+                name: p.name,
+                aliases: [p.slug, ...getConfiguredAliases(p.id)].filter(Boolean),
+                project: p
+            })));
+
+            if (resolution.status === 'ambiguous') {
+                throw new AmbiguousMatchError('project', projectName, resolution.candidates);
+            }
+            if (resolution.status === 'none') {
                 throw new Error(`Project not found: ${projectName}. Available projects: ${projects.map(p => p.name).join(', ')}`);
             }
             
-            return project;
+            return resolution.match.project;
         } catch (error) {
+            if (error instanceof AmbiguousMatchError) {
+                throw error;
+            }
             throw new Error(`Failed to find project by name: ${error.message}`);
         }
     }
 
     async findPersonaByName(projectId, personaName) {
         try {
-            const envResponse = await this.getProjectEnvironment(projectId);
-            const personas = envResponse.personas || [];
-            const persona = personas.find(p => 
-                p.name?.toLowerCase() === personaName.toLowerCase() ||
-                p.id?.toLowerCase() === personaName.toLowerCase()
-            );
-            if (!persona) {
-                throw new Error(`Persona not found with name: ${personaName}`);
+            const personas = await this.listPersonas(projectId);
+
+            const resolution = resolveName(personaName, personas.map(p => ({
+                id: p.id,
+                name: p.name,
+                aliases: [p.role, p.properties.occupation, ...getConfiguredAliases(p.id)].filter(Boolean),
+                persona: p
+            })));
+
+            if (resolution.status === 'ambiguous') {
+                throw new AmbiguousMatchError('persona', personaName, resolution.candidates);
             }
-            return persona;
+            if (resolution.status === 'none') {
+                throw new Error(`Persona not found with name: ${personaName}. Available personas: ${personas.map(p => p.name).join(', ') || 'none'}`);
+            }
+            return resolution.match.persona;
         } catch (error) {
+            if (error instanceof AmbiguousMatchError) {
+                throw error;
+            }
             throw new Error(`Failed to find persona by name: ${error.message}`);
         }
     }
@@ -638,6 +1496,9 @@ export class RezoomexApiClient {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
+            if (error instanceof AmbiguousMatchError) {
+                throw error;
+            }
             throw new Error(`Failed to get project by name: ${error.message}`);
         }
     }
@@ -648,23 +1509,15 @@ export class RezoomexApiClient {
             return projectNameOrId;
         }
         
-        // Project name to ID mappings (user-specific, should be dynamic)
-        const projectMappings = {
-            'talentally yours': '39SQ'
-            // Note: This should ideally be fetched from user's accessible projects
-            // to prevent cross-user data access
-        };
-        
-        const normalizedName = projectNameOrId.toLowerCase();
-        if (projectMappings[normalizedName]) {
-            return projectMappings[normalizedName];
-        }
-        
-        // Otherwise, try to find by name
+        // Otherwise, look the name up in this user's discovered projects
         try {
             const project = await this.findProjectByName(projectNameOrId);
             return project.id;
         } catch (error) {
+            // Ambiguous names must go back to the user rather than silently picking one
+            if (error instanceof AmbiguousMatchError) {
+                throw error;
+            }
             // If not found by name, assume it's an ID anyway
             return projectNameOrId;
         }
@@ -693,7 +1546,6 @@ export class RezoomexApiClient {
             return {
                 success: true,
                 productInfo: response.data,
-                formatted: this.formatProductInfo(response.data, projectId),
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -701,28 +1553,8 @@ export class RezoomexApiClient {
         }
     }
 
-    // Formatting methods
-    formatStoriesSummary(stories) {
-        if (!stories || stories.length === 0) {
-            return "No user stories found for this project and persona.";
-        }
-
-        const lines = [
-            "📚 User Stories Summary:",
-            "=" * 50
-        ];
-
-        stories.forEach(story => {
-            lines.push(`${story.number}. ${story.title}`);
-        });
-
-        lines.push("=" * 50);
-        lines.push(`Total: ${stories.length} user stories`);
-
-        return lines.join('\n');
-    }
-
-    formatSingleStory(storyData, projectId, personaId, number) {
+    // Result normalization; text rendering lives in renderer.js
+    normalizeStory(storyData, projectId, personaId, number) {
         const properties = storyData.properties || {};
         return {
             number,
@@ -737,261 +1569,15 @@ export class RezoomexApiClient {
         };
     }
 
-    formatStoryDetails(storyWithDetails) {
-        const lines = [
-            `🔢 Story #${storyWithDetails.number}: ${storyWithDetails.id}`,
-            `📝 Title: ${storyWithDetails.title}`,
-            `📋 Description: ${storyWithDetails.description}`
-        ];
-
-        if (storyWithDetails.acceptanceCriteria && storyWithDetails.acceptanceCriteria.length > 0) {
-            lines.push('\n✅ Acceptance Criteria:');
-            storyWithDetails.acceptanceCriteria.forEach((criteria, i) => {
-                const props = criteria.properties || {};
-                const title = props.title || `Criteria ${i + 1}`;
-                lines.push(`   ${i + 1}. ${title}`);
-                
-                if (props.description) {
-                    lines.push(`      ${props.description}`);
-                }
-            });
-        }
-
-        if (storyWithDetails.testCases && storyWithDetails.testCases.length > 0) {
-            lines.push('\n🧪 Test Cases:');
-            storyWithDetails.testCases.forEach((testCase, i) => {
-                const props = testCase.properties || {};
-                const title = props.title || `Test Case ${i + 1}`;
-                lines.push(`   ${i + 1}. ${title}`);
-                
-                if (props.description) {
-                    lines.push(`      ${props.description}`);
-                }
-            });
-        }
-
-        if (storyWithDetails.testData && storyWithDetails.testData.length > 0) {
-            lines.push('\n📊 Test Data:');
-            storyWithDetails.testData.forEach((testData, i) => {
-                const props = testData.properties || {};
-                const name = props.name || `Test Data ${i + 1}`;
-                lines.push(`   ${i + 1}. ${name}`);
-                
-                if (props.description) {
-                    lines.push(`      ${props.description}`);
-                }
-            });
-        }
-
-        return lines.join('\n');
-    }
-
-    formatStoryRange(storiesWithDetails) {
-        if (!storiesWithDetails || storiesWithDetails.length === 0) {
-            return "No stories found in the specified range.";
-        }
-
-        const lines = [
-            `📚 User Stories ${storiesWithDetails[0].number}-${storiesWithDetails[storiesWithDetails.length - 1].number}:`,
-            "=" * 60
-        ];
-
-        storiesWithDetails.forEach(story => {
-            lines.push(this.formatStoryDetails(story));
-            lines.push("-" * 60);
-        });
-
-        return lines.join('\n');
-    }
-
-    formatProjectOverview(overview) {
-        const lines = ["🏢 PROJECT OVERVIEW", "=" * 60];
-
-        lines.push(`📋 Project ID: ${overview.projectId}`);
-
-        if (overview.projectDetails?.data?.properties) {
-            const props = overview.projectDetails.data.properties;
-            if (props.name) lines.push(`📝 Name: ${props.name}`);
-            if (props.description) lines.push(`📄 Description: ${props.description}`);
-        }
-
-        // Elevator Pitch
-        lines.push('\n🚀 ELEVATOR PITCH:');
-        if (overview.elevatorPitch?.data) {
-            const pitchData = Array.isArray(overview.elevatorPitch.data) 
-                ? overview.elevatorPitch.data[0] 
-                : overview.elevatorPitch.data;
-            
-            if (pitchData?.properties) {
-                const props = pitchData.properties;
-                const pitchParts = [];
-                
-                ['FOR', 'THE', 'WHO', 'IS_A', 'THAT', 'UNLIKE', 'OUR_PRODUCT'].forEach(key => {
-                    if (props[key]) pitchParts.push(props[key]);
-                });
-
-                if (pitchParts.length > 0) {
-                    const fullPitch = `For ${props.FOR || ''}, ${props.THE || ''} is a ${props.IS_A || ''} that ${props.THAT || ''}. Unlike ${props.UNLIKE || ''}, our product ${props.OUR_PRODUCT || ''}`;
-                    lines.push(`   ${fullPitch}`);
-                } else {
-                    lines.push('   No elevator pitch content available');
-                }
-            }
-        } else {
-            lines.push('   No elevator pitch available');
-        }
-
-        // Vision Statement
-        lines.push('\n🎯 VISION STATEMENT:');
-        if (overview.visionStatement?.data?.properties?.content) {
-            lines.push(`   ${overview.visionStatement.data.properties.content}`);
-        } else {
-            lines.push('   No vision statement available');
-        }
-
-        // Personas
-        lines.push('\n👥 PERSONAS:');
-        if (overview.personas?.data && Array.isArray(overview.personas.data)) {
-            overview.personas.data.forEach((persona, i) => {
-                const props = persona.properties || {};
-                const name = props.name || `Persona ${i + 1}`;
-                const personaId = persona.resourceId || 'Unknown ID';
-                lines.push(`   ${i + 1}. ${name} (${personaId})`);
-            });
-        } else {
-            lines.push('   No personas available');
-        }
-
-        lines.push("=" * 60);
-        return lines.join('\n');
-    }
-
-    formatPersonaProfile(personaData, personaId) {
-        const lines = [`👤 PERSONA PROFILE: ${personaId}`, "=" * 60];
-
-        const props = personaData.properties || {};
-
-        // Basic Info
-        if (props.name) lines.push(`📝 Name: ${props.name}`);
-        if (props.role) lines.push(`👔 Role: ${props.role}`);
-        if (props.age) lines.push(`🎂 Age: ${props.age}`);
-        if (props.gender) lines.push(`👤 Gender: ${props.gender}`);
-        if (props.occupation) lines.push(`💼 Occupation: ${props.occupation}`);
-        if (props.location) lines.push(`📍 Location: ${props.location}`);
-        if (props.education) lines.push(`🎓 Education: ${props.education}`);
-        if (props.experience) lines.push(`⏱️ Experience: ${props.experience}`);
-
-        // Background & Traits
-        if (props.background) {
-            lines.push(`\n📖 Background:\n   ${props.background}`);
-        }
-
-        if (props.keyTraits) {
-            const traits = Array.isArray(props.keyTraits) ? props.keyTraits.join(', ') : props.keyTraits;
-            lines.push(`\n✨ Key Traits: ${traits}`);
-        }
-
-        // Goals & Motivations
-        if (props.motivations) {
-            lines.push('\n💡 Motivations:');
-            if (Array.isArray(props.motivations)) {
-                props.motivations.forEach((motivation, i) => {
-                    lines.push(`   ${i + 1}. ${motivation}`);
-                });
-            } else {
-                lines.push(`   ${props.motivations}`);
-            }
-        }
-
-        lines.push("=" * 60);
-        return lines.join('\n');
-    }
-
-    formatUserJourney(journeyData, personaId) {
-        const lines = [`🗺️ USER JOURNEY: ${personaId}`, "=" * 60];
-
-        if (journeyData?.data && Array.isArray(journeyData.data)) {
-            journeyData.data.forEach((event, i) => {
-                const props = event.properties || {};
-                const eventName = props.name || `Event ${i + 1}`;
-                lines.push(`\n${i + 1}. 📍 ${eventName}`);
-                
-                if (props.description) lines.push(`   📝 ${props.description}`);
-                if (props.trigger) lines.push(`   🔥 Trigger: ${props.trigger}`);
-                if (props.actions) lines.push(`   ⚡ Actions: ${props.actions}`);
-                if (props.emotions) lines.push(`   😊 Emotions: ${props.emotions}`);
-                if (props.pain_points) lines.push(`   😣 Pain Points: ${props.pain_points}`);
-                if (props.touchpoints) lines.push(`   🤝 Touchpoints: ${props.touchpoints}`);
-                if (props.opportunities) lines.push(`   💡 Opportunities: ${props.opportunities}`);
-            });
-        } else {
-            lines.push('   No journey events found');
-        }
-
-        lines.push("=" * 60);
-        return lines.join('\n');
-    }
-
-    formatJobsToBeDone(jtbdData, personaId) {
-        const lines = [`🎯 JOBS TO BE DONE: ${personaId}`, "=" * 60];
-
-        if (jtbdData?.data && Array.isArray(jtbdData.data)) {
-            jtbdData.data.forEach((job, i) => {
-                const props = job.properties || {};
-                const jobItem = props.jtbdItem || `Job ${i + 1}`;
-                lines.push(`\n${i + 1}. 🎯 ${jobItem}`);
-                
-                if (props.task) lines.push(`   📋 Task: ${props.task}`);
-                if (props.action) lines.push(`   🎬 Action: ${props.action}`);
-                if (props.description) lines.push(`   📝 Description: ${props.description}`);
-                if (props.functional_job) lines.push(`   ⚙️ Functional: ${props.functional_job}`);
-                if (props.emotional_job) lines.push(`   💝 Emotional: ${props.emotional_job}`);
-                if (props.social_job) lines.push(`   👥 Social: ${props.social_job}`);
-                if (props.context) lines.push(`   🌍 Context: ${props.context}`);
-                if (props.success_criteria) lines.push(`   ✅ Success Criteria: ${props.success_criteria}`);
-                if (props.obstacles) lines.push(`   🚧 Obstacles: ${props.obstacles}`);
-                if (props.current_solutions) lines.push(`   🔧 Current Solutions: ${props.current_solutions}`);
-            });
-        } else {
-            lines.push('   No jobs found');
-        }
-
-        lines.push("=" * 60);
-        return lines.join('\n');
-    }
-
-    formatProjectEnvironment(data) {
-        if (!data) return { environment: 'No environment data available' };
-        
-        // Enhanced formatting to show persona names
-        const personas = data.personas || [];
-        const personaList = personas.map(p => `${p.name || p.id} (${p.id})`).join(', ');
-        
+    normalizeStoryChild(item, meta, number) {
+        const properties = item.properties || {};
         return {
-            environment: data,
-            personas: personas,
-            summary: `Project environment with ${personas.length} personas: ${personaList || 'None'}`
+            number,
+            id: item.resourceId || '',
+            [meta.titleField]: properties[meta.titleField] || '',
+            description: properties.description || '',
+            createdAt: item.createdAt,
+            rawData: item
         };
     }
-
-    formatProductInfo(productData, projectId) {
-        const lines = [`📦 PRODUCT INFO: ${projectId}`, "=" * 60];
-
-        if (productData?.data) {
-            const data = Array.isArray(productData.data) ? productData.data[0] : productData.data;
-            const props = data?.properties || {};
-            
-            if (props.name) lines.push(`📝 Name: ${props.name}`);
-            if (props.description) lines.push(`📄 Description: ${props.description}`);
-            if (props.version) lines.push(`🔢 Version: ${props.version}`);
-            if (props.status) lines.push(`📊 Status: ${props.status}`);
-            if (data.createdAt) lines.push(`📅 Created: ${new Date(data.createdAt).toLocaleDateString()}`);
-            if (data.updatedAt) lines.push(`🔄 Updated: ${new Date(data.updatedAt).toLocaleDateString()}`);
-        } else {
-            lines.push('   No product information available');
-        }
-
-        lines.push("=" * 60);
-        return lines.join('\n');
-    }
 }
@@ -0,0 +1,185 @@
+// Persisted story number <-> resourceId map per project/persona. A story keeps the number it
+// was first given for as long as it exists, and numbers of deleted stories are never reused,
+// so "story 7" always means the same story or fails loudly.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class StaleStoryNumberError extends Error {
+    constructor(storyNumber, retired) {
+        const title = retired.title ? ` ("${retired.title}")` : '';
+        super(
+            `Story #${storyNumber}${title} no longer exists; it was removed on ${retired.retiredAt}. ` +
+            'Story numbers are never reused, so list the stories again to find the one you want.'
+        );
+        this.name = 'StaleStoryNumberError';
+        this.storyNumber = storyNumber;
+        this.retired = retired;
+    }
+}
+
+export class StoryRegistry {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.directory = options.directory ?? (process.env.STORY_REGISTRY_DIR || path.join(process.cwd(), 'data', 'story-registry'));
+        this.registries = new Map(); // "project/persona" -> { nextNumber, numbers, titles, retired }
+        this.writes = new Map(); // "project/persona" -> pending write chain
+    }
+
+    getKey(projectId, personaId) {
+        return `${projectId}/${personaId}`;
+    }
+
+    getFilePath(projectId, personaId) {
+        const safe = value => String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+        return path.join(this.directory, `${safe(projectId)}__${safe(personaId)}.json`);
+    }
+
+    async load(projectId, personaId) {
+        const key = this.getKey(projectId, personaId);
+        if (this.registries.has(key)) {
+            return this.registries.get(key);
+        }
+
+        let registry = { nextNumber: 1, numbers: {}, titles: {}, retired: {} };
+        try {
+            const stored = JSON.parse(await fs.readFile(this.getFilePath(projectId, personaId), 'utf8'));
+            registry = {
+                nextNumber: stored.nextNumber || 1,
+                numbers: stored.numbers || {},
+                titles: stored.titles || {},
+                retired: stored.retired || {}
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn('Story registry unreadable, starting fresh', { projectId, personaId, error: error.message });
+            }
+        }
+
+        // Another call may have loaded it while we were reading
+        if (!this.registries.has(key)) {
+            this.registries.set(key, registry);
+        }
+        return this.registries.get(key);
+    }
+
+    async save(projectId, personaId) {
+        const key = this.getKey(projectId, personaId);
+        const registry = this.registries.get(key);
+        const filePath = this.getFilePath(projectId, personaId);
+
+        // Chain writes per file and swap in a complete file, so readers never see a torn write
+        const previous = this.writes.get(key) || Promise.resolve();
+        const write = previous.then(async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(registry, null, 2));
+            await fs.rename(tempPath, filePath);
+        }).catch(error => {
+            this.logger.error('Failed to persist story registry', { projectId, personaId, error: error.message });
+        });
+
+        this.writes.set(key, write);
+        await write;
+    }
+
+    // Give numbers to stories seen for the first time, in the order given. When the caller
+    // passes the complete list, stories missing from it are retired.
+    async assign(projectId, personaId, stories, { complete = false } = {}) {
+        const registry = await this.load(projectId, personaId);
+        let changed = false;
+
+        for (const story of stories) {
+            if (!story.resourceId) {
+                continue;
+            }
+            if (!registry.numbers[story.resourceId]) {
+                registry.numbers[story.resourceId] = registry.nextNumber++;
+                changed = true;
+            }
+            // Remember the title so a stale number can say which story it used to be
+            const title = story.properties?.goal || null;
+            if (registry.titles[story.resourceId] !== title) {
+                registry.titles[story.resourceId] = title;
+                changed = true;
+            }
+        }
+
+        if (complete) {
+            const present = new Set(stories.map(story => story.resourceId));
+            for (const resourceId of Object.keys(registry.numbers)) {
+                if (!present.has(resourceId)) {
+                    this.retireEntry(registry, resourceId);
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            await this.save(projectId, personaId);
+        }
+
+        return { ...registry.numbers };
+    }
+
+    async hasAll(projectId, personaId, resourceIds) {
+        const registry = await this.load(projectId, personaId);
+        return resourceIds.every(resourceId => registry.numbers[resourceId]);
+    }
+
+    async getNumber(projectId, personaId, resourceId) {
+        const registry = await this.load(projectId, personaId);
+        return registry.numbers[resourceId] || null;
+    }
+
+    // Returns the live resourceId for a number, throws StaleStoryNumberError for a retired
+    // number, and returns null for a number that was never handed out
+    async lookup(projectId, personaId, storyNumber) {
+        const registry = await this.load(projectId, personaId);
+        const entry = Object.entries(registry.numbers).find(([, number]) => number === storyNumber);
+        if (entry) {
+            return entry[0];
+        }
+
+        await this.assertNotRetired(projectId, personaId, storyNumber);
+        return null;
+    }
+
+    // Throws StaleStoryNumberError when the number belonged to a story that has been removed
+    async assertNotRetired(projectId, personaId, storyNumber) {
+        const registry = await this.load(projectId, personaId);
+        const retired = registry.retired[storyNumber];
+        if (retired) {
+            throw new StaleStoryNumberError(storyNumber, retired);
+        }
+    }
+
+    async retire(projectId, personaId, resourceId) {
+        const registry = await this.load(projectId, personaId);
+        if (!registry.numbers[resourceId]) {
+            return;
+        }
+
+        this.retireEntry(registry, resourceId);
+        await this.save(projectId, personaId);
+    }
+
+    retireEntry(registry, resourceId) {
+        const number = registry.numbers[resourceId];
+        const title = registry.titles[resourceId] || null;
+        delete registry.numbers[resourceId];
+        delete registry.titles[resourceId];
+        registry.retired[number] = { resourceId, title, retiredAt: new Date().toISOString() };
+        this.logger.info('Story number retired', { number, resourceId });
+    }
+}
+
+let sharedRegistry = null;
+
+// One registry per process so every session sees the same numbering
+export function getStoryRegistry(logger) {
+    if (!sharedRegistry) {
+        sharedRegistry = new StoryRegistry(logger);
+    }
+    return sharedRegistry;
+}
@@ -0,0 +1,732 @@
+// Output shapes for tool results. Each tool names a shape that declares its outputSchema and
+// trims the client's result (rawData blobs, upstream envelopes) into structuredContent, plus the
+// renderer view that turns it into text. Callers choose how much comes back with the verbosity
+// argument (minimal keeps identifiers and titles, standard the trimmed fields, raw adds the
+// untrimmed result under `raw`) and how the text looks with format (see renderer.js).
+
+import { ELEVATOR_PITCH_FIELDS, JOURNEY_ORDER_FIELD } from './rezoomex-client.js';
+import {
+    DEFAULT_FORMAT,
+    VIEWS,
+    code,
+    getRenderer,
+    paragraph,
+    renderElevatorPitch,
+    storyChildListView,
+    storyChildWriteView
+} from './renderer.js';
+
+export const VERBOSITY_LEVELS = ['minimal', 'standard', 'raw'];
+
+export const verbosityProperty = {
+    type: "string",
+    enum: VERBOSITY_LEVELS,
+    default: "standard",
+    description: "How much to return: minimal (identifiers and titles), standard (trimmed fields) or raw (standard plus the untrimmed upstream result)"
+};
+
+// Built when a tool is registered, so formats added to the renderer beforehand are offered too
+export function getFormatProperty() {
+    return {
+        type: "string",
+        enum: getRenderer().formatNames(),
+        default: DEFAULT_FORMAT,
+        description: "Text rendering of the result: plain, markdown, compact (one line per section) or json"
+    };
+}
+
+// Builds the MCP tools/call result for a tool's output shape at the requested verbosity and format
+export function shapeToolResult(output, result, { verbosity = 'standard', format = DEFAULT_FORMAT } = {}) {
+    const renderer = getRenderer();
+
+    // Ambiguous names come back as a candidate list for the user to choose from, matching the
+    // ambiguous branch every outputSchema declares
+    if (result?.ambiguous) {
+        const structuredContent = ambiguousFields(result);
+        return {
+            content: [{ type: 'text', text: renderer.render([paragraph(result.message)], format, structuredContent) }],
+            structuredContent,
+            isError: true
+        };
+    }
+
+    const standard = output.standard(result);
+    let structuredContent = standard;
+    if (verbosity === 'minimal') {
+        structuredContent = output.minimal(standard);
+    } else if (verbosity === 'raw') {
+        structuredContent = { ...standard, raw: result };
+    }
+
+    const blocks = output.view(structuredContent);
+    if (verbosity === 'raw') {
+        blocks.push(code(JSON.stringify(result, null, 2), 'json'));
+    }
+
+    return {
+        content: [{ type: 'text', text: renderer.render(blocks, format, structuredContent) }],
+        structuredContent
+    };
+}
+
+// Standard rendering of a client result, for prompts and resources that embed it as text
+export function renderResult(output, result, format = DEFAULT_FORMAT) {
+    const standard = output.standard(result);
+    return getRenderer().render(output.view(standard), format, standard);
+}
+
+// properties/required describe the standard payload; minimal must keep every required field.
+// The schema also admits the candidate list a tool returns when a name is ambiguous.
+function defineOutput({ properties, required, standard, minimal, view }) {
+    return {
+        schema: {
+            type: "object",
+            properties: {
+                ...properties,
+                raw: { description: "Untrimmed result, only present with verbosity: raw" }
+            },
+            oneOf: [{ required }, ambiguousSchema]
+        },
+        standard,
+        minimal: minimal || (content => content),
+        view
+    };
+}
+
+// Schema fragments
+
+const nullableString = { type: ["string", "null"] };
+
+const pageProperties = {
+    nextCursor: { ...nullableString, description: "Pass as cursor to fetch the next page; null on the last page" },
+    hasMore: { type: "boolean" }
+};
+
+const storySchema = {
+    type: "object",
+    properties: {
+        number: { type: ["integer", "null"], description: "Stable story number used by the story_number arguments" },
+        id: { type: "string" },
+        title: { type: "string" },
+        description: { type: "string" },
+        createdAt: { type: "string" }
+    },
+    required: ["id", "title"]
+};
+
+const childItemSchema = {
+    type: "object",
+    properties: {
+        number: { type: ["integer", "null"] },
+        id: { type: "string" },
+        title: { type: "string" },
+        name: { type: "string" },
+        description: { type: "string" }
+    },
+    required: ["id"]
+};
+
+const detailedStorySchema = {
+    ...storySchema,
+    properties: {
+        ...storySchema.properties,
+        acceptanceCriteria: { type: "array", items: childItemSchema },
+        testCases: { type: "array", items: childItemSchema },
+        testData: { type: "array", items: childItemSchema },
+        failedCollections: { type: "array", items: { type: "string" } }
+    }
+};
+
+// Persona, journey event and job entries carry their stored properties flattened next to the id
+const resourceSchema = {
+    type: "object",
+    properties: {
+        number: { type: ["integer", "null"] },
+        id: { type: "string" }
+    },
+    required: ["id"]
+};
+
+const nullableResourceSchema = { ...resourceSchema, type: ["object", "null"] };
+
+const projectSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        slug: { type: "string" },
+        name: { type: "string" },
+        description: { type: "string" }
+    },
+    required: ["id"]
+};
+
+const ambiguousSchema = {
+    type: "object",
+    properties: {
+        ambiguous: { const: true },
+        kind: { type: "string", description: "What the name was matched against, e.g. project or persona" },
+        query: { type: "string" },
+        message: { type: "string" },
+        candidates: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    name: { type: "string" },
+                    score: { type: "number" },
+                    matchedOn: { type: "string" }
+                },
+                required: ["id"]
+            }
+        }
+    },
+    required: ["ambiguous", "message", "candidates"]
+};
+
+const actionProperty = { type: "string", enum: ["created", "updated", "deleted", "reordered"] };
+
+// Trimming helpers
+
+function pick(source, keys) {
+    const picked = {};
+    for (const key of keys) {
+        if (source?.[key] !== undefined && source[key] !== null) {
+            picked[key] = source[key];
+        }
+    }
+    return picked;
+}
+
+// Upstream answers { data: item }, { data: [item] } or the item itself
+function unwrap(payload) {
+    const data = payload?.data !== undefined ? payload.data : payload;
+    return Array.isArray(data) ? (data[0] || null) : (data || null);
+}
+
+function listItems(payload) {
+    return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+function resourceFields(resource, number, omit = []) {
+    if (!resource) {
+        return null;
+    }
+    const properties = { ...(resource.properties || {}) };
+    for (const key of ['id', 'number', ...omit]) {
+        delete properties[key];
+    }
+    return {
+        ...(number !== undefined && { number }),
+        id: resource.resourceId || resource.id || '',
+        ...properties
+    };
+}
+
+function ambiguousFields(result) {
+    return {
+        ...pick(result, ['ambiguous', 'kind', 'query', 'message']),
+        candidates: (result.candidates || []).map(candidate => pick(candidate, ['id', 'name', 'score', 'matchedOn']))
+    };
+}
+
+function storyFields(story) {
+    return pick(story, ['number', 'id', 'title', 'description', 'createdAt']);
+}
+
+function storyTitle(story) {
+    return pick(story, ['number', 'id', 'title']);
+}
+
+// Child items are numbered in creation order, matching the item_number of the story child tools
+function childItems(items = []) {
+    return [...items]
+        .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+        .map((item, index) => ({
+            number: index + 1,
+            id: item.resourceId || item.id || '',
+            ...pick(item.properties, ['title', 'name', 'description'])
+        }));
+}
+
+function detailedStory(story) {
+    return {
+        ...storyFields(story),
+        acceptanceCriteria: childItems(story.acceptanceCriteria),
+        testCases: childItems(story.testCases),
+        testData: childItems(story.testData),
+        failedCollections: story.failedCollections || []
+    };
+}
+
+function projectFields(project) {
+    const keys = ['slug', 'name', 'description', 'status', 'version', 'sponsor', 'expectedStartDate', 'expectedEndDate'];
+    return {
+        id: project?.id || project?.resourceId || '',
+        ...pick(project?.properties, keys),
+        ...pick(project, keys)
+    };
+}
+
+function personaFields(persona) {
+    return resourceFields(unwrap(persona));
+}
+
+function pitchFields(payload) {
+    const pitch = unwrap(payload);
+    const props = pick(pitch?.properties, ELEVATOR_PITCH_FIELDS);
+    return Object.keys(props).length > 0 ? props : null;
+}
+
+// Output families
+
+const storyList = defineOutput({
+    properties: {
+        projectId: { type: "string" },
+        personaId: { type: "string" },
+        stories: { type: "array", items: storySchema },
+        total: { type: "integer" },
+        ...pageProperties
+    },
+    required: ["stories", "total"],
+    standard: result => ({
+        projectId: result.projectId,
+        personaId: result.personaId,
+        stories: result.stories.map(storyFields),
+        total: result.total,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+    }),
+    minimal: content => ({
+        stories: content.stories.map(storyTitle),
+        total: content.total,
+        nextCursor: content.nextCursor,
+        hasMore: content.hasMore
+    }),
+    view: VIEWS.storyList
+});
+
+const storyDetails = defineOutput({
+    properties: {
+        story: detailedStorySchema,
+        partial: { type: "boolean", description: "True when some child collections could not be loaded" }
+    },
+    required: ["story"],
+    standard: result => ({
+        story: detailedStory(result.story),
+        partial: result.partial
+    }),
+    minimal: content => ({
+        story: {
+            ...storyTitle(content.story),
+            acceptanceCriteria: content.story.acceptanceCriteria.map(item => pick(item, ['number', 'id', 'title'])),
+            testCases: content.story.testCases.map(item => pick(item, ['number', 'id', 'title'])),
+            testData: content.story.testData.map(item => pick(item, ['number', 'id', 'name']))
+        },
+        partial: content.partial
+    }),
+    view: VIEWS.storyDetails
+});
+
+const storyRange = defineOutput({
+    properties: {
+        range: { type: "string" },
+        count: { type: "integer" },
+        partial: { type: "boolean" },
+        stories: { type: "array", items: detailedStorySchema },
+        message: { type: "string" }
+    },
+    required: ["range", "count", "stories"],
+    standard: result => ({
+        range: result.range,
+        count: result.stories.length,
+        partial: result.partial || false,
+        stories: result.stories.map(detailedStory),
+        ...pick(result, ['message'])
+    }),
+    minimal: content => ({
+        range: content.range,
+        count: content.count,
+        stories: content.stories.map(storyTitle)
+    }),
+    view: VIEWS.storyRange
+});
+
+const storyWrite = defineOutput({
+    properties: {
+        action: actionProperty,
+        story: storySchema,
+        total: { type: "integer", description: "Stories for the persona after the change" }
+    },
+    required: ["action", "story"],
+    standard: result => ({
+        action: result.action,
+        story: storyFields(result.story),
+        total: result.total
+    }),
+    minimal: content => ({
+        action: content.action,
+        story: storyTitle(content.story)
+    }),
+    view: VIEWS.storyWrite
+});
+
+const projectOverview = defineOutput({
+    properties: {
+        projectId: { type: "string" },
+        name: { type: "string" },
+        description: { type: "string" },
+        elevatorPitch: { type: ["object", "null"], description: "Elevator pitch template slots" },
+        visionStatement: nullableString,
+        personas: { type: "array", items: resourceSchema }
+    },
+    required: ["projectId", "personas"],
+    standard: result => {
+        const { overview } = result;
+        const project = projectFields(unwrap(overview.projectDetails));
+        return {
+            projectId: overview.projectId,
+            ...pick(project, ['name', 'description']),
+            elevatorPitch: pitchFields(overview.elevatorPitch),
+            visionStatement: unwrap(overview.visionStatement)?.properties?.content || null,
+            personas: listItems(overview.personas).map(persona => ({
+                id: persona.resourceId || '',
+                ...pick(persona.properties, ['name', 'role'])
+            }))
+        };
+    },
+    minimal: content => ({
+        projectId: content.projectId,
+        ...pick(content, ['name']),
+        personas: content.personas.map(persona => pick(persona, ['id', 'name']))
+    }),
+    view: VIEWS.projectOverview
+});
+
+const writeProperties = {
+    action: actionProperty,
+    dryRun: { type: "boolean", description: "True when the change was previewed but not saved" }
+};
+
+const elevatorPitchWrite = defineOutput({
+    properties: {
+        ...writeProperties,
+        pitch: { type: "object", description: "Elevator pitch template slots" },
+        rendered: { type: "string" }
+    },
+    required: ["rendered"],
+    standard: result => ({
+        ...pick(result, ['action', 'dryRun', 'pitch']),
+        rendered: renderElevatorPitch(result.pitch)
+    }),
+    minimal: content => pick(content, ['action', 'dryRun', 'rendered']),
+    view: VIEWS.elevatorPitchWrite
+});
+
+const visionStatementWrite = defineOutput({
+    properties: {
+        ...writeProperties,
+        visionStatement: {
+            type: "object",
+            properties: { content: { type: "string" } },
+            required: ["content"]
+        }
+    },
+    required: ["visionStatement"],
+    standard: result => pick(result, ['action', 'dryRun', 'visionStatement']),
+    view: VIEWS.visionStatementWrite
+});
+
+const personaProperties = {
+    action: actionProperty,
+    persona: nullableResourceSchema
+};
+
+function personaOutput(getPersona) {
+    return defineOutput({
+        properties: personaProperties,
+        required: ["persona"],
+        standard: result => ({
+            ...pick(result, ['action']),
+            persona: getPersona(result)
+        }),
+        minimal: content => ({
+            ...pick(content, ['action']),
+            persona: content.persona && pick(content.persona, ['id', 'name', 'role'])
+        }),
+        view: VIEWS.persona
+    });
+}
+
+// Journey events are numbered by position in the whole journey, so a page starting at
+// offset 20 begins at #21; the stored order field is implied by the number
+function journeyEvents(journey, startOffset = 0) {
+    return listItems(journey).map((event, index) => resourceFields(event, startOffset + index + 1, [JOURNEY_ORDER_FIELD]));
+}
+
+const journey = defineOutput({
+    properties: {
+        events: { type: "array", items: resourceSchema },
+        total: { type: "integer" },
+        ...pageProperties
+    },
+    required: ["events", "total"],
+    standard: result => {
+        const events = journeyEvents(result.journey, result.startOffset);
+        return {
+            events,
+            total: result.journey?.total ?? events.length,
+            nextCursor: result.nextCursor,
+            hasMore: result.hasMore
+        };
+    },
+    minimal: content => ({
+        events: content.events.map(event => pick(event, ['number', 'id', 'name'])),
+        total: content.total,
+        nextCursor: content.nextCursor,
+        hasMore: content.hasMore
+    }),
+    view: VIEWS.journey
+});
+
+const journeyWrite = defineOutput({
+    properties: {
+        action: actionProperty,
+        event: nullableResourceSchema,
+        events: { type: "array", items: resourceSchema, description: "The journey after the change" },
+        total: { type: "integer" }
+    },
+    required: ["action", "event"],
+    standard: result => {
+        const events = journeyEvents(result.journey);
+        const { number = null, ...event } = result.event || {};
+        return {
+            action: result.action,
+            event: result.event ? resourceFields(event, number, [JOURNEY_ORDER_FIELD]) : null,
+            events,
+            total: events.length
+        };
+    },
+    minimal: content => ({
+        action: content.action,
+        event: content.event && pick(content.event, ['number', 'id', 'name'])
+    }),
+    view: VIEWS.journeyWrite
+});
+
+function jobList(payload, startOffset = 0) {
+    return listItems(payload).map((job, index) => resourceFields(job, startOffset + index + 1));
+}
+
+const jobs = defineOutput({
+    properties: {
+        jobs: { type: "array", items: resourceSchema },
+        total: { type: "integer" },
+        ...pageProperties
+    },
+    required: ["jobs", "total"],
+    standard: result => {
+        const items = jobList(result.jobsToBeDone, result.startOffset);
+        return {
+            jobs: items,
+            total: items.length,
+            nextCursor: result.nextCursor,
+            hasMore: result.hasMore
+        };
+    },
+    minimal: content => ({
+        jobs: content.jobs.map(job => pick(job, ['number', 'id', 'jtbdItem'])),
+        total: content.total,
+        nextCursor: content.nextCursor,
+        hasMore: content.hasMore
+    }),
+    view: VIEWS.jobs
+});
+
+const jobWrite = defineOutput({
+    properties: {
+        action: actionProperty,
+        job: nullableResourceSchema,
+        jobs: { type: "array", items: resourceSchema },
+        total: { type: "integer" }
+    },
+    required: ["action", "job"],
+    standard: result => {
+        const items = jobList(result.jobsToBeDone);
+        const jobId = result.job?.resourceId;
+        return {
+            action: result.action,
+            job: items.find(job => job.id === jobId) || resourceFields(result.job, null),
+            jobs: items,
+            total: items.length
+        };
+    },
+    minimal: content => ({
+        action: content.action,
+        job: content.job && pick(content.job, ['number', 'id', 'jtbdItem'])
+    }),
+    view: VIEWS.jobWrite
+});
+
+const userInfo = defineOutput({
+    properties: {
+        user: { type: "object" }
+    },
+    required: ["user"],
+    standard: result => ({ user: result.data || {} }),
+    minimal: content => ({ user: pick(content.user, ['id', 'email', 'name', 'firstName', 'lastName']) }),
+    view: VIEWS.userInfo
+});
+
+const ndaStatus = defineOutput({
+    properties: {
+        ndaStatus: { type: "string" }
+    },
+    required: ["ndaStatus"],
+    standard: result => ({ ndaStatus: result.data?.ndaStatus || 'UNKNOWN' }),
+    view: VIEWS.ndaStatus
+});
+
+const projectEnvironment = defineOutput({
+    properties: {
+        personas: { type: "array", items: resourceSchema },
+        total: { type: "integer" }
+    },
+    required: ["personas", "total"],
+    standard: result => ({
+        personas: result.personas.map(persona => pick(persona, ['id', 'name', 'role'])),
+        total: result.total
+    }),
+    minimal: content => ({
+        personas: content.personas.map(persona => pick(persona, ['id', 'name'])),
+        total: content.total
+    }),
+    view: VIEWS.projectEnvironment
+});
+
+function projectOutput(getProject) {
+    return defineOutput({
+        properties: {
+            project: projectSchema
+        },
+        required: ["project"],
+        standard: result => ({ project: getProject(result) }),
+        minimal: content => ({ project: pick(content.project, ['id', 'name']) }),
+        view: VIEWS.project
+    });
+}
+
+const projectList = defineOutput({
+    properties: {
+        projects: { type: "array", items: projectSchema },
+        total: { type: "integer" },
+        page: { type: "integer" },
+        pageSize: { type: "integer" },
+        query: { type: "string" }
+    },
+    required: ["projects", "total"],
+    standard: result => ({
+        projects: result.projects.map(project => pick(project, ['id', 'slug', 'name', 'description'])),
+        ...pick(result, ['total', 'page', 'pageSize', 'query'])
+    }),
+    minimal: content => ({
+        projects: content.projects.map(project => pick(project, ['id', 'name'])),
+        total: content.total
+    }),
+    view: VIEWS.projectList
+});
+
+// The legacy tools keep their { result } envelope
+const legacyProperties = {
+    result: { type: ["object", "string"] }
+};
+
+const legacyElevatorPitch = defineOutput({
+    properties: legacyProperties,
+    required: ["result"],
+    standard: result => ({ result: pitchFields(result.result) || 'No elevator pitch available' }),
+    view: VIEWS.legacyElevatorPitch
+});
+
+const legacyVisionStatement = defineOutput({
+    properties: legacyProperties,
+    required: ["result"],
+    standard: result => ({ result: unwrap(result.result)?.properties?.content || 'No vision statement available' }),
+    view: VIEWS.legacyVisionStatement
+});
+
+// Story child collections: one output per collection, since the title field differs
+export function storyChildListOutput(spec) {
+    return defineOutput({
+        properties: {
+            storyId: { type: "string" },
+            collection: { type: "string" },
+            items: { type: "array", items: childItemSchema },
+            total: { type: "integer" }
+        },
+        required: ["items", "total"],
+        standard: result => ({
+            storyId: result.storyId,
+            collection: result.collection,
+            items: result.items.map(item => pick(item, ['number', 'id', spec.titleField, 'description'])),
+            total: result.total
+        }),
+        minimal: content => ({
+            items: content.items.map(item => pick(item, ['number', 'id', spec.titleField])),
+            total: content.total
+        }),
+        view: storyChildListView(spec)
+    });
+}
+
+export function storyChildWriteOutput(spec) {
+    return defineOutput({
+        properties: {
+            action: actionProperty,
+            storyId: { type: "string" },
+            item: { ...childItemSchema, type: ["object", "null"] },
+            items: { type: "array", items: childItemSchema, description: "The collection after the change" },
+            total: { type: "integer" }
+        },
+        required: ["action", "item"],
+        standard: result => ({
+            action: result.action,
+            storyId: result.storyId,
+            item: result.item && pick(result.item, ['number', 'id', spec.titleField, 'description']),
+            items: result.items.map(item => pick(item, ['number', 'id', spec.titleField, 'description'])),
+            total: result.total
+        }),
+        minimal: content => ({
+            action: content.action,
+            item: content.item && pick(content.item, ['number', 'id', spec.titleField])
+        }),
+        view: storyChildWriteView(spec)
+    });
+}
+
+export const TOOL_OUTPUTS = {
+    storyList,
+    storyDetails,
+    storyRange,
+    storyWrite,
+    projectOverview,
+    elevatorPitchWrite,
+    visionStatementWrite,
+    persona: personaOutput(result => personaFields(result.persona)),
+    // find_persona_by_name answers with the persona summary itself
+    personaMatch: personaOutput(result => resourceFields({ ...result, properties: { ...result.properties, name: result.name, role: result.role } })),
+    journey,
+    journeyWrite,
+    jobs,
+    jobWrite,
+    userInfo,
+    ndaStatus,
+    projectEnvironment,
+    productInfo: projectOutput(result => projectFields(unwrap(result.productInfo))),
+    projectDetails: projectOutput(result => projectFields(unwrap(result.data))),
+    // find_project_by_name answers with the project summary itself
+    projectMatch: projectOutput(result => projectFields(result)),
+    projectList,
+    legacyElevatorPitch,
+    legacyVisionStatement
+};
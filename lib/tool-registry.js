@@ -0,0 +1,147 @@
+// Registry of MCP tools. Each tool declares its schema, handler, progress stages and metadata
+// in one entry; every transport lists and dispatches tools through the registry, so there is
+// no per-server switch to keep in sync. Registering a name twice, or a schema that does not
+// compile, fails at startup.
+
+import { ToolInputValidator } from './tool-validation.js';
+import { getFormatProperty, shapeToolResult, verbosityProperty } from './tool-output.js';
+
+export class DuplicateToolError extends Error {
+    constructor(name) {
+        super(`Tool ${name} is registered more than once`);
+        this.name = 'DuplicateToolError';
+        this.toolName = name;
+    }
+}
+
+export const TOOL_CATEGORIES = ['core', 'name', 'authoring', 'legacy'];
+
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+        this.validator = new ToolInputValidator();
+    }
+
+    // tool: { name, description, inputSchema, output, handler(args, client, { advance }),
+    //         category, progress: [stage | (args) => stage], readOnly, destructive }
+    // output is one of the shapes in tool-output.js
+    register(tool) {
+        if (!tool?.name || typeof tool.handler !== 'function' || !tool.inputSchema || !tool.output) {
+            throw new Error(`Tool ${tool?.name || '(unnamed)'} needs a name, an inputSchema, an output and a handler`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new DuplicateToolError(tool.name);
+        }
+        if (tool.category && !TOOL_CATEGORIES.includes(tool.category)) {
+            throw new Error(`Tool ${tool.name} has unknown category ${tool.category}`);
+        }
+
+        // Every tool accepts verbosity and format, which select how much of the result comes
+        // back and how its text is rendered
+        const inputSchema = {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                verbosity: verbosityProperty,
+                format: getFormatProperty()
+            }
+        };
+
+        this.validator.compile(tool.name, inputSchema);
+        this.tools.set(tool.name, { progress: [], readOnly: false, destructive: false, ...tool, inputSchema });
+    }
+
+    registerAll(tools) {
+        tools.forEach(tool => this.register(tool));
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    get size() {
+        return this.tools.size;
+    }
+
+    names() {
+        return Array.from(this.tools.keys());
+    }
+
+    // Tool definitions as MCP clients expect them in tools/list
+    getDefinitions() {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            outputSchema: tool.output.schema,
+            annotations: {
+                readOnlyHint: tool.readOnly,
+                destructiveHint: tool.destructive
+            }
+        }));
+    }
+
+    // Validated copy of the arguments with schema defaults applied; throws ToolInputError.
+    // Pass coerce for string-typed input such as query parameters.
+    validate(name, input, options = {}) {
+        return this.validator.validate(name, input, options);
+    }
+
+    // Definitions plus the metadata the dashboard groups and labels tools by
+    getCatalog() {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            category: tool.category || 'core',
+            readOnly: tool.readOnly,
+            destructive: tool.destructive,
+            progressStages: tool.progress.length
+        }));
+    }
+
+    // Runs the tool's handler. The first declared progress stage is reported before the
+    // handler starts; the handler calls advance() as it reaches each later stage.
+    async execute(name, args, client, { onProgress } = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        if (tool.destructive && args.confirm !== true) {
+            throw new Error(`${name} is destructive and cannot be undone. Call it again with confirm: true to proceed.`);
+        }
+
+        const stages = tool.progress;
+        let stageIndex = -1;
+        const advance = () => {
+            stageIndex++;
+            if (!onProgress || stageIndex >= stages.length) {
+                return;
+            }
+            const stage = stages[stageIndex];
+            onProgress({
+                message: typeof stage === 'function' ? stage(args) : stage,
+                progress: stageIndex,
+                total: stages.length
+            });
+        };
+
+        advance();
+        return await tool.handler(args, client, { advance });
+    }
+
+    // tools/call result: structuredContent trimmed to options.verbosity plus a text rendering
+    // in options.format
+    formatResult(name, result, options = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        return shapeToolResult(tool.output, result, options);
+    }
+}
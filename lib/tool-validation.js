@@ -0,0 +1,108 @@
+// JSON Schema validation of tool arguments. Each tool's inputSchema is compiled once, when the
+// tool is registered, and checked with Ajv: types, enums, patterns, ranges, oneOf/allOf and
+// defaults. Failures become a ToolInputError listing every offending field.
+
+import Ajv from 'ajv';
+
+export class ToolInputError extends Error {
+    constructor(toolName, errors) {
+        super(`Invalid arguments for ${toolName}: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+        this.name = 'ToolInputError';
+        // JSON-RPC "invalid params"
+        this.code = -32602;
+        this.errors = errors;
+        this.data = { tool: toolName, errors };
+    }
+}
+
+export class ToolInputValidator {
+    constructor() {
+        const options = { allErrors: true, useDefaults: true };
+        this.ajv = new Ajv(options);
+        // Query strings and HTML forms deliver every value as a string
+        this.coercingAjv = new Ajv({ ...options, coerceTypes: true });
+        this.validators = new Map(); // toolName -> { strict, coercing, schema }
+    }
+
+    // Throws if the schema itself is invalid, so a broken tool definition fails at startup
+    compile(toolName, schema) {
+        this.validators.set(toolName, {
+            strict: this.ajv.compile(schema),
+            coercing: this.coercingAjv.compile(schema),
+            schema
+        });
+    }
+
+    // Returns a validated copy of the input with defaults applied (and, with coerce, strings
+    // converted to the declared types); the caller's object is left untouched
+    validate(toolName, input, { coerce = false } = {}) {
+        const compiled = this.validators.get(toolName);
+        if (!compiled) {
+            throw new Error(`Unknown tool: ${toolName}`);
+        }
+
+        const args = structuredClone(input ?? {});
+        const validate = coerce ? compiled.coercing : compiled.strict;
+        if (!validate(args)) {
+            throw new ToolInputError(toolName, this.describeErrors(validate.errors, compiled.schema));
+        }
+        return args;
+    }
+
+    describeErrors(ajvErrors, schema) {
+        // A failed oneOf also reports why each alternative failed; summarise it once instead
+        const oneOfPaths = ajvErrors
+            .filter(error => error.keyword === 'oneOf')
+            .map(error => error.schemaPath);
+        const relevant = ajvErrors.filter(error =>
+            !oneOfPaths.some(path => error.schemaPath.startsWith(`${path}/`))
+        );
+
+        return relevant.map(error => {
+            if (error.keyword === 'oneOf') {
+                return this.describeOneOf(error, schema);
+            }
+
+            const field = error.keyword === 'required'
+                ? joinPath(error.instancePath, error.params.missingProperty)
+                : error.instancePath.slice(1).replace(/\//g, '.') || '(arguments)';
+            let message = error.message;
+            if (error.keyword === 'enum') {
+                message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+            } else if (error.keyword === 'required') {
+                message = 'is required';
+            }
+            return { field, message, keyword: error.keyword };
+        });
+    }
+
+    describeOneOf(error, schema) {
+        const branches = resolveSchemaPath(schema, error.schemaPath) || [];
+        const alternatives = branches.map(branch => (branch.required || []).join(' + ')).filter(Boolean);
+        const matched = error.params.passingSchemas;
+        return {
+            field: alternatives.join(' | ') || joinPath(error.instancePath) || '(arguments)',
+            message: matched
+                ? `provide only one of ${alternatives.join(' or ')}`
+                : `provide one of ${alternatives.join(' or ')}`,
+            keyword: 'oneOf'
+        };
+    }
+}
+
+function joinPath(instancePath, property) {
+    const parts = instancePath.split('/').filter(Boolean);
+    if (property) {
+        parts.push(property);
+    }
+    return parts.join('.');
+}
+
+// Resolves an Ajv schemaPath such as "#/allOf/1/oneOf" against the tool's schema
+function resolveSchemaPath(schema, schemaPath) {
+    return schemaPath
+        .replace(/^#\/?/, '')
+        .split('/')
+        .filter(Boolean)
+        .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], schema);
+}
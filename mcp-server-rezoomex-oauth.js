@@ -3,10 +3,29 @@
 import express from 'express';
 import cors from 'cors';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import { AuthManager } from './lib/auth-manager.js';
 import { MCPTools } from './lib/mcp-tools.js';
+import { MCPResources } from './lib/mcp-resources.js';
+import { MCPPrompts } from './lib/mcp-prompts.js';
+import { createMcpServer } from './lib/mcp-server-factory.js';
+import {
+    OAuthAuthorizationServer,
+    OAuthError,
+    buildBearerChallenge,
+    buildRedirect,
+    getAuthorizationServerMetadata,
+    getProtectedResourceMetadata,
+    getProtectedResourceMetadataUrl
+} from './lib/oauth-server.js';
+import { OAuthTokenStore, UpstreamRejectedError } from './lib/oauth-tokens.js';
+import { ClientRegistry, createClientStore } from './lib/oauth-clients.js';
+import { createHash, timingSafeEqual } from 'crypto';
+import { MemoryEventStore } from './lib/event-store.js';
+import { getResponseCache } from './lib/response-cache.js';
+import { getCircuitBreakerStates } from './lib/resilience.js';
+import { getRequestScheduler } from './lib/request-scheduler.js';
 import { createLogger, format, transports } from 'winston';
 import { config } from 'dotenv';
 import axios from 'axios';
@@ -48,11 +67,14 @@ const PORT = process.env.PORT || 3000;
 const BASE_URI = process.env.BASE_URI || (process.env.NODE_ENV === 'production' ? 'https://rmx-mcp.onrender.com' : `http://localhost:${PORT}`);
 const REZOOMEX_LOGIN_URL = process.env.REZOOMEX_LOGIN_URL || 'https://workspace.rezoomex.com/account/login';
 const REZOOMEX_BASE_URL = process.env.REZOOMEX_BASE_URL || 'https://awsapi-gateway.rezoomex.com';
+// Where /authenticate exchanges the user's credentials for a Rezoomex token
+const REZOOMEX_TOKEN_URL = process.env.REZOOMEX_TOKEN_URL || `${REZOOMEX_BASE_URL}/v1/users/auth0/token`;
 
 // Auth0 Configuration
 const AUTH0_DOMAIN = process.env.AUTH0_DOMAIN;
 const AUTH0_CLIENT_ID = process.env.AUTH0_CLIENT_ID;
 const AUTH0_CLIENT_SECRET = process.env.AUTH0_CLIENT_SECRET;
+const AUTH0_CALLBACK_URI = `${BASE_URI}/callback`;
 
 // Auth0 OAuth2 Provider
 class Auth0Provider {
@@ -127,16 +149,16 @@ class Auth0Provider {
 }
 
 // In-memory session storage
-const sessionStore = new Map();
-const mcpTransports = new Map();
-const SESSION_TIMEOUT = parseInt(process.env.SESSION_TIMEOUT) || 300000; // 5 minutes default
+const mcpTransports = new Map(); // legacy SSE session ID -> { transport, ownerId }
+const streamableSessions = new Map(); // Mcp-Session-Id -> { transport, sessionContext, ownerId, lastActivity }
+const MCP_SESSION_IDLE_TIMEOUT = parseInt(process.env.MCP_SESSION_IDLE_MS) || 30 * 60 * 1000;
 
 // Middleware
 const corsOptions = {
     origin: true,
     methods: ['GET', 'POST', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization', "Mcp-Protocol-Version", "Mcp-Protocol-Id", "Mcp-Session-Id"],
-    exposedHeaders: ["Mcp-Protocol-Version", "Mcp-Protocol-Id"],
+    allowedHeaders: ['Content-Type', 'Authorization', "Mcp-Protocol-Version", "Mcp-Protocol-Id", "Mcp-Session-Id", "Last-Event-ID"],
+    exposedHeaders: ["Mcp-Protocol-Version", "Mcp-Protocol-Id", "Mcp-Session-Id", "WWW-Authenticate"],
     credentials: true
 };
 
@@ -212,9 +234,9 @@ class RezoomexAuthProvider {
             params.append('username', email);
             params.append('password', password);
 
-            this.logger.info('Attempting authentication', { email, endpoint: `${REZOOMEX_BASE_URL}/v1/users/auth0/token` });
+            this.logger.info('Attempting authentication', { email, endpoint: REZOOMEX_TOKEN_URL });
 
-            const response = await axios.post(`${REZOOMEX_BASE_URL}/v1/users/auth0/token`, params, {
+            const response = await axios.post(REZOOMEX_TOKEN_URL, params, {
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
                     'User-Agent': 'Rezoomex-MCP-Client/1.0'
@@ -231,7 +253,9 @@ class RezoomexAuthProvider {
             if (response.data && response.data.access_token) {
                 return {
                     access_token: response.data.access_token,
-                    token_type: 'Bearer'
+                    token_type: 'Bearer',
+                    expires_in: response.data.expires_in,
+                    refresh_token: response.data.refresh_token
                 };
             }
 
@@ -255,8 +279,8 @@ class RezoomexAuthProvider {
 
             this.logger.error('Credential authentication failed', errorDetails);
             
-            if (error.response?.status === 401) {
-                throw new Error('Invalid email or password');
+            if (error.response?.status === 401 || (error.response?.status === 400 && error.response.data?.error === 'invalid_grant')) {
+                throw new UpstreamRejectedError('Invalid email or password');
             } else if (error.response?.status === 404) {
                 throw new Error('Authentication endpoint not found');
             } else if (error.code === 'ECONNREFUSED') {
@@ -267,6 +291,44 @@ class RezoomexAuthProvider {
         }
     }
 
+    // Fresh upstream token for an OAuth grant: from the refresh token when Rezoomex issued one,
+    // otherwise by signing in again with the credentials kept for the grant
+    // Throws UpstreamRejectedError when Rezoomex refuses them, so the grant ends; any other
+    // failure is treated as transient.
+    async renewToken({ refreshToken, credentials }) {
+        if (refreshToken) {
+            const params = new URLSearchParams();
+            params.append('grant_type', 'refresh_token');
+            params.append('refresh_token', refreshToken);
+
+            let response;
+            try {
+                response = await axios.post(REZOOMEX_TOKEN_URL, params, {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                        'User-Agent': 'Rezoomex-MCP-Client/1.0'
+                    },
+                    timeout: 10000
+                });
+            } catch (error) {
+                const status = error.response?.status;
+                if (status === 401 || (status === 400 && error.response.data?.error === 'invalid_grant')) {
+                    throw new UpstreamRejectedError('Rezoomex refused the refresh token');
+                }
+                throw error;
+            }
+            if (!response.data?.access_token) {
+                throw new Error('No token received from refresh response');
+            }
+            return response.data;
+        }
+
+        if (credentials) {
+            return await this.authenticateWithCredentials(credentials.email, credentials.password);
+        }
+        throw new UpstreamRejectedError('Nothing to renew the Rezoomex token with');
+    }
+
     async verifyToken(token) {
         try {
             const response = await axios.get(`${REZOOMEX_BASE_URL}/v1/users/me`, {
@@ -288,596 +350,323 @@ class RezoomexAuthProvider {
 const rezoomexAuthProvider = new RezoomexAuthProvider(logger);
 
 
-// Create MCP Server
-function createMcpServer(sessionContext) {
-    const server = new Server(
-        {
-            name: "rzmx",
-            version: "1.0.0",
-        },
-        {
-            capabilities: {
-                tools: {},
-                resources: {}
-            },
-        }
-    );
-
-    // List tools
-    server.setRequestHandler(ListToolsRequestSchema, async () => {
-        // Import and use the comprehensive tool definitions from MCPTools
-        const { MCPTools } = await import('./lib/mcp-tools.js');
-        const mcpTools = new MCPTools();
-        const allTools = mcpTools.getToolDefinitions();
-        
-        // Filter out the authenticate tool since OAuth handles authentication
-        const availableTools = allTools.filter(tool => tool.name !== 'authenticate');
-        
-        return {
-            tools: availableTools
-        };
-    });
+// Rezoomex client for an authenticated caller. Tokens issued by our OAuth server resolve to
+// their grant's upstream token, which is renewed as it nears expiry; raw Rezoomex tokens are
+// used as they are.
+async function createUpstreamClient(sessionContext, sessionId) {
+    const { grantId } = sessionContext;
+    const tokenProvider = grantId ? () => oauthTokens.getUpstreamToken(grantId) : undefined;
+    const bearerToken = tokenProvider ? await tokenProvider() : sessionContext.accessToken;
 
-    // Handle tool calls
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
-        const { name, arguments: args } = request.params;
-        
+    const client = await authManager.authenticateWithToken(bearerToken, sessionId, { tokenProvider });
+    if (!client) {
+        throw new Error('Failed to authenticate with token');
+    }
+    return client;
+}
+
+// Create an MCP server bound to one authenticated session
+function createSessionMcpServer(sessionContext) {
+    const getSessionClient = async () => {
         if (!sessionContext?.accessToken) {
             throw new Error('Authentication required. Please authenticate first.');
         }
+        return await createUpstreamClient(sessionContext, sessionContext.sessionId || 'default');
+    };
 
-        try {
-            const client = await authManager.authenticateWithToken(sessionContext.accessToken, sessionContext.sessionId || 'default');
-            if (!client) {
-                throw new Error('Failed to authenticate with token');
-            }
-
-            // Use MCPTools to handle all tool calls
-            const { MCPTools } = await import('./lib/mcp-tools.js');
-            const mcpTools = new MCPTools();
-            
-            // Skip authenticate tool since OAuth handles it
-            if (name === 'authenticate') {
-                throw new Error('Authentication is handled by OAuth2 flow');
-            }
-            
-            const result = await mcpTools.callTool(name, args, client);
-
-            return {
-                content: [{
-                    type: 'text',
-                    text: JSON.stringify(result, null, 2)
-                }]
-            };
-        } catch (error) {
-            logger.error('Tool call error', { tool: name, error: error.message });
-            throw error;
-        }
-    });
-
-    return { server };
+    return createMcpServer({ logger, getClient: getSessionClient });
 }
 
-// OAuth2 authorization endpoint - handles both Auth0 and Rezoomex flows
-app.get("/authorize", async (req, res) => {
-    const { response_type, client_id, redirect_uri, state, scope, auth_provider } = req.query;
-    
-    logger.info('Authorization request received', { 
-        response_type, 
-        client_id, 
-        redirect_uri: redirect_uri ? redirect_uri.substring(0, 50) + '...' : 'none',
-        state,
-        scope,
-        authProvider: auth_provider
-    });
-
-    // Use Auth0 if configured and requested
-    if (auth0Provider && (auth_provider === 'auth0' || client_id === AUTH0_CLIENT_ID)) {
-        const authUrl = auth0Provider.getAuthorizationUrl(
-            redirect_uri || `${BASE_URI}/callback`,
-            state,
-            scope || 'openid profile email'
-        );
-        
-        logger.info('Redirecting to Auth0', { authUrl });
-        return res.redirect(authUrl);
-    }
-
-    // Fall back to Rezoomex direct authentication form
-    res.send(`
-        <html>
-          <head><title>Rezoomex Authentication</title></head>
-          <body>
-            <h1>Login to Rezoomex</h1>
-            <p>Please enter your Rezoomex credentials:</p>
-            <form method="post" action="/authenticate">
-              <input type="hidden" name="state" value="${state || ''}" />
-              <input type="hidden" name="redirect_uri" value="${redirect_uri || `${BASE_URI}/callback`}" />
-              
-              <div>
-                <label for="email">Email:</label>
-                <input type="email" id="email" name="email" required />
-              </div>
-              
-              <div>
-                <label for="password">Password:</label>
-                <input type="password" id="password" name="password" required />
-              </div>
-              
-              <button type="submit">Login</button>
-            </form>
-          </body>
-        </html>
-    `);
+// OAuth 2.1 authorization server: PKCE-bound, single-use codes exchanged for our own
+// access/refresh tokens, each pair backed by a renewable upstream Rezoomex token
+const oauthTokens = new OAuthTokenStore(logger, {
+    renewUpstream: (upstream) => rezoomexAuthProvider.renewToken(upstream)
 });
-
-// OAuth2 client registration endpoint (for IDE compatibility)
-app.post("/register", async (req, res) => {
-    try {
-        logger.info('Client registration request received', { 
-            body: req.body,
-            headers: req.headers 
-        });
-        
-        const { client_name, redirect_uris } = req.body;
-        
-        if (!redirect_uris || !client_name) {
-            logger.error('Missing required parameters', { client_name, redirect_uris });
-            return res.status(400).json({ 
-                error: 'invalid_client_metadata',
-                error_description: 'Missing required parameters: redirect_uris and client_name' 
-            });
-        }
-
-        const normalizedRedirectUris = Array.isArray(redirect_uris) ? redirect_uris : [redirect_uris];
-        const dynamicCallbackUrl = normalizedRedirectUris[0];
-        
-        // Generate session ID for callback mapping
-        const sessionId = Math.random().toString(36).substring(2, 15);
-        sessionStore.set(`callback_session:${sessionId}`, dynamicCallbackUrl);
-        
-        setTimeout(() => {
-            sessionStore.delete(`callback_session:${sessionId}`);
-        }, SESSION_TIMEOUT);
-        
-        logger.info('Stored callback mapping', { 
-            sessionId, 
-            dynamicCallbackUrl,
-            proxyCallbackUrl: `${BASE_URI}/callback`
-        });
-        
-        // Return static client info (we don't use dynamic registration with Rezoomex)
-        res.json({
-            client_id: 'rezoomex-mcp-client',
-            client_secret: 'not-used-for-rezoomex',
-            client_name: client_name,
-            redirect_uris: [`${BASE_URI}/callback`],
-            grant_types: ["authorization_code", "refresh_token"],
-            response_types: ["code"],
-            token_endpoint_auth_method: "client_secret_post"
-        });
-    } catch (error) {
-        logger.error('Client registration failed', { error: error.message });
-        res.status(500).json({ 
-            error: 'server_error',
-            error_description: 'Failed to register client' 
-        });
-    }
+const oauthClients = new ClientRegistry(logger, createClientStore(logger));
+const oauthServer = new OAuthAuthorizationServer(logger, {
+    authenticate: (email, password) => rezoomexAuthProvider.authenticateWithCredentials(email, password),
+    clients: oauthClients,
+    tokens: oauthTokens
 });
 
-// Authorization endpoint - redirect to Rezoomex login (like reference MCP)
-app.get("/authorize", (req, res) => {
-    const { state, redirect_uri, client_id } = req.query;
-    
-    logger.info('Authorization request received', { 
-        state, 
-        redirectUri: redirect_uri,
-        clientId: client_id
-    });
-    
-    // For direct MCP auth, show login form
-    if (state === 'mcp-auth') {
-        res.send(`
-            <html>
-              <head>
-                <title>Rezoomex Authentication</title>
-                <style>
+const AUTH_PAGE_STYLE = `
                   body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
                   .form-group { margin-bottom: 15px; }
                   label { display: block; margin-bottom: 5px; font-weight: bold; }
                   input { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; }
                   button { background: #007cba; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; width: 100%; }
                   button:hover { background: #005a87; }
+                  .error { color: red; margin: 15px 0; padding: 10px; background: #ffebee; border-radius: 4px; }`;
+
+// Everything interpolated into the auth pages goes through this, whoever supplied it
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Security-relevant rejections, logged with the caller's address for later review
+function auditLog(req, event, details) {
+    logger.warn(`Audit: ${event}`, {
+        audit: true,
+        event,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        ...details
+    });
+}
+
+// Sign-in form for a pending authorization request; the request itself stays on the server
+function renderLoginPage(requestId, { clientName, errorMessage } = {}) {
+    return `
+            <html>
+              <head>
+                <title>Rezoomex Authentication</title>
+                <style>${AUTH_PAGE_STYLE}
                 </style>
               </head>
               <body>
                 <h2>Rezoomex MCP Authentication</h2>
+                ${errorMessage ? `<div class="error">Authentication failed: ${escapeHtml(errorMessage)}</div>` : ''}
+                ${clientName ? `<p><strong>${escapeHtml(clientName)}</strong> is asking for access to your Rezoomex projects.</p>` : ''}
                 <p>Please enter your Rezoomex credentials:</p>
                 <form method="post" action="/authenticate">
-                  <input type="hidden" name="state" value="${state}" />
-                  <input type="hidden" name="redirect_uri" value="${redirect_uri || `${BASE_URI}/callback`}" />
-                  
+                  <input type="hidden" name="request_id" value="${escapeHtml(requestId)}" />
+
                   <div class="form-group">
                     <label for="email">Email:</label>
                     <input type="email" id="email" name="email" required />
                   </div>
-                  
+
                   <div class="form-group">
                     <label for="password">Password:</label>
                     <input type="password" id="password" name="password" required />
                   </div>
-                  
+
                   <button type="submit">Sign In</button>
                 </form>
-                
-                <p><small>Authenticating with: ${REZOOMEX_BASE_URL}</small></p>
+
+                <p><small>Authenticating with: ${escapeHtml(REZOOMEX_BASE_URL)}</small></p>
               </body>
             </html>
-        `);
-        return;
-    }
-    
-    // For IDE callbacks, store session and redirect to login form
-    const sessionId = Math.random().toString(36).substring(2, 15);
-    sessionStore.set(`auth_session:${sessionId}`, { 
-        originalState: state, 
-        redirectUri: redirect_uri,
-        clientId: client_id
-    });
-    
-    setTimeout(() => {
-        sessionStore.delete(`auth_session:${sessionId}`);
-    }, SESSION_TIMEOUT);
-    
-    // Redirect to login form with session ID
-    const loginUrl = new URL(`${BASE_URI}/authorize`);
-    loginUrl.searchParams.set('state', 'mcp-auth');
-    loginUrl.searchParams.set('redirect_uri', `${BASE_URI}/callback?session=${sessionId}`);
-    
-    logger.info('Redirecting to login form', { 
-        sessionId,
-        loginUrl: loginUrl.toString()
-    });
-    
-    res.redirect(loginUrl.toString());
-});
+    `;
+}
 
-// Authentication form handler
-app.post("/authenticate", async (req, res) => {
-    try {
-        const { email, password, state, redirect_uri } = req.body;
-        
-        logger.info('Authentication attempt', { email, hasPassword: !!password, state });
-        
-        // Authenticate with Rezoomex
-        const tokenData = await rezoomexAuthProvider.authenticateWithCredentials(email, password);
-        
-        // Create authorization code for the token
-        const authCode = Math.random().toString(36).substring(2, 15);
-        sessionStore.set(`auth_code:${authCode}`, tokenData.access_token);
-        setTimeout(() => {
-            sessionStore.delete(`auth_code:${authCode}`);
-        }, SESSION_TIMEOUT);
-        
-        // Handle direct MCP auth vs IDE callback
-        if (state === 'mcp-auth') {
-            // Check if this is a session callback
-            const url = new URL(redirect_uri, BASE_URI);
-            const sessionId = url.searchParams.get('session');
-            
-            if (sessionId) {
-                // Get original callback info
-                const sessionData = sessionStore.get(`auth_session:${sessionId}`);
-                if (sessionData) {
-                    const params = new URLSearchParams();
-                    params.set('code', authCode);
-                    if (sessionData.originalState) {
-                        params.set('state', sessionData.originalState);
-                    }
-                    
-                    const finalCallbackUrl = `${sessionData.redirectUri}?${params.toString()}`;
-                    
-                    logger.info('Redirecting to IDE callback', { 
-                        sessionId,
-                        finalCallbackUrl: finalCallbackUrl.substring(0, 100) + '...'
-                    });
-                    
-                    sessionStore.delete(`auth_session:${sessionId}`);
-                    res.redirect(finalCallbackUrl);
-                    return;
-                }
-            }
-            
-            // Direct MCP auth - show success page
-            res.send(`
-                <html>
-                  <head><title>Authentication Successful</title></head>
-                  <body>
-                    <h1>Authentication Successful!</h1>
-                    <p>You have successfully authenticated with Rezoomex.</p>
-                    <p>Authorization code: <code>${authCode}</code></p>
-                    <p>You can now close this window and return to your IDE.</p>
-                  </body>
-                </html>
-            `);
-            return;
-        }
-        
-        // Standard OAuth callback
-        const params = new URLSearchParams();
-        params.set('code', authCode);
-        if (state) {
-            params.set('state', state);
-        }
-        
-        const callbackUrl = `${redirect_uri}?${params.toString()}`;
-        
-        logger.info('Authentication successful, redirecting', { 
-            email, 
-            callbackUrl: callbackUrl.substring(0, 100) + '...' 
-        });
-        
-        res.redirect(callbackUrl);
-        
-    } catch (error) {
-        logger.error('Authentication failed', { error: error.message });
-        
-        // Show form again with error
-        const { state, redirect_uri } = req.body;
-        res.send(`
+// Shown instead of redirecting when the client or its redirect_uri cannot be trusted
+function renderAuthErrorPage(error) {
+    return `
             <html>
               <head>
                 <title>Rezoomex Authentication - Error</title>
-                <style>
-                  body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
-                  .form-group { margin-bottom: 15px; }
-                  label { display: block; margin-bottom: 5px; font-weight: bold; }
-                  input { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; }
-                  button { background: #007cba; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; width: 100%; }
-                  button:hover { background: #005a87; }
-                  .error { color: red; margin: 15px 0; padding: 10px; background: #ffebee; border-radius: 4px; }
+                <style>${AUTH_PAGE_STYLE}
                 </style>
               </head>
               <body>
                 <h2>Rezoomex MCP Authentication</h2>
-                <div class="error">Authentication failed: ${error.message}</div>
-                <p>Please try again with your Rezoomex credentials:</p>
-                <form method="post" action="/authenticate">
-                  <input type="hidden" name="state" value="${state || ''}" />
-                  <input type="hidden" name="redirect_uri" value="${redirect_uri || ''}" />
-                  
-                  <div class="form-group">
-                    <label for="email">Email:</label>
-                    <input type="email" id="email" name="email" required />
-                  </div>
-                  
-                  <div class="form-group">
-                    <label for="password">Password:</label>
-                    <input type="password" id="password" name="password" required />
-                  </div>
-                  
-                  <button type="submit">Sign In</button>
-                </form>
-                
-                <p><small>Authenticating with: ${REZOOMEX_BASE_URL}</small></p>
+                <div class="error">${escapeHtml(error.code)}: ${escapeHtml(error.message)}</div>
+                <p>Start the sign-in again from your IDE.</p>
               </body>
             </html>
-        `);
+    `;
+}
+
+function sendAuthorizationError(res, error) {
+    if (error.redirectable) {
+        return res.redirect(buildRedirect(error.redirectUri, {
+            error: error.code,
+            error_description: error.message,
+            state: error.state
+        }));
     }
-});
+    res.status(error.status).send(renderAuthErrorPage(error));
+}
 
-// OAuth2 token exchange endpoint
-app.post("/token", async (req, res) => {
-    try {
-        const { grant_type, code, redirect_uri, client_id, client_secret } = req.body;
-        
-        logger.info('Token exchange request', { grant_type, client_id, hasCode: !!code });
+// OAuth2 authorization endpoint - Auth0 when configured and requested, otherwise the Rezoomex sign-in form
+app.get("/authorize", async (req, res) => {
+    const { client_id, redirect_uri, state, scope, auth_provider } = req.query;
 
-        if (grant_type !== 'authorization_code') {
-            return res.status(400).json({
-                error: 'unsupported_grant_type',
-                error_description: 'Only authorization_code grant type is supported'
-            });
-        }
+    logger.info('Authorization request received', {
+        responseType: req.query.response_type,
+        clientId: client_id,
+        redirectUri: redirect_uri,
+        hasState: !!state,
+        codeChallengeMethod: req.query.code_challenge_method,
+        authProvider: auth_provider
+    });
 
-        if (!code) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'Missing authorization code'
-            });
+    try {
+        // Use Auth0 if configured and requested. The redirect_uri is checked the same way; the
+        // Auth0 application itself may only return to our own callback.
+        if (auth0Provider && (auth_provider === 'auth0' || client_id === AUTH0_CLIENT_ID)) {
+            const redirectUri = redirect_uri || AUTH0_CALLBACK_URI;
+            const auth0Client = client_id === AUTH0_CLIENT_ID ? { client_id, redirect_uris: [AUTH0_CALLBACK_URI] } : null;
+            await oauthServer.checkRedirectUri(client_id, redirectUri, auth0Client);
+
+            const authUrl = auth0Provider.getAuthorizationUrl(redirectUri, state, scope || 'openid profile email');
+            logger.info('Redirecting to Auth0', { authUrl });
+            return res.redirect(authUrl);
         }
 
-        // Use Auth0 token exchange if Auth0 client
-        if (auth0Provider && client_id === AUTH0_CLIENT_ID) {
-            try {
-                const tokenData = await auth0Provider.exchangeCodeForToken(code, redirect_uri);
-                
-                logger.info('Auth0 token exchange successful');
-                return res.json({
-                    access_token: tokenData.access_token,
-                    token_type: 'Bearer',
-                    expires_in: tokenData.expires_in || 3600,
-                    scope: tokenData.scope
-                });
-            } catch (error) {
-                logger.error('Auth0 token exchange failed', { error: error.message });
-                return res.status(400).json({
-                    error: 'invalid_grant',
-                    error_description: 'Authorization code is invalid or expired'
-                });
-            }
+        const { requestId, clientName } = await oauthServer.beginAuthorization(req.query);
+        res.send(renderLoginPage(requestId, { clientName }));
+    } catch (error) {
+        if (!(error instanceof OAuthError)) {
+            logger.error('Authorization request failed', { error: error.message });
+            return res.status(500).send(renderAuthErrorPage(new OAuthError('server_error', 'Internal server error', 500)));
         }
+        auditLog(req, 'authorization_rejected', {
+            clientId: client_id,
+            redirectUri: redirect_uri,
+            authProvider: auth_provider,
+            redirected: !!error.redirectable,
+            error: error.code,
+            description: error.message
+        });
+        sendAuthorizationError(res, error);
+    }
+});
 
-        // Handle Rezoomex authorization codes
-        const authCode = sessionStore.get(`auth_code:${code}`);
-        if (!authCode) {
-            return res.status(400).json({
-                error: 'invalid_grant',
-                error_description: 'Authorization code is invalid or expired'
+// Dynamic client registration (RFC 7591)
+app.post("/register", async (req, res) => {
+    logger.info('Client registration request received', {
+        clientName: req.body?.client_name,
+        redirectUris: req.body?.redirect_uris
+    });
+
+    try {
+        res.status(201).json(await oauthClients.register(req.body));
+    } catch (error) {
+        if (error instanceof OAuthError) {
+            auditLog(req, 'registration_rejected', {
+                clientName: req.body?.client_name,
+                redirectUris: req.body?.redirect_uris,
+                error: error.code,
+                description: error.message
             });
+            return res.status(error.status).json(error);
         }
 
-        // Clean up used code
-        sessionStore.delete(`auth_code:${code}`);
+        logger.error('Client registration failed', { error: error.message });
+        res.status(500).json({ 
+            error: 'server_error',
+            error_description: 'Failed to register client' 
+        });
+    }
+});
+
+// Client management, for operators holding OAUTH_ADMIN_TOKEN; disabled when it is not set
+const requireAdminToken = (req, res, next) => {
+    const adminToken = process.env.OAUTH_ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(404).json({ success: false, error: 'Client management is disabled. Set OAUTH_ADMIN_TOKEN to enable it.' });
+    }
 
-        logger.info('Token exchange successful for Rezoomex auth');
+    const presented = Buffer.from(req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.substring(7) : '');
+    const expected = Buffer.from(adminToken);
+    if (presented.length !== expected.length || !timingSafeEqual(presented, expected)) {
+        auditLog(req, 'admin_token_rejected', { path: req.path, method: req.method });
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ success: false, error: 'Invalid admin token' });
+    }
+    next();
+};
+
+app.get('/oauth/clients', requireAdminToken, async (req, res) => {
+    try {
+        const clients = await oauthClients.list();
         res.json({
-            access_token: authCode.access_token,
-            token_type: 'Bearer',
-            expires_in: 3600
+            success: true,
+            clients: clients.map(client => ({ ...client, activeGrants: oauthTokens.countClientGrants(client.client_id) })),
+            count: clients.length,
+            timestamp: new Date().toISOString()
         });
-
     } catch (error) {
-        logger.error('Token exchange error', { error: error.message });
-        res.status(500).json({
-            error: 'server_error',
-            error_description: 'Internal server error during token exchange'
-        });
+        logger.error('Failed to list OAuth clients', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// OAuth callback endpoint - handles both Auth0 and Rezoomex callbacks
-app.get("/callback", async (req, res) => {
+app.delete('/oauth/clients/:clientId', requireAdminToken, async (req, res) => {
+    const { clientId } = req.params;
     try {
-        const { state, code, token, session } = req.query;
-        
-        logger.info('Callback received', { state, hasCode: !!code, hasToken: !!token, session });
-        
-        // Handle session-based callback (from authenticate form)
-        if (session) {
-            const sessionData = sessionStore.get(`auth_session:${session}`);
-            if (sessionData && code) {
-                const params = new URLSearchParams();
-                params.set('code', code);
-                if (sessionData.originalState) {
-                    params.set('state', sessionData.originalState);
-                }
-                
-                const finalCallbackUrl = `${sessionData.redirectUri}?${params.toString()}`;
-                
-                logger.info('Session callback redirect', { 
-                    session,
-                    finalCallbackUrl: finalCallbackUrl.substring(0, 100) + '...'
-                });
-                
-                sessionStore.delete(`auth_session:${session}`);
-                res.redirect(finalCallbackUrl);
-                return;
-            }
-        }
-        
-        // Handle direct MCP auth callback
-        if (state === 'mcp-auth') {
-            res.send(`
-                <html>
-                  <head><title>Authentication Complete</title></head>
-                  <body>
-                    <h1>Authentication Complete!</h1>
-                    <p>You have successfully authenticated with Rezoomex.</p>
-                    <p>You can close this window and return to your IDE.</p>
-                  </body>
-                </html>
-            `);
-            return;
+        if (!await oauthClients.revoke(clientId)) {
+            return res.status(404).json({ success: false, error: `Client not found: ${clientId}` });
         }
-        
-        // Default success page
-        res.send(`
-            <html>
-              <head><title>Authentication Complete</title></head>
-              <body>
-                <h1>Authentication Complete!</h1>
-                <p>You can close this window and return to your IDE.</p>
-              </body>
-            </html>
-        `);
+        res.json({
+            success: true,
+            clientId,
+            revokedGrants: oauthTokens.revokeClient(clientId),
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        logger.error('Callback error', { error: error.message });
-        res.status(500).send('Callback failed');
+        logger.error('Failed to revoke OAuth client', { clientId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// OAuth token exchange endpoint
-app.post("/token", async (req, res) => {
-    try {
-        const {
-            grant_type,
-            code,
-            redirect_uri,
-            client_id,
-            username,
-            password
-        } = req.body;
-
-        logger.info('Token exchange request', {
-            grant_type,
-            code: code?.substring(0, 10) + '...',
-            redirect_uri,
-            client_id,
-            hasCredentials: !!(username && password)
-        });
+// Sign-in form handler: signs in upstream and sends the browser back to the client with a code
+app.post("/authenticate", async (req, res) => {
+    const { request_id, email, password } = req.body;
 
-        if (grant_type !== 'authorization_code') {
-            return res.status(400).json({
-                error: 'unsupported_grant_type',
-                error_description: 'Only authorization_code grant type is supported'
-            });
-        }
+    logger.info('Authentication attempt', { email, hasPassword: !!password, requestId: request_id });
 
-        if (!code || !client_id) {
-            return res.status(400).json({
-                error: 'invalid_request',
-                error_description: 'Missing required parameters'
-            });
+    try {
+        const redirectUrl = await oauthServer.completeAuthorization(request_id, email, password);
+        logger.info('Authentication successful, redirecting to client', { email, requestId: request_id });
+        res.redirect(redirectUrl);
+    } catch (error) {
+        if (error instanceof OAuthError) {
+            auditLog(req, 'authentication_rejected', { requestId: request_id, error: error.code, description: error.message });
+            return sendAuthorizationError(res, error);
         }
 
-        // Exchange the authorization code for the stored token
-        const storedToken = sessionStore.get(`auth_code:${code}`);
-        if (!storedToken) {
-            logger.error('Authorization code not found or expired', { code: code?.substring(0, 10) + '...' });
-            return res.status(400).json({
-                error: 'invalid_grant',
-                error_description: 'Authorization code is invalid or expired'
-            });
-        }
+        // Upstream sign-in failed: the request is still pending, so show the form again
+        auditLog(req, 'sign_in_failed', { requestId: request_id, email, error: error.message });
+        const pending = oauthServer.getPendingRequest(request_id);
+        res.status(401).send(renderLoginPage(request_id, { errorMessage: error.message, clientName: pending?.clientName }));
+    }
+});
+
+// OAuth2 token endpoint
+app.post("/token", async (req, res) => {
+    const { grant_type, code, redirect_uri, client_id } = req.body;
 
-        // Verify the token is still valid before returning it
+    logger.info('Token exchange request', { grant_type, client_id, hasCode: !!code, hasVerifier: !!req.body.code_verifier });
+
+    // Tokens must never be cached (RFC 6749 section 5.1)
+    res.set('Cache-Control', 'no-store');
+
+    // Use Auth0 token exchange if Auth0 client
+    if (auth0Provider && client_id === AUTH0_CLIENT_ID) {
         try {
-            const isValid = await rezoomexAuthProvider.verifyToken(storedToken);
-            if (!isValid) {
-                logger.error('Stored token is no longer valid', { code: code?.substring(0, 10) + '...' });
-                sessionStore.delete(`auth_code:${code}`);
-                return res.status(400).json({
-                    error: 'invalid_grant',
-                    error_description: 'Authorization code token is no longer valid'
-                });
-            }
+            const tokenData = await auth0Provider.exchangeCodeForToken(code, redirect_uri);
+
+            logger.info('Auth0 token exchange successful');
+            return res.json({
+                access_token: tokenData.access_token,
+                token_type: 'Bearer',
+                expires_in: tokenData.expires_in || 3600,
+                scope: tokenData.scope
+            });
         } catch (error) {
-            logger.error('Token validation failed during exchange', { error: error.message });
-            sessionStore.delete(`auth_code:${code}`);
+            logger.error('Auth0 token exchange failed', { error: error.message });
             return res.status(400).json({
                 error: 'invalid_grant',
-                error_description: 'Token validation failed'
+                error_description: 'Authorization code is invalid or expired'
             });
         }
+    }
 
-        // Clean up the authorization code
-        sessionStore.delete(`auth_code:${code}`);
-
-        logger.info('Token exchange successful', {
-            hasToken: !!storedToken,
-            tokenLength: storedToken?.length
-        });
-
-        // Return the token
-        res.json({
-            access_token: storedToken,
-            token_type: 'Bearer',
-            expires_in: 3600,
-            scope: 'read write'
-        });
-
+    try {
+        res.json(await oauthServer.exchangeToken(req.body));
     } catch (error) {
+        if (error instanceof OAuthError) {
+            auditLog(req, 'token_rejected', { grant_type, client_id, error: error.code, description: error.message });
+            return res.status(error.status).json(error);
+        }
+
         logger.error('Token exchange error', { error: error.message });
         res.status(500).json({
             error: 'server_error',
@@ -886,72 +675,140 @@ app.post("/token", async (req, res) => {
     }
 });
 
-// SSE authentication middleware - supports both Auth0 and Rezoomex tokens
-const sseAuthMiddleware = async (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        // Always redirect to authorization page for unauthenticated requests
-        const authUrl = new URL(`${BASE_URI}/authorize`);
-        authUrl.searchParams.set('response_type', 'code');
-        authUrl.searchParams.set('client_id', auth0Provider ? AUTH0_CLIENT_ID : 'rzmx-client');
-        authUrl.searchParams.set('redirect_uri', `${BASE_URI}/callback`);
-        authUrl.searchParams.set('state', 'mcp-auth');
-        if (auth0Provider) authUrl.searchParams.set('auth_provider', 'auth0');
-        
-        logger.info('Redirecting to authorization', { authUrl: authUrl.toString() });
-        res.redirect(authUrl.toString());
-        return;
-    }
+// Completion page for the Auth0 flow
+app.get("/callback", (req, res) => {
+    const { error } = req.query;
 
-    const token = authHeader.substring(7);
-    try {
-        let authInfo;
-        
-        // Try Auth0 first if configured
-        if (auth0Provider) {
-            try {
-                authInfo = await auth0Provider.verifyAccessToken(token);
-                logger.info('Auth0 token verified successfully');
-            } catch (auth0Error) {
-                logger.warn('Auth0 token verification failed, trying Rezoomex', { error: auth0Error.message });
-                // Fall back to Rezoomex
-                authInfo = await rezoomexAuthProvider.verifyAccessToken(token);
-            }
-        } else {
-            // Use Rezoomex only
-            authInfo = await rezoomexAuthProvider.verifyAccessToken(token);
+    logger.info('Callback received', { hasCode: !!req.query.code, error });
+
+    res.status(error ? 400 : 200).send(`
+            <html>
+              <head><title>${error ? 'Authentication Failed' : 'Authentication Complete'}</title></head>
+              <body>
+                <h1>${error ? 'Authentication Failed' : 'Authentication Complete!'}</h1>
+                <p>${error ? 'The sign-in could not be completed. Start it again from your IDE.' : 'You can close this window and return to your IDE.'}</p>
+              </body>
+            </html>
+    `);
+});
+
+// Verifies a bearer token: our own OAuth tokens against the token store, anything else
+// against Auth0 (when configured) and then Rezoomex
+async function verifyBearerToken(token) {
+    if (OAuthTokenStore.isIssuedToken(token)) {
+        const grant = oauthTokens.verifyAccessToken(token);
+        if (!grant) {
+            throw new Error('Invalid access token');
         }
-        
-        req.authInfo = authInfo;
-        req.sessionContext = {
-            userId: authInfo.extra?.userId || `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
-            clientId: authInfo.clientId,
-            accessToken: token,
-            sessionId: `session_${authInfo.extra?.userId || 'anon'}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+        return {
+            token,
+            clientId: grant.clientId,
+            scopes: grant.scope.split(' '),
+            extra: {
+                userId: grant.subject,
+                grantId: grant.grantId
+            },
+            expiresAt: grant.expiresAt
         };
-        
-        logger.info('User authenticated successfully (SSE)', {
-            userId: authInfo.extra?.userId || 'unknown',
-            clientId: authInfo.clientId,
-            scopes: authInfo.scopes
-        });
-        
-        next();
-    } catch (error) {
-        logger.error('SSE authentication failed', { error: error.message });
-        
-        // Redirect to authorization on auth failure
-        const authUrl = new URL(`${BASE_URI}/authorize`);
-        authUrl.searchParams.set('response_type', 'code');
-        authUrl.searchParams.set('client_id', auth0Provider ? AUTH0_CLIENT_ID : 'rzmx-client');
-        authUrl.searchParams.set('redirect_uri', `${BASE_URI}/callback`);
-        authUrl.searchParams.set('state', 'mcp-auth');
-        if (auth0Provider) authUrl.searchParams.set('auth_provider', 'auth0');
-        
-        res.redirect(authUrl.toString());
     }
-};
+
+    if (auth0Provider) {
+        try {
+            const authInfo = await auth0Provider.verifyAccessToken(token);
+            logger.info('Auth0 token verified successfully');
+            return authInfo;
+        } catch (auth0Error) {
+            logger.warn('Auth0 token verification failed, trying Rezoomex', { error: auth0Error.message });
+        }
+    }
+    return await rezoomexAuthProvider.verifyAccessToken(token);
+}
+
+// Who an MCP session belongs to: the Rezoomex user, or for tokens that name no user, the
+// grant or the token itself. Every session records one and only its owner may use it.
+function getSessionOwner(req) {
+    const { authInfo, sessionContext } = req;
+    if (authInfo?.extra?.userId) {
+        return `user:${authInfo.extra.userId}`;
+    }
+    if (authInfo?.extra?.grantId) {
+        return `grant:${authInfo.extra.grantId}`;
+    }
+    return `token:${createHash('sha256').update(sessionContext.accessToken).digest('hex')}`;
+}
+
+function buildSessionContext(authInfo, token) {
+    return {
+        userId: authInfo.extra?.userId || `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+        clientId: authInfo.clientId,
+        accessToken: token,
+        grantId: authInfo.extra?.grantId || null,
+        sessionId: `session_${authInfo.extra?.userId || 'anon'}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+    };
+}
+
+// Protected resources. A 401 from one points at its RFC 9728 metadata, which names this
+// server as the authorization server, so clients can discover the OAuth flow on their own.
+const MCP_RESOURCE = `${BASE_URI}/mcp`;
+const SSE_RESOURCE = `${BASE_URI}/v1/sse`;
+const PROTECTED_RESOURCES = [BASE_URI, MCP_RESOURCE, SSE_RESOURCE];
+
+function sendAuthChallenge(req, res, resource, error) {
+    res.status(401)
+        .set('WWW-Authenticate', buildBearerChallenge(getProtectedResourceMetadataUrl(resource), error))
+        .json({
+            jsonrpc: '2.0',
+            error: {
+                code: -32001,
+                message: error ? error.description : 'Authentication required'
+            },
+            id: req.body?.id ?? null
+        });
+}
+
+// Bearer authentication for an MCP endpoint - supports both Auth0 and Rezoomex tokens
+function requireBearerToken(resource) {
+    return async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return sendAuthChallenge(req, res, resource);
+        }
+
+        const token = authHeader.substring(7);
+        try {
+            req.authInfo = await verifyBearerToken(token);
+            req.sessionContext = buildSessionContext(req.authInfo, token);
+
+            logger.info('User authenticated successfully', {
+                path: req.path,
+                userId: req.authInfo.extra?.userId || 'unknown',
+                clientId: req.authInfo.clientId,
+                scopes: req.authInfo.scopes
+            });
+            next();
+        } catch (error) {
+            auditLog(req, 'bearer_token_rejected', { path: req.path, error: error.message });
+            sendAuthChallenge(req, res, resource, {
+                code: 'invalid_token',
+                description: 'The access token is invalid or expired'
+            });
+        }
+    };
+}
+
+const mcpAuthMiddleware = requireBearerToken(MCP_RESOURCE);
+const sseAuthMiddleware = requireBearerToken(SSE_RESOURCE);
+
+// OAuth discovery: authorization server metadata (RFC 8414) and protected resource metadata (RFC 9728)
+app.get('/.well-known/oauth-authorization-server', (req, res) => {
+    res.json(getAuthorizationServerMetadata(BASE_URI));
+});
+
+for (const resource of PROTECTED_RESOURCES) {
+    app.get(new URL(getProtectedResourceMetadataUrl(resource)).pathname, (req, res) => {
+        res.json(getProtectedResourceMetadata(resource, BASE_URI));
+    });
+}
 
 // MCP SSE endpoint
 const handleMcpSSE = async (req, res) => {
@@ -960,16 +817,16 @@ const handleMcpSSE = async (req, res) => {
     try {
         const transport = new SSEServerTransport('/messages', res);
         const sessionId = transport.sessionId;
-        transports.set(sessionId, transport);
+        mcpTransports.set(sessionId, { transport, ownerId: getSessionOwner(req) });
         
         // Set up onclose handler to clean up transport when closed
         transport.onclose = () => {
             logger.info(`SSE transport closed for session ${sessionId}`);
-            transports.delete(sessionId);
+            mcpTransports.delete(sessionId);
         };
         
         const sessionContext = req.sessionContext;
-        const { server } = createMcpServer(sessionContext);
+        const { server } = createSessionMcpServer(sessionContext);
         await server.connect(transport);
         
         logger.info(`✅ Established SSE stream with session ID: ${sessionId}`);
@@ -982,38 +839,151 @@ const handleMcpSSE = async (req, res) => {
 };
 
 
-// MCP endpoints
-app.get('/mcp', sseAuthMiddleware, handleMcpSSE);
-app.get('/v1/sse', sseAuthMiddleware, handleMcpSSE);
+// Messages for legacy SSE sessions; the session ID came with the SSE endpoint event. Only the
+// user who opened the stream may post to it.
+app.post('/messages', mcpAuthMiddleware, async (req, res) => {
+    const session = mcpTransports.get(req.query.sessionId);
+    if (!session || session.ownerId !== getSessionOwner(req)) {
+        if (session) {
+            auditLog(req, 'session_owner_mismatch', { transport: 'sse', sessionId: req.query.sessionId });
+        }
+        return res.status(404).json({
+            jsonrpc: '2.0',
+            error: {
+                code: -32001,
+                message: 'SSE session not found. Reconnect to the SSE endpoint.'
+            },
+            id: req.body?.id ?? null
+        });
+    }
 
-// MCP v1 POST endpoint for JSON-RPC messages (required by Cursor)
-app.post('/v1/sse', express.json(), async (req, res) => {
-    logger.info('📨 Received POST request to /v1/sse (MCP v1 JSON-RPC)');
-    
     try {
-        // Handle authentication using existing rezoomexAuthProvider
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            logger.error('No Bearer token provided in POST /v1/sse');
-            return res.status(401).json({
+        await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+        logger.error('Error handling SSE message', { sessionId: req.query.sessionId, error: error.message });
+        if (!res.headersSent) {
+            res.status(500).send('Error handling message');
+        }
+    }
+});
+
+const mcpEventStore = new MemoryEventStore(logger);
+
+const rejectUnknownSession = (req, res) => res.status(404).json({
+    jsonrpc: '2.0',
+    error: {
+        code: -32001,
+        message: 'Session not found. Start a new session with an initialize request.'
+    },
+    id: req.body?.id ?? null
+});
+
+// Streamable HTTP endpoint: POST carries JSON-RPC messages, GET opens the server-to-client
+// stream (resumable with Last-Event-ID) and DELETE ends the session
+const handleStreamableHttp = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+
+    try {
+        if (sessionId) {
+            const session = streamableSessions.get(sessionId);
+            if (!session || !session.ownerId || session.ownerId !== getSessionOwner(req)) {
+                if (session) {
+                    auditLog(req, 'session_owner_mismatch', { transport: 'streamable_http', sessionId });
+                }
+                return rejectUnknownSession(req, res);
+            }
+
+            // The owner's current token drives upstream calls from here on, so a session outlives
+            // the token or grant it was opened with once the client refreshes or signs in again
+            session.sessionContext.accessToken = req.sessionContext.accessToken;
+            session.sessionContext.grantId = req.sessionContext.grantId;
+            session.lastActivity = Date.now();
+            await session.transport.handleRequest(req, res, req.body);
+            return;
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+            return res.status(400).json({
                 jsonrpc: '2.0',
                 error: {
-                    code: -32001,
-                    message: 'Authentication required'
+                    code: -32000,
+                    message: 'Bad Request: send an initialize request first, then pass its Mcp-Session-Id header'
                 },
-                id: req.body?.id || null
+                id: req.body?.id ?? null
             });
         }
 
-        const token = authHeader.substring(7);
-        const authInfo = await rezoomexAuthProvider.verifyAccessToken(token);
-        
-        // Log successful authentication
-        logger.info('User authenticated for JSON-RPC request', {
-            userId: authInfo.extra?.userId,
-            clientId: authInfo.clientId,
-            tokenPrefix: token.substring(0, 10) + '...'
+        const sessionContext = req.sessionContext;
+        const ownerId = getSessionOwner(req);
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => uuidv4(),
+            eventStore: mcpEventStore,
+            onsessioninitialized: (newSessionId) => {
+                sessionContext.sessionId = `streamable_${newSessionId}`;
+                streamableSessions.set(newSessionId, {
+                    transport,
+                    sessionContext,
+                    ownerId,
+                    lastActivity: Date.now()
+                });
+                logger.info('Streamable HTTP session started', { sessionId: newSessionId, userId: req.authInfo?.extra?.userId });
+            }
         });
+
+        transport.onclose = () => {
+            const closedSessionId = transport.sessionId;
+            if (closedSessionId && streamableSessions.has(closedSessionId)) {
+                streamableSessions.delete(closedSessionId);
+                authManager.clearSession(sessionContext.sessionId);
+                logger.info('Streamable HTTP session closed', { sessionId: closedSessionId });
+            }
+        };
+
+        const { server } = createSessionMcpServer(sessionContext);
+        await server.connect(transport);
+        await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+        logger.error('Streamable HTTP request failed', { sessionId, method: req.method, error: error.message });
+        if (!res.headersSent) {
+            res.status(500).json({
+                jsonrpc: '2.0',
+                error: {
+                    code: -32603,
+                    message: 'Internal error'
+                },
+                id: req.body?.id ?? null
+            });
+        }
+    }
+};
+
+// Sessions that go quiet are closed so their transports and clients don't pile up
+setInterval(() => {
+    const cutoff = Date.now() - MCP_SESSION_IDLE_TIMEOUT;
+    for (const [sessionId, session] of streamableSessions) {
+        if (session.lastActivity < cutoff) {
+            logger.info('Closing idle Streamable HTTP session', { sessionId });
+            session.transport.close().catch(error => {
+                logger.warn('Failed to close idle session', { sessionId, error: error.message });
+            });
+        }
+    }
+}, 60000).unref();
+
+// MCP endpoints. GET /mcp without an Mcp-Session-Id header is an older client opening a
+// legacy SSE stream; everything else on /mcp is Streamable HTTP.
+app.get('/mcp', (req, res, next) => req.headers['mcp-session-id'] ? next() : next('route'), mcpAuthMiddleware, handleStreamableHttp);
+app.get('/mcp', mcpAuthMiddleware, handleMcpSSE);
+app.post('/mcp', mcpAuthMiddleware, handleStreamableHttp);
+app.delete('/mcp', mcpAuthMiddleware, handleStreamableHttp);
+app.get('/v1/sse', sseAuthMiddleware, handleMcpSSE);
+
+// MCP v1 POST endpoint for JSON-RPC messages (required by Cursor)
+app.post('/v1/sse', express.json(), sseAuthMiddleware, async (req, res) => {
+    logger.info('📨 Received POST request to /v1/sse (MCP v1 JSON-RPC)');
+    
+    try {
+        const { authInfo } = req;
         
         // Process JSON-RPC request
         const jsonRpcRequest = req.body;
@@ -1047,9 +1017,6 @@ app.post('/v1/sse', express.json(), async (req, res) => {
                 }
             };
         } else if (method === 'tools/list') {
-            // Import and use the comprehensive tool definitions from MCPTools
-            const { MCPTools } = await import('./lib/mcp-tools.js');
-            const mcpTools = new MCPTools();
             const allTools = mcpTools.getToolDefinitions();
             
             // Filter out the authenticate tool since OAuth handles authentication
@@ -1062,6 +1029,72 @@ app.post('/v1/sse', express.json(), async (req, res) => {
                     tools: availableTools
                 }
             };
+        } else if (method === 'prompts/list') {
+            const mcpPrompts = new MCPPrompts(logger);
+            response = {
+                jsonrpc: '2.0',
+                id: jsonRpcRequest.id,
+                result: {
+                    prompts: mcpPrompts.getPromptDefinitions()
+                }
+            };
+        } else if (method === 'prompts/get') {
+            try {
+                const userSpecificSessionId = `session_${authInfo.extra?.userId || 'anon'}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+                const client = await createUpstreamClient(req.sessionContext, userSpecificSessionId);
+
+                const mcpPrompts = new MCPPrompts(logger);
+                response = {
+                    jsonrpc: '2.0',
+                    id: jsonRpcRequest.id,
+                    result: await mcpPrompts.getPrompt(jsonRpcRequest.params?.name, jsonRpcRequest.params?.arguments || {}, client)
+                };
+            } catch (error) {
+                logger.error('Prompt error', { prompt: jsonRpcRequest.params?.name, error: error.message });
+                response = {
+                    jsonrpc: '2.0',
+                    id: jsonRpcRequest.id,
+                    error: {
+                        code: Number.isInteger(error.code) ? error.code : -32603,
+                        message: error.message
+                    }
+                };
+            }
+        } else if (method === 'resources/templates/list') {
+            const mcpResources = new MCPResources(logger);
+            response = {
+                jsonrpc: '2.0',
+                id: jsonRpcRequest.id,
+                result: {
+                    resourceTemplates: mcpResources.getResourceTemplates()
+                }
+            };
+        } else if (method === 'resources/list' || method === 'resources/read') {
+            try {
+                const userSpecificSessionId = `session_${authInfo.extra?.userId || 'anon'}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+                const client = await createUpstreamClient(req.sessionContext, userSpecificSessionId);
+
+                const mcpResources = new MCPResources(logger);
+                const result = method === 'resources/list'
+                    ? { resources: await mcpResources.listResources(client) }
+                    : await mcpResources.readResource(jsonRpcRequest.params?.uri, client);
+
+                response = {
+                    jsonrpc: '2.0',
+                    id: jsonRpcRequest.id,
+                    result
+                };
+            } catch (error) {
+                logger.error('Resource request error', { method, uri: jsonRpcRequest.params?.uri, error: error.message });
+                response = {
+                    jsonrpc: '2.0',
+                    id: jsonRpcRequest.id,
+                    error: {
+                        code: Number.isInteger(error.code) ? error.code : -32603,
+                        message: error.message
+                    }
+                };
+            }
         } else if (method === 'tools/call') {
             const toolName = jsonRpcRequest.params?.name;
             const toolArgs = jsonRpcRequest.params?.arguments || {};
@@ -1069,14 +1102,7 @@ app.post('/v1/sse', express.json(), async (req, res) => {
             try {
                 // Create user-specific session ID to prevent cross-user data access
                 const userSpecificSessionId = `session_${authInfo.extra?.userId || 'anon'}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-                const client = await authManager.authenticateWithToken(token, userSpecificSessionId);
-                if (!client) {
-                    throw new Error('Failed to authenticate with token');
-                }
-                
-                // Use MCPTools to handle all tool calls
-                const { MCPTools } = await import('./lib/mcp-tools.js');
-                const mcpTools = new MCPTools();
+                const client = await createUpstreamClient(req.sessionContext, userSpecificSessionId);
                 
                 // Skip authenticate tool since OAuth handles it
                 if (toolName === 'authenticate') {
@@ -1088,9 +1114,7 @@ app.post('/v1/sse', express.json(), async (req, res) => {
                 response = {
                     jsonrpc: '2.0',
                     id: jsonRpcRequest.id,
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-                    }
+                    result: mcpTools.formatToolResult(toolName, result, toolArgs)
                 };
             } catch (error) {
                 logger.error('Tool call error', { tool: toolName, error: error.message });
@@ -1098,8 +1122,10 @@ app.post('/v1/sse', express.json(), async (req, res) => {
                     jsonrpc: '2.0',
                     id: jsonRpcRequest.id,
                     error: {
-                        code: -32603,
-                        message: error.message
+                        code: Number.isInteger(error.code) ? error.code : -32603,
+                        message: error.message,
+                        // Per-field details for invalid arguments
+                        ...(error.data && { data: error.data })
                     }
                 };
             }
@@ -1141,7 +1167,16 @@ app.get("/health", (req, res) => {
         status: 'healthy', 
         timestamp: new Date().toISOString(),
         rezoomexLoginUrl: REZOOMEX_LOGIN_URL,
-        rezoomexBaseUrl: REZOOMEX_BASE_URL
+        rezoomexBaseUrl: REZOOMEX_BASE_URL,
+        cache: getResponseCache(logger).getStats(),
+        mcpSessions: {
+            streamableHttp: streamableSessions.size,
+            sse: mcpTransports.size,
+            eventStore: mcpEventStore.getStats()
+        },
+        circuitBreakers: getCircuitBreakerStates(),
+        scheduler: getRequestScheduler(logger).getStats(),
+        oauth: oauthServer.getStats()
     });
 });
 
@@ -1154,13 +1189,15 @@ app.get("/", (req, res) => {
             <h1>RZMX MCP Server</h1>
             <p>This server provides MCP (Model Context Protocol) access to Rezoomex APIs.</p>
             <h2>Authentication</h2>
-            <p>This server authenticates against: <a href="${REZOOMEX_LOGIN_URL}">${REZOOMEX_LOGIN_URL}</a></p>
-            <p>API Base URL: ${REZOOMEX_BASE_URL}</p>
+            <p>This server authenticates against: <a href="${escapeHtml(REZOOMEX_LOGIN_URL)}">${escapeHtml(REZOOMEX_LOGIN_URL)}</a></p>
+            <p>API Base URL: ${escapeHtml(REZOOMEX_BASE_URL)}</p>
             <h2>Endpoints</h2>
             <ul>
               <li><a href="/health">Health Check</a></li>
-              <li><a href="/mcp">MCP SSE Endpoint</a></li>
+              <li><a href="/mcp">MCP Streamable HTTP Endpoint</a> (legacy SSE for GET without a session)</li>
               <li><a href="/v1/sse">MCP v1 SSE Endpoint</a></li>
+              <li><a href="/.well-known/oauth-authorization-server">OAuth Authorization Server Metadata</a></li>
+              <li><a href="/.well-known/oauth-protected-resource/mcp">OAuth Protected Resource Metadata</a></li>
             </ul>
           </body>
         </html>
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// stdio MCP server for local clients (Cursor, VS Code, Claude Desktop). It serves the same
+// tools, resources and prompts as the OAuth server, authenticating with a Rezoomex bearer
+// token from REZOOMEX_TOKEN or a credential file instead of a browser login.
+
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createLogger, format, transports } from 'winston';
+import { config } from 'dotenv';
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RezoomexApiClient } from './lib/rezoomex-client.js';
+import { createMcpServer } from './lib/mcp-server-factory.js';
+
+const serverDirectory = path.dirname(fileURLToPath(import.meta.url));
+
+// Same settings file as the OAuth server, found next to this script rather than in the
+// client's working directory
+config({ path: path.join(serverDirectory, '.env.oauth') });
+
+// stdout carries the MCP protocol, so every log line goes to stderr
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: format.combine(
+        format.timestamp(),
+        format.errors({ stack: true }),
+        format.json()
+    ),
+    transports: [
+        new transports.Console({
+            format: format.simple(),
+            stderrLevels: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']
+        })
+    ]
+});
+
+const CREDENTIALS_FILE = process.env.REZOOMEX_CREDENTIALS_FILE
+    || path.join(homedir(), '.rezoomex', 'credentials.json');
+
+// MCP clients start this process from an arbitrary working directory, so story numbers
+// are kept under the user's home unless configured otherwise
+process.env.STORY_REGISTRY_DIR ||= path.join(homedir(), '.rezoomex', 'story-registry');
+
+// The credential file holds either {"token": "..."} (or "access_token") or the bare token
+function readCredentialsFile() {
+    let contents;
+    try {
+        contents = readFileSync(CREDENTIALS_FILE, 'utf8').trim();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read credential file ${CREDENTIALS_FILE}: ${error.message}`);
+    }
+
+    if (!contents.startsWith('{')) {
+        return contents || null;
+    }
+
+    try {
+        const credentials = JSON.parse(contents);
+        return credentials.token || credentials.access_token || null;
+    } catch (error) {
+        throw new Error(`Failed to parse credential file ${CREDENTIALS_FILE}: ${error.message}`);
+    }
+}
+
+function loadToken() {
+    const token = process.env.REZOOMEX_TOKEN?.trim() || readCredentialsFile();
+    if (!token) {
+        throw new Error(
+            `No Rezoomex token configured. Set REZOOMEX_TOKEN or write the token to ${CREDENTIALS_FILE} ` +
+            '(see "Local stdio server" in the README for how to get one).'
+        );
+    }
+    return token.replace(/^Bearer\s+/i, '');
+}
+
+let client = null;
+
+// The token is re-read on every call, so a refreshed credential file takes effect without
+// restarting the client's MCP server
+async function getClient() {
+    const token = loadToken();
+    if (client && client.bearerToken === token && client.authenticated) {
+        return client;
+    }
+
+    const candidate = new RezoomexApiClient(token, logger);
+    if (!await candidate.validateSession()) {
+        throw new Error('Rezoomex rejected the configured token or could not be reached. Log in again and update the token.');
+    }
+
+    logger.info('Authenticated with configured token', { user: candidate.userInfo?.email || 'unknown' });
+    client = candidate;
+    return client;
+}
+
+async function main() {
+    const { server } = createMcpServer({ logger, getClient });
+    await server.connect(new StdioServerTransport());
+    logger.info('Rezoomex MCP stdio server started', { credentialsFile: CREDENTIALS_FILE });
+
+    // Report configuration problems at startup; the server keeps running so the client can
+    // show the error from the first tool call and pick up a fixed token later
+    getClient().catch(error => logger.warn('Token check failed', { error: error.message }));
+}
+
+process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    process.exit(0);
+});
+
+process.on('SIGINT', () => {
+    logger.info('SIGINT received, shutting down gracefully');
+    process.exit(0);
+});
+
+main().catch(error => {
+    logger.error('Failed to start stdio server', { error: error.message });
+    process.exit(1);
+});
@@ -17,6 +17,12 @@ import path from 'path';
 import { RezoomexApiClient } from './lib/rezoomex-client.js';
 import { AuthManager } from './lib/auth-manager.js';
 import { MCPTools } from './lib/mcp-tools.js';
+import { ToolInputError } from './lib/tool-validation.js';
+import { MCPResources } from './lib/mcp-resources.js';
+import { MCPPrompts } from './lib/mcp-prompts.js';
+import { getResponseCache } from './lib/response-cache.js';
+import { getCircuitBreakerStates } from './lib/resilience.js';
+import { getRequestScheduler } from './lib/request-scheduler.js';
 
 // Load environment variables
 config();
@@ -64,6 +70,8 @@ app.use(express.static(path.join(__dirname, 'views')));
 // Initialize managers
 const authManager = new AuthManager(logger);
 const mcpTools = new MCPTools();
+const mcpResources = new MCPResources(logger);
+const mcpPrompts = new MCPPrompts(logger);
 
 // Middleware
 app.use(helmet({
@@ -143,7 +151,10 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: '1.0.0',
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        cache: getResponseCache(logger).getStats(),
+        circuitBreakers: getCircuitBreakerStates(),
+        scheduler: getRequestScheduler(logger).getStats()
     });
 });
 
@@ -205,7 +216,7 @@ app.post('/auth/pickup-token', async (req, res) => {
 
 // MCP Tools listing endpoint
 app.get('/mcp/tools', (req, res) => {
-    const tools = mcpTools.getToolDefinitions();
+    const tools = mcpTools.getToolCatalog();
     logger.info('MCP tools requested', { toolCount: tools.length });
     
     res.json({
@@ -252,9 +263,10 @@ app.get('/mcp/execute/:toolName', async (req, res) => {
         });
     };
 
-    const sendResult = (result) => {
+    const sendResult = (result, text) => {
         sendEvent('result', {
             result,
+            text,
             timestamp: new Date().toISOString()
         });
     };
@@ -298,15 +310,29 @@ app.get('/mcp/execute/:toolName', async (req, res) => {
 
         // Execute tool
         sendProgress(`Executing ${toolName}...`);
-        const result = await executeToolWithProgress(client, toolName, queryParams, sendProgress);
+        const result = await mcpTools.callTool(toolName, queryParams, client, {
+            coerce: true,
+            onProgress: ({ message, progress, total }) => sendProgress(message, Math.round((progress / total) * 100))
+        });
+        const { structuredContent, content } = mcpTools.formatToolResult(toolName, result, queryParams);
         
-        sendResult(result);
+        sendResult(structuredContent, content[0].text);
         sendComplete();
 
         logger.info('Tool execution completed', { toolName, sessionId });
 
     } catch (error) {
-        sendError(error);
+        if (error instanceof ToolInputError) {
+            logger.warn('Invalid tool arguments', { toolName, sessionId, errors: error.errors });
+            sendEvent('error', {
+                error: 'INVALID_ARGUMENTS',
+                message: error.message,
+                details: error.errors,
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            sendError(error);
+        }
         sendComplete();
     }
 
@@ -354,17 +380,28 @@ app.post('/mcp/execute/:toolName', async (req, res) => {
         }
 
         // Execute tool
-        const result = await executeToolWithProgress(client, toolName, params);
+        const result = await mcpTools.callTool(toolName, params, client, { coerce: true });
+        const { structuredContent, content } = mcpTools.formatToolResult(toolName, result, params);
         
         res.json({
             success: true,
-            result,
+            result: structuredContent,
+            text: content[0].text,
             timestamp: new Date().toISOString()
         });
 
         logger.info('Tool execution completed (POST)', { toolName, sessionId });
 
     } catch (error) {
+        if (error instanceof ToolInputError) {
+            logger.warn('Invalid tool arguments (POST)', { toolName, sessionId, errors: error.errors });
+            return res.status(400).json({
+                error: 'INVALID_ARGUMENTS',
+                message: error.message,
+                details: error.errors,
+                timestamp: new Date().toISOString()
+            });
+        }
         logger.error('Tool execution error (POST)', { toolName, sessionId, error: error.message });
         res.status(500).json({
             error: 'EXECUTION_ERROR',
@@ -407,183 +444,6 @@ app.delete('/auth/session', (req, res) => {
     });
 });
 
-// Tool execution helper function
-async function executeToolWithProgress(client, toolName, params, progressCallback = null) {
-    const progress = progressCallback || (() => {});
-    
-    switch (toolName) {
-        case 'list_user_stories':
-            if (!params.project_id || !params.persona_id) {
-                throw new Error('project_id and persona_id are required');
-            }
-            progress('Fetching user stories...');
-            return await client.getUserStories(params.project_id, params.persona_id);
-            
-        case 'get_story_range':
-            if (!params.project_id || !params.persona_id || !params.start_number || !params.end_number) {
-                throw new Error('project_id, persona_id, start_number, and end_number are required');
-            }
-            progress('Fetching story range...');
-            return await client.getStoryRange(
-                params.project_id,
-                params.persona_id,
-                parseInt(params.start_number),
-                parseInt(params.end_number)
-            );
-            
-        case 'get_single_story_details':
-            if (!params.project_id || !params.persona_id) {
-                throw new Error('project_id and persona_id are required');
-            }
-            progress('Fetching story details...');
-            return await client.getSingleStoryDetails(
-                params.project_id,
-                params.persona_id,
-                params.story_number ? parseInt(params.story_number) : null,
-                params.story_id
-            );
-            
-        case 'get_project_overview':
-            if (!params.project_id) {
-                throw new Error('project_id is required');
-            }
-            progress('Fetching project overview...');
-            return await client.getProjectOverview(params.project_id);
-            
-        case 'get_persona_profile':
-            if (!params.project_id || !params.persona_id) {
-                throw new Error('project_id and persona_id are required');
-            }
-            progress('Fetching persona profile...');
-            return await client.getPersonaProfile(params.project_id, params.persona_id);
-            
-        case 'get_user_journey':
-            if (!params.project_id || !params.persona_id) {
-                throw new Error('project_id and persona_id are required');
-            }
-            progress('Fetching user journey...');
-            return await client.getUserJourney(params.project_id, params.persona_id);
-            
-        case 'get_jobs_to_be_done':
-            if (!params.project_id || !params.persona_id) {
-                throw new Error('project_id and persona_id are required');
-            }
-            progress('Fetching jobs to be done...');
-            return await client.getJobsToBeDone(params.project_id, params.persona_id);
-            
-        case 'get_user_info':
-            progress('Fetching user info...');
-            return await client.getUserInfo();
-            
-        case 'get_project_environment':
-            if (!params.project_id) {
-                throw new Error('project_id is required');
-            }
-            progress('Fetching project environment...');
-            return await client.getProjectEnvironment(params.project_id);
-            
-        case 'check_nda_status':
-            progress('Checking NDA status...');
-            return await client.checkNdaStatus();
-            
-        case 'get_product_info':
-            if (!params.project_id) {
-                throw new Error('project_id is required');
-            }
-            progress('Fetching product info...');
-            return await client.getProductInfo(params.project_id);
-            
-        // Legacy tools for backward compatibility
-        case 'mcp0_getUserInfo':
-            progress('Fetching user info (legacy)...');
-            return await client.getUserInfo();
-            
-        case 'mcp0_fetchPersona':
-            if (!params.projectId || !params.personaId) {
-                throw new Error('projectId and personaId are required');
-            }
-            progress('Fetching persona (legacy)...');
-            return await client.getPersonaProfile(params.projectId, params.personaId);
-            
-        case 'mcp0_fetchElevatorPitch':
-            if (!params.projectId) {
-                throw new Error('projectId is required');
-            }
-            progress('Fetching elevator pitch (legacy)...');
-            const overview = await client.getProjectOverview(params.projectId);
-            return { result: overview.overview?.elevatorPitch || 'No elevator pitch available' };
-            
-        case 'mcp0_fetchVisionStatement':
-            if (!params.projectId) {
-                throw new Error('projectId is required');
-            }
-            progress('Fetching vision statement (legacy)...');
-            const visionOverview = await client.getProjectOverview(params.projectId);
-            return { result: visionOverview.overview?.visionStatement || 'No vision statement available' };
-            
-        case 'mcp0_fetchProductInfo':
-            if (!params.projectId) {
-                throw new Error('projectId is required');
-            }
-            progress('Fetching product info (legacy)...');
-            return await client.getProductInfo(params.projectId);
-            
-        case 'mcp0_fetchProjectEnvironment':
-            if (!params.projectId) {
-                throw new Error('projectId is required');
-            }
-            progress('Fetching project environment (legacy)...');
-            return await client.getProjectEnvironment(params.projectId);
-            
-        case 'mcp0_checkNdaStatus':
-            progress('Checking NDA status (legacy)...');
-            return await client.checkNdaStatus();
-            
-        // Name-based lookup tools
-        case 'list_projects':
-            progress('Fetching all projects...');
-            return await client.getAllProjects();
-            
-        case 'find_project_by_name':
-            if (!params.project_name) {
-                throw new Error('project_name is required');
-            }
-            progress(`Finding project by name: ${params.project_name}...`);
-            return await client.findProjectByName(params.project_name);
-            
-        case 'find_persona_by_name':
-            if (!params.project_id || !params.persona_name) {
-                throw new Error('project_id and persona_name are required');
-            }
-            progress(`Finding persona by name: ${params.persona_name}...`);
-            const projectId = await client.resolveProjectId(params.project_id);
-            return await client.findPersonaByName(projectId, params.persona_name);
-            
-        case 'get_user_stories_by_name':
-            if (!params.project_name || !params.persona_name) {
-                throw new Error('project_name and persona_name are required');
-            }
-            progress('Resolving project and persona names...');
-            const resolvedProjectId = await client.resolveProjectId(params.project_name);
-            const resolvedPersonaId = await client.resolvePersonaId(resolvedProjectId, params.persona_name);
-            progress('Fetching user stories...');
-            return await client.getUserStories(resolvedProjectId, resolvedPersonaId);
-            
-        case 'get_persona_by_name':
-            if (!params.project_name || !params.persona_name) {
-                throw new Error('project_name and persona_name are required');
-            }
-            progress('Resolving project and persona names...');
-            const projectIdForPersona = await client.resolveProjectId(params.project_name);
-            const personaIdForProfile = await client.resolvePersonaId(projectIdForPersona, params.persona_name);
-            progress('Fetching persona profile...');
-            return await client.getPersonaProfile(projectIdForPersona, personaIdForProfile);
-            
-        default:
-            throw new Error(`Tool ${toolName} not implemented`);
-    }
-}
-
 // Error handling middleware
 app.use((error, req, res, next) => {
     logger.error('Unhandled error', { error: error.message, stack: error.stack });
@@ -593,6 +453,70 @@ app.use((error, req, res, next) => {
     });
 });
 
+// JSON-RPC error body; invalid tool arguments keep their code and per-field details
+function toJsonRpcError(error) {
+    return {
+        code: Number.isInteger(error.code) ? error.code : -32603,
+        message: error.message,
+        ...(error.data && { data: error.data })
+    };
+}
+
+// resources/* JSON-RPC methods shared by the /sse and /mcp message endpoints
+async function handleResourceRequest(request, client) {
+    try {
+        let result;
+        if (request.method === 'resources/templates/list') {
+            result = { resourceTemplates: mcpResources.getResourceTemplates() };
+        } else if (request.method === 'resources/list') {
+            result = { resources: await mcpResources.listResources(client) };
+        } else {
+            result = await mcpResources.readResource(request.params?.uri, client);
+        }
+
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result
+        };
+    } catch (error) {
+        logger.error('Resource request error', { method: request.method, uri: request.params?.uri, error: error.message });
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+                code: Number.isInteger(error.code) ? error.code : -32603,
+                message: error.message
+            }
+        };
+    }
+}
+
+// prompts/* JSON-RPC methods shared by the /sse and /mcp message endpoints
+async function handlePromptRequest(request, client) {
+    try {
+        const result = request.method === 'prompts/list'
+            ? { prompts: mcpPrompts.getPromptDefinitions() }
+            : await mcpPrompts.getPrompt(request.params?.name, request.params?.arguments || {}, client);
+
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result
+        };
+    } catch (error) {
+        logger.error('Prompt request error', { method: request.method, prompt: request.params?.name, error: error.message });
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+                code: Number.isInteger(error.code) ? error.code : -32603,
+                message: error.message
+            }
+        };
+    }
+}
+
 // SSE endpoint for MCP communication
 app.get('/sse', (req, res) => {
     res.writeHead(200, {
@@ -614,7 +538,8 @@ app.get('/sse', (req, res) => {
             protocolVersion: '2024-11-05',
             capabilities: {
                 tools: {},
-                resources: {}
+                resources: {},
+                prompts: {}
             },
             serverInfo: {
                 name: 'rezoomex-mcp-server',
@@ -650,7 +575,8 @@ app.post('/sse', async (req, res) => {
                         protocolVersion: '2024-11-05',
                         capabilities: {
                             tools: {},
-                            resources: {}
+                            resources: {},
+                            prompts: {}
                         },
                         serverInfo: {
                             name: 'rezoomex-mcp-server',
@@ -670,6 +596,17 @@ app.post('/sse', async (req, res) => {
                 };
                 break;
 
+            case 'resources/templates/list':
+            case 'resources/list':
+            case 'resources/read':
+                response = await handleResourceRequest(request, authManager.getClient(req.headers['x-session-id'] || 'mcp-default'));
+                break;
+
+            case 'prompts/list':
+            case 'prompts/get':
+                response = await handlePromptRequest(request, authManager.getClient(req.headers['x-session-id'] || 'mcp-default'));
+                break;
+
             case 'tools/call':
                 const sessionId = req.headers['x-session-id'] || 'mcp-default';
                 
@@ -752,12 +689,7 @@ app.post('/sse', async (req, res) => {
                 response = {
                     jsonrpc: '2.0',
                     id: request.id,
-                    result: {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(result, null, 2)
-                        }]
-                    }
+                    result: mcpTools.formatToolResult(request.params.name, result, request.params.arguments)
                 };
                 break;
 
@@ -776,13 +708,10 @@ app.post('/sse', async (req, res) => {
 
     } catch (error) {
         logger.error('SSE MCP request error', { error: error.message });
-        res.status(500).json({
+        res.status(error instanceof ToolInputError ? 400 : 500).json({
             jsonrpc: '2.0',
             id: req.body?.id || null,
-            error: {
-                code: -32603,
-                message: error.message
-            }
+            error: toJsonRpcError(error)
         });
     }
 });
@@ -804,7 +733,8 @@ app.post('/mcp', async (req, res) => {
                         protocolVersion: '2024-11-05',
                         capabilities: {
                             tools: {},
-                            resources: {}
+                            resources: {},
+                            prompts: {}
                         },
                         serverInfo: {
                             name: 'rezoomex-mcp-server',
@@ -824,6 +754,17 @@ app.post('/mcp', async (req, res) => {
                 };
                 break;
 
+            case 'resources/templates/list':
+            case 'resources/list':
+            case 'resources/read':
+                response = await handleResourceRequest(request, authManager.getClient(req.headers['x-session-id']));
+                break;
+
+            case 'prompts/list':
+            case 'prompts/get':
+                response = await handlePromptRequest(request, authManager.getClient(req.headers['x-session-id']));
+                break;
+
             case 'tools/call':
                 const sessionId = req.headers['x-session-id'];
                 if (!sessionId) {
@@ -860,12 +801,7 @@ app.post('/mcp', async (req, res) => {
                 response = {
                     jsonrpc: '2.0',
                     id: request.id,
-                    result: {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(result, null, 2)
-                        }]
-                    }
+                    result: mcpTools.formatToolResult(request.params.name, result, request.params.arguments)
                 };
                 break;
 
@@ -884,13 +820,10 @@ app.post('/mcp', async (req, res) => {
 
     } catch (error) {
         logger.error('MCP request error', { error: error.message });
-        res.status(500).json({
+        res.status(error instanceof ToolInputError ? 400 : 500).json({
             jsonrpc: '2.0',
             id: req.body?.id || null,
-            error: {
-                code: -32603,
-                message: error.message
-            }
+            error: toJsonRpcError(error)
         });
     }
 });
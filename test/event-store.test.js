@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryEventStore } from '../lib/event-store.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const message = (id) => ({ jsonrpc: '2.0', method: 'notifications/progress', params: { id } });
+
+async function replay(store, lastEventId) {
+    const sent = [];
+    const streamId = await store.replayEventsAfter(lastEventId, {
+        send: async (eventId, payload) => sent.push([eventId, payload.params.id])
+    });
+    return { streamId, sent };
+}
+
+describe('MemoryEventStore', () => {
+    it('replays only the events a stream missed after Last-Event-ID', async () => {
+        const store = new MemoryEventStore(logger);
+        const first = await store.storeEvent('stream-a', message(1));
+        await store.storeEvent('stream-b', message(99));
+        const second = await store.storeEvent('stream-a', message(2));
+        const third = await store.storeEvent('stream-a', message(3));
+
+        const { streamId, sent } = await replay(store, first);
+
+        assert.equal(streamId, 'stream-a');
+        assert.deepEqual(sent, [[second, 2], [third, 3]]);
+    });
+
+    it('keeps a bounded backlog per stream', async () => {
+        const store = new MemoryEventStore(logger, { maxEventsPerStream: 2 });
+        const first = await store.storeEvent('stream-a', message(1));
+        const second = await store.storeEvent('stream-a', message(2));
+        await store.storeEvent('stream-a', message(3));
+
+        assert.equal((await replay(store, first)).streamId, '');
+        assert.equal((await replay(store, second)).sent.length, 1);
+    });
+
+    it('forgets streams that have been idle past the retention window', async () => {
+        const store = new MemoryEventStore(logger, { retention: 1000 });
+        const eventId = await store.storeEvent('stream-a', message(1));
+        store.streams.get('stream-a').lastSeen = Date.now() - 2000;
+
+        await store.storeEvent('stream-b', message(2));
+
+        assert.deepEqual(store.getStats(), { streams: 1, events: 1 });
+        assert.deepEqual(await replay(store, eventId), { streamId: '', sent: [] });
+    });
+
+    it('does not resume from an event ID it never issued', async () => {
+        const store = new MemoryEventStore(logger);
+        await store.storeEvent('stream-a', message(1));
+
+        assert.equal((await replay(store, 'not-an-event')).streamId, '');
+        assert.equal((await replay(store, 'stream-a::999')).streamId, '');
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MCPPrompts, PromptArgumentError } from '../lib/mcp-prompts.js';
+import { RezoomexApiClient } from '../lib/rezoomex-client.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Client stand-in that resolves names to fixed IDs and answers with canned project data
+function createClient(overrides = {}) {
+    const helpers = new RezoomexApiClient('test-token', logger);
+    return {
+        resolveProjectId: async () => 'P1',
+        resolvePersonaId: async () => 'P1-P-001',
+        getSingleStoryDetails: async (projectId, personaId, storyNumber) => ({
+            story: { number: storyNumber, id: 'story-a', title: 'Sign up with email', acceptanceCriteria: [{ resourceId: 'ac-1' }] }
+        }),
+        getPersonaProfile: async () => ({ persona: { data: { resourceId: 'P1-P-001', properties: { name: 'Rita Recruiter', role: 'hiring manager' } } } }),
+        getElevatorPitch: async () => ({ data: [] }),
+        getVisionStatement: async () => ({ data: [] }),
+        firstResource: payload => helpers.firstResource(payload),
+        ...overrides
+    };
+}
+
+describe('MCPPrompts', () => {
+    const prompts = new MCPPrompts();
+
+    it('lists prompts with their arguments but not their builders', () => {
+        const definitions = prompts.getPromptDefinitions();
+        assert.deepEqual(definitions.map(prompt => prompt.name), [
+            'write_acceptance_criteria',
+            'generate_test_cases_from_journey',
+            'critique_elevator_pitch',
+            'draft_stories_from_jtbd'
+        ]);
+        assert.equal(definitions[0].build, undefined);
+    });
+
+    it('rejects unknown prompts and missing arguments as invalid params', async () => {
+        await assert.rejects(prompts.getPrompt('nope', {}, createClient()), { name: 'PromptArgumentError', code: -32602 });
+        await assert.rejects(
+            prompts.getPrompt('write_acceptance_criteria', { project_id: 'P1' }, createClient()),
+            /Missing required arguments for write_acceptance_criteria: persona_id, story_number/
+        );
+        await assert.rejects(
+            prompts.getPrompt('write_acceptance_criteria', { project_id: 'P1', persona_id: 'rita', story_number: 'two' }, createClient()),
+            PromptArgumentError
+        );
+    });
+
+    it('builds the acceptance criteria request from live story and persona data', async () => {
+        const result = await prompts.getPrompt('write_acceptance_criteria', {
+            project_id: 'talentally yours',
+            persona_id: 'rita',
+            story_number: '3'
+        }, createClient());
+
+        const text = result.messages[0].content.text;
+        assert.equal(result.messages[0].role, 'user');
+        assert.match(text, /Story #3: Sign up with email/);
+        assert.match(text, /Rita Recruiter/);
+        assert.match(text, /hiring manager/);
+        assert.match(text, /already has 1 acceptance criteria/);
+        assert.match(text, /project_id P1, persona_id P1-P-001, story_number 3/);
+    });
+
+    it('renders the stored pitch next to the vision for a critique', async () => {
+        const client = createClient({
+            getElevatorPitch: async () => ({ data: [{ properties: { FOR: 'recruiters', THE: 'Rezoomex', IS_A: 'screening tool' } }] }),
+            getVisionStatement: async () => { throw new Error('Not found'); }
+        });
+
+        const text = (await prompts.getPrompt('critique_elevator_pitch', { project_id: 'P1' }, client)).messages[0].content.text;
+
+        assert.match(text, /For recruiters, Rezoomex is a screening tool/);
+        assert.match(text, /no vision statement has been written yet/);
+    });
+
+    it('refuses to critique a project without a pitch', async () => {
+        await assert.rejects(
+            prompts.getPrompt('critique_elevator_pitch', { project_id: 'P1' }, createClient()),
+            /Project P1 has no elevator pitch to critique yet/
+        );
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MCPResources, ResourceNotFoundError } from '../lib/mcp-resources.js';
+
+const story = {
+    number: 1,
+    id: 'story-a',
+    title: 'Sign up with email',
+    description: 'As a recruiter I want to sign up',
+    status: 'Active',
+    projectId: 'P1',
+    personaId: 'P1-P-001',
+    createdAt: '2025-01-01T00:00:00Z',
+    rawData: { resourceId: 'story-a', properties: { goal: 'Sign up with email' }, internalAuditTrail: ['secret'] }
+};
+
+const client = {
+    calls: [],
+    getAllProjects: async () => ({ projects: [{ id: 'P1', name: 'Talentally Yours' }, { id: 'P2', name: 'Payroll Portal' }] }),
+    listPersonas: async (projectId) => {
+        if (projectId === 'P2') {
+            throw new Error('Forbidden');
+        }
+        return [{ id: 'P1-P-001', name: 'Rita Recruiter' }];
+    },
+    getUserStories: async (projectId, personaId) => ({ projectId, personaId, stories: [story], total: 1, hasMore: false }),
+    async getSingleStoryDetails(...args) {
+        this.calls.push(args);
+        return { success: true, story };
+    }
+};
+
+describe('MCPResources', () => {
+    const resources = new MCPResources();
+
+    it('lists each project and its persona resources, skipping personas it cannot read', async () => {
+        const listed = await resources.listResources(client);
+
+        assert.deepEqual(listed.map(resource => resource.uri), [
+            'rezoomex://project/P1',
+            'rezoomex://project/P1/persona/P1-P-001',
+            'rezoomex://project/P1/persona/P1-P-001/stories',
+            'rezoomex://project/P1/persona/P1-P-001/journey',
+            'rezoomex://project/P1/persona/P1-P-001/jtbd',
+            'rezoomex://project/P2'
+        ]);
+        assert.equal(listed[2].name, 'Rita Recruiter: user stories');
+    });
+
+    it('returns the advertised mime type with the trimmed result', async () => {
+        const advertised = resources.getResourceTemplates().find(template => template.uriTemplate.endsWith('/stories'));
+        const uri = 'rezoomex://project/P1/persona/P1-P-001/stories';
+        const { contents } = await resources.readResource(uri, client);
+
+        assert.equal(contents.length, 1);
+        assert.equal(contents[0].uri, uri);
+        assert.equal(contents[0].mimeType, advertised.mimeType);
+
+        const data = JSON.parse(contents[0].text);
+        assert.equal(data.total, 1);
+        assert.equal(data.stories[0].title, 'Sign up with email');
+        assert.doesNotMatch(contents[0].text, /rawData|internalAuditTrail/);
+    });
+
+    it('reads single stories by number or by ID', async () => {
+        client.calls.length = 0;
+        await resources.readResource('rezoomex://project/P1/persona/P1-P-001/story/5', client);
+        await resources.readResource('rezoomex://project/P1/persona/P1-P-001/story/story-a/', client);
+
+        assert.deepEqual(client.calls, [['P1', 'P1-P-001', 5], ['P1', 'P1-P-001', null, 'story-a']]);
+    });
+
+    it('rejects URIs that match no template', async () => {
+        await assert.rejects(resources.readResource('rezoomex://nothing/here', client), ResourceNotFoundError);
+        await assert.rejects(resources.readResource('https://example.com/project/P1', client), ResourceNotFoundError);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AmbiguousMatchError, normalizeName, resolveName, getConfiguredAliases } from '../lib/name-matcher.js';
+import { MCPTools } from '../lib/mcp-tools.js';
+
+const projects = [
+    { id: '39SQ', name: 'Talentally Yours' },
+    { id: 'AB12', name: 'Talent Pool Analytics' },
+    { id: 'CD34', name: 'Payroll Portal' }
+];
+
+describe('resolveName', () => {
+    it('drops filler words and punctuation before comparing', () => {
+        assert.equal(normalizeName('The "Talentally Yours" project!'), 'talentally yours');
+    });
+
+    it('accepts a typo when one candidate clearly leads', () => {
+        const resolution = resolveName('talentaly yours', projects);
+        assert.equal(resolution.status, 'match');
+        assert.equal(resolution.match.id, '39SQ');
+    });
+
+    it('matches IDs exactly and multi-word names by acronym', () => {
+        assert.equal(resolveName('cd34', projects).match.id, 'CD34');
+        assert.equal(resolveName('pp', projects).match.id, 'CD34');
+    });
+
+    it('returns ranked candidates instead of guessing between close names', () => {
+        const personas = [{ id: '39SQ-P-001', name: 'Priya Sinha' }, { id: '39SQ-P-002', name: 'Priya Shah' }];
+        const resolution = resolveName('priya', personas);
+        assert.equal(resolution.status, 'ambiguous');
+        assert.deepEqual(resolution.candidates.map(candidate => candidate.id).sort(), ['39SQ-P-001', '39SQ-P-002']);
+    });
+
+    it('reports no match when nothing is plausible', () => {
+        assert.deepEqual(resolveName('inventory', projects), { status: 'none', match: null, candidates: [] });
+    });
+});
+
+describe('getConfiguredAliases', () => {
+    afterEach(() => {
+        delete process.env.REZOOMEX_NAME_ALIASES;
+    });
+
+    it('reads aliases for an ID from REZOOMEX_NAME_ALIASES', () => {
+        process.env.REZOOMEX_NAME_ALIASES = JSON.stringify({ ty: '39SQ', recruiter: '39SQ-P-003' });
+        assert.deepEqual(getConfiguredAliases('39SQ'), ['ty']);
+    });
+
+    it('ignores malformed alias configuration', () => {
+        process.env.REZOOMEX_NAME_ALIASES = '{not json';
+        assert.deepEqual(getConfiguredAliases('39SQ'), []);
+    });
+});
+
+describe('MCPTools ambiguous names', () => {
+    it('hands the candidates back instead of failing the call', async () => {
+        const candidates = [{ id: '39SQ', name: 'Talentally Yours', score: 0.7, matchedOn: 'name' }];
+        const client = {
+            async getProjectOverview() {
+                throw new AmbiguousMatchError('project', 'talent', candidates);
+            }
+        };
+
+        const result = await new MCPTools().callTool('get_project_overview', { project_id: 'talent' }, client);
+
+        assert.equal(result.success, false);
+        assert.equal(result.ambiguous, true);
+        assert.deepEqual(result.candidates, candidates);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ClientRegistry, FileClientStore, MemoryClientStore, createClientStore } from '../lib/oauth-clients.js';
+import { OAuthError } from '../lib/oauth-server.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-clients-test-'));
+after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+const REDIRECT_URI = 'http://127.0.0.1:5555/callback';
+
+async function rejectsWith(promise, code) {
+    await assert.rejects(promise, error => error instanceof OAuthError && error.code === code);
+}
+
+describe('ClientRegistry', () => {
+    it('registers a public client with its own client_id', async () => {
+        const registry = new ClientRegistry(logger, new MemoryClientStore());
+        const client = await registry.register({
+            client_name: 'Test IDE',
+            redirect_uris: [REDIRECT_URI, REDIRECT_URI],
+            token_endpoint_auth_method: 'client_secret_basic'
+        });
+
+        assert.ok(client.client_id);
+        assert.deepEqual(client.redirect_uris, [REDIRECT_URI]);
+        assert.deepEqual(client.grant_types, ['authorization_code']);
+        assert.equal(client.token_endpoint_auth_method, 'none');
+        assert.deepEqual(await registry.get(client.client_id), client);
+        assert.notEqual((await registry.register({ redirect_uris: [REDIRECT_URI] })).client_id, client.client_id);
+    });
+
+    it('rejects invalid redirect URIs and unsupported grants', async () => {
+        const registry = new ClientRegistry(logger, new MemoryClientStore());
+
+        await rejectsWith(registry.register({}), 'invalid_redirect_uri');
+        await rejectsWith(registry.register({ redirect_uris: ['/relative'] }), 'invalid_redirect_uri');
+        await rejectsWith(registry.register({ redirect_uris: ['https://app.example/cb#fragment'] }), 'invalid_redirect_uri');
+        await rejectsWith(registry.register({ redirect_uris: [REDIRECT_URI], grant_types: ['refresh_token'] }), 'invalid_client_metadata');
+        await rejectsWith(registry.register({ redirect_uris: [REDIRECT_URI], grant_types: ['authorization_code', 'password'] }), 'invalid_client_metadata');
+        await rejectsWith(registry.register({ redirect_uris: [REDIRECT_URI], response_types: ['token'] }), 'invalid_client_metadata');
+        await rejectsWith(registry.register({ redirect_uris: [REDIRECT_URI], client_name: 42 }), 'invalid_client_metadata');
+        assert.deepEqual(await registry.list(), []);
+    });
+
+    it('reports whether a revoked client was registered', async () => {
+        const registry = new ClientRegistry(logger, new MemoryClientStore());
+        const client = await registry.register({ redirect_uris: [REDIRECT_URI] });
+
+        assert.equal(await registry.revoke(client.client_id), true);
+        assert.equal(await registry.get(client.client_id), null);
+        assert.equal(await registry.revoke(client.client_id), false);
+    });
+});
+
+describe('FileClientStore', () => {
+    it('keeps registrations across restarts', async () => {
+        const filePath = path.join(tempRoot, 'nested', 'clients.json');
+        const registry = new ClientRegistry(logger, new FileClientStore(logger, filePath));
+        const kept = await registry.register({ client_name: 'Kept', redirect_uris: [REDIRECT_URI] });
+        const revoked = await registry.register({ client_name: 'Revoked', redirect_uris: [REDIRECT_URI] });
+        await registry.revoke(revoked.client_id);
+
+        const restarted = new ClientRegistry(logger, new FileClientStore(logger, filePath));
+        assert.deepEqual(await restarted.get(kept.client_id), kept);
+        assert.equal(await restarted.get(revoked.client_id), null);
+        assert.equal((fs.statSync(filePath).mode & 0o777).toString(8), '600');
+    });
+
+    it('starts empty when the file does not exist yet', async () => {
+        const store = new FileClientStore(logger, path.join(tempRoot, 'absent.json'));
+        assert.deepEqual(await store.list(), []);
+    });
+});
+
+describe('createClientStore', () => {
+    it('selects the store by type and refuses unknown ones', () => {
+        assert.ok(createClientStore(logger, { type: 'memory' }) instanceof MemoryClientStore);
+        assert.ok(createClientStore(logger, { type: 'file', filePath: path.join(tempRoot, 'clients.json') }) instanceof FileClientStore);
+        assert.throws(() => createClientStore(logger, { type: 'redis' }), /Unknown OAUTH_CLIENT_STORE: redis/);
+    });
+});
@@ -0,0 +1,446 @@
+// End-to-end OAuth flow: the real server, started as a child process, signing users in against
+// a local stand-in for the Rezoomex token endpoint.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createHash, randomBytes } from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-server-rezoomex-oauth.js', import.meta.url));
+const REDIRECT_URI = 'http://127.0.0.1:5555/callback';
+const ADMIN_TOKEN = 'admin-secret';
+const USERS = ['user@example.com', 'other@example.com'];
+
+// Accepts USERS with password secret and hands out numbered upstream tokens, which it then
+// accepts on /v1/users/me
+function startTokenStandIn() {
+    let issued = 0;
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        const params = new URLSearchParams(body);
+        const send = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+
+        if (req.method === 'POST' && req.url === '/token') {
+            const signIn = USERS.includes(params.get('username')) && params.get('password') === 'secret';
+            if (!signIn && params.get('grant_type') !== 'refresh_token') {
+                return send(401, { detail: 'Invalid credentials' });
+            }
+            issued++;
+            return send(200, { access_token: `upstream-${issued}`, expires_in: 3600, refresh_token: `upstream-rt-${issued}` });
+        }
+        if (req.method === 'GET' && req.url === '/v1/users/me' && /^Bearer upstream-\d+$/.test(req.headers.authorization)) {
+            return send(200, { email: 'user@example.com' });
+        }
+        send(404, { detail: 'Not found' });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function getFreePort() {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+async function waitForHealth(baseUrl, child) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) {
+            throw new Error(`Server exited with code ${child.exitCode}`);
+        }
+        try {
+            const response = await fetch(`${baseUrl}/health`);
+            if (response.ok) {
+                return;
+            }
+        } catch {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Server did not start');
+}
+
+function createPkce() {
+    const verifier = randomBytes(32).toString('base64url');
+    return { verifier, challenge: createHash('sha256').update(verifier).digest('base64url') };
+}
+
+describe('OAuth authorization flow', () => {
+    let standIn;
+    let child;
+    let workDir;
+    let baseUrl;
+
+    const get = (pathname) => fetch(`${baseUrl}${pathname}`, { redirect: 'manual' });
+    const postForm = (pathname, fields) => fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString()
+    });
+
+    async function register(metadata = {}) {
+        const response = await fetch(`${baseUrl}/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ client_name: 'Test IDE', redirect_uris: [REDIRECT_URI], grant_types: ['authorization_code', 'refresh_token'], ...metadata })
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function authorizeQuery(clientId, pkce, overrides = {}) {
+        return new URLSearchParams({
+            response_type: 'code',
+            client_id: clientId,
+            redirect_uri: REDIRECT_URI,
+            state: 'state-123',
+            code_challenge: pkce.challenge,
+            code_challenge_method: 'S256',
+            ...overrides
+        }).toString();
+    }
+
+    // Runs /authorize and /authenticate; returns the redirect back to the client
+    async function signIn(clientId, pkce, overrides = {}, email = 'user@example.com') {
+        const page = await get(`/authorize?${authorizeQuery(clientId, pkce, overrides)}`);
+        assert.equal(page.status, 200);
+        const requestId = (await page.text()).match(/name="request_id" value="([0-9a-f]+)"/)[1];
+
+        const response = await postForm('/authenticate', { request_id: requestId, email, password: 'secret' });
+        assert.equal(response.status, 302);
+        return new URL(response.headers.get('location'));
+    }
+
+    async function exchange(fields) {
+        const response = await postForm('/token', fields);
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function obtainTokens(clientId, email) {
+        const pkce = createPkce();
+        const redirect = await signIn(clientId, pkce, {}, email);
+        const { body } = await exchange({
+            grant_type: 'authorization_code',
+            code: redirect.searchParams.get('code'),
+            client_id: clientId,
+            redirect_uri: REDIRECT_URI,
+            code_verifier: pkce.verifier
+        });
+        return body;
+    }
+
+    const postMcp = (accessToken, message, sessionId) => fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+            ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+            ...(sessionId && { 'Mcp-Session-Id': sessionId })
+        },
+        body: JSON.stringify(message)
+    });
+
+    const initializeMcp = (accessToken) => postMcp(accessToken, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'oauth-flow-test', version: '1.0.0' } }
+    });
+
+    before(async () => {
+        standIn = await startTokenStandIn();
+        const standInUrl = `http://127.0.0.1:${standIn.address().port}`;
+        const port = await getFreePort();
+        baseUrl = `http://localhost:${port}`;
+
+        // Run from a scratch directory so the server's log file and .env lookups stay out of the repo
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rezoomex-oauth-test-'));
+        child = spawn(process.execPath, [SERVER_PATH], {
+            cwd: workDir,
+            stdio: 'ignore',
+            env: {
+                ...process.env,
+                PORT: String(port),
+                BASE_URI: baseUrl,
+                NODE_ENV: 'test',
+                LOG_LEVEL: 'error',
+                REZOOMEX_BASE_URL: standInUrl,
+                REZOOMEX_TOKEN_URL: `${standInUrl}/token`,
+                OAUTH_CLIENT_STORE: 'memory',
+                OAUTH_LOOPBACK_REDIRECTS: 'any-port',
+                OAUTH_REDIRECT_ALLOWLIST: '',
+                OAUTH_ADMIN_TOKEN: ADMIN_TOKEN,
+                STORY_REGISTRY_DIR: path.join(workDir, 'story-registry')
+            }
+        });
+        await waitForHealth(baseUrl, child);
+    });
+
+    after(async () => {
+        child?.kill();
+        await new Promise(resolve => standIn?.close(resolve));
+        if (workDir) {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    });
+
+    it('publishes discovery metadata and challenges unauthenticated MCP requests', async () => {
+        const metadata = await (await get('/.well-known/oauth-authorization-server')).json();
+        assert.equal(metadata.issuer, baseUrl);
+        assert.deepEqual(metadata.code_challenge_methods_supported, ['S256']);
+
+        const resource = await (await get('/.well-known/oauth-protected-resource/mcp')).json();
+        assert.equal(resource.resource, `${baseUrl}/mcp`);
+        assert.deepEqual(resource.authorization_servers, [baseUrl]);
+
+        const response = await initializeMcp();
+        assert.equal(response.status, 401);
+        assert.match(response.headers.get('www-authenticate'), /resource_metadata="[^"]+\/\.well-known\/oauth-protected-resource\/mcp"/);
+        assert.doesNotMatch(response.headers.get('www-authenticate'), /error=/);
+
+        const rejected = await initializeMcp('not-a-token');
+        assert.equal(rejected.status, 401);
+        assert.match(rejected.headers.get('www-authenticate'), /error="invalid_token"/);
+    });
+
+    it('issues tokens for a PKCE-verified code and accepts them on /mcp', async () => {
+        const { body: client } = await register();
+        const pkce = createPkce();
+        const redirect = await signIn(client.client_id, pkce);
+
+        assert.equal(`${redirect.origin}${redirect.pathname}`, REDIRECT_URI);
+        assert.equal(redirect.searchParams.get('state'), 'state-123');
+        const code = redirect.searchParams.get('code');
+
+        const { status, body: tokens } = await exchange({
+            grant_type: 'authorization_code',
+            code,
+            client_id: client.client_id,
+            redirect_uri: REDIRECT_URI,
+            code_verifier: pkce.verifier
+        });
+        assert.equal(status, 200);
+        assert.equal(tokens.token_type, 'Bearer');
+        assert.ok(tokens.access_token.startsWith('rzmx_at_'));
+        assert.ok(tokens.refresh_token);
+
+        const replay = await exchange({
+            grant_type: 'authorization_code',
+            code,
+            client_id: client.client_id,
+            redirect_uri: REDIRECT_URI,
+            code_verifier: pkce.verifier
+        });
+        assert.equal(replay.status, 400);
+        assert.equal(replay.body.error, 'invalid_grant');
+
+        const mcp = await initializeMcp(tokens.access_token);
+        assert.equal(mcp.status, 200);
+        assert.ok(mcp.headers.get('mcp-session-id'));
+    });
+
+    it('burns the code when the code_verifier does not match', async () => {
+        const { body: client } = await register();
+        const pkce = createPkce();
+        const redirect = await signIn(client.client_id, pkce);
+        const fields = {
+            grant_type: 'authorization_code',
+            code: redirect.searchParams.get('code'),
+            client_id: client.client_id,
+            redirect_uri: REDIRECT_URI
+        };
+
+        const wrong = await exchange({ ...fields, code_verifier: createPkce().verifier });
+        assert.equal(wrong.body.error, 'invalid_grant');
+        const right = await exchange({ ...fields, code_verifier: pkce.verifier });
+        assert.equal(right.body.error, 'invalid_grant');
+    });
+
+    it('redirects request errors back to the client once the redirect_uri is trusted', async () => {
+        const { body: client } = await register();
+        const response = await get(`/authorize?${authorizeQuery(client.client_id, createPkce(), { code_challenge_method: 'plain' })}`);
+
+        assert.equal(response.status, 302);
+        const redirect = new URL(response.headers.get('location'));
+        assert.equal(redirect.searchParams.get('error'), 'invalid_request');
+        assert.equal(redirect.searchParams.get('state'), 'state-123');
+    });
+
+    it('redirects an unsupported scope back to the client as invalid_scope', async () => {
+        const { body: client } = await register();
+        const response = await get(`/authorize?${authorizeQuery(client.client_id, createPkce(), { scope: 'read admin' })}`);
+
+        assert.equal(response.status, 302);
+        const redirect = new URL(response.headers.get('location'));
+        assert.equal(redirect.searchParams.get('error'), 'invalid_scope');
+        assert.equal(redirect.searchParams.get('state'), 'state-123');
+    });
+
+    it('shows the sign-in form again after a failed sign-in', async () => {
+        const { body: client } = await register();
+        const page = await get(`/authorize?${authorizeQuery(client.client_id, createPkce())}`);
+        const requestId = (await page.text()).match(/name="request_id" value="([0-9a-f]+)"/)[1];
+
+        const response = await postForm('/authenticate', { request_id: requestId, email: 'user@example.com', password: 'wrong' });
+        assert.equal(response.status, 401);
+        assert.match(await response.text(), /Invalid email or password/);
+    });
+
+    it('rotates refresh tokens and revokes the grant when one is reused', async () => {
+        const { body: client } = await register();
+        const first = await obtainTokens(client.client_id);
+
+        const refreshed = await exchange({ grant_type: 'refresh_token', refresh_token: first.refresh_token, client_id: client.client_id });
+        assert.equal(refreshed.status, 200);
+        assert.notEqual(refreshed.body.refresh_token, first.refresh_token);
+        assert.equal((await initializeMcp(refreshed.body.access_token)).status, 200);
+
+        const reused = await exchange({ grant_type: 'refresh_token', refresh_token: first.refresh_token, client_id: client.client_id });
+        assert.equal(reused.status, 400);
+        assert.equal(reused.body.error, 'invalid_grant');
+
+        const revoked = await initializeMcp(refreshed.body.access_token);
+        assert.equal(revoked.status, 401);
+        assert.match(revoked.headers.get('www-authenticate'), /error="invalid_token"/);
+    });
+
+    it('refuses authorization and token requests from unregistered clients', async () => {
+        const response = await get(`/authorize?${authorizeQuery('unregistered-client', createPkce())}`);
+        assert.equal(response.status, 400);
+        assert.equal(response.headers.get('location'), null);
+
+        const token = await exchange({ grant_type: 'refresh_token', refresh_token: 'rzmx_rt_unknown', client_id: 'unregistered-client' });
+        assert.equal(token.status, 401);
+        assert.equal(token.body.error, 'invalid_client');
+    });
+
+    it('gives clients registered without refresh_token an access token only', async () => {
+        const { body: client } = await register({ grant_types: ['authorization_code'] });
+        assert.deepEqual(client.grant_types, ['authorization_code']);
+        assert.equal(client.token_endpoint_auth_method, 'none');
+
+        const tokens = await obtainTokens(client.client_id);
+        assert.ok(tokens.access_token);
+        assert.equal(tokens.refresh_token, undefined);
+    });
+
+    it('lists clients and revokes one with its grants for the admin token only', async () => {
+        const { body: client } = await register({ client_name: 'Revoked IDE' });
+        const tokens = await obtainTokens(client.client_id);
+        const admin = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+
+        assert.equal((await fetch(`${baseUrl}/oauth/clients`)).status, 401);
+        const listing = await (await fetch(`${baseUrl}/oauth/clients`, admin)).json();
+        assert.equal(listing.clients.find(entry => entry.client_id === client.client_id).activeGrants, 1);
+
+        const revoked = await (await fetch(`${baseUrl}/oauth/clients/${client.client_id}`, { method: 'DELETE', ...admin })).json();
+        assert.equal(revoked.revokedGrants, 1);
+        assert.equal((await initializeMcp(tokens.access_token)).status, 401);
+        assert.equal((await fetch(`${baseUrl}/oauth/clients/${client.client_id}`, { method: 'DELETE', ...admin })).status, 404);
+    });
+
+    it('accepts a registered loopback redirect on another port', async () => {
+        const { body: client } = await register();
+        const pkce = createPkce();
+        const redirect = await signIn(client.client_id, pkce, { redirect_uri: 'http://127.0.0.1:6123/callback' });
+        assert.equal(redirect.origin, 'http://127.0.0.1:6123');
+    });
+
+    it('never redirects to a redirect_uri the client did not register', async () => {
+        const { body: client } = await register();
+        for (const redirectUri of ['https://evil.example/callback', 'http://127.0.0.1:5555/elsewhere', 'javascript:alert(1)']) {
+            // Even an otherwise invalid request must not bounce to the unregistered URI
+            const response = await get(`/authorize?${authorizeQuery(client.client_id, createPkce(), { redirect_uri: redirectUri, code_challenge_method: 'plain' })}`);
+            assert.equal(response.status, 400, redirectUri);
+            assert.equal(response.headers.get('location'), null, redirectUri);
+        }
+    });
+
+    it('refuses to register blocked schemes and non-loopback http', async () => {
+        for (const redirectUri of ['javascript:alert(1)', 'data:text/html,hi', 'http://evil.example/callback', 'https://app.example/cb#fragment']) {
+            const { status, body } = await register({ redirect_uris: [redirectUri] });
+            assert.equal(status, 400, redirectUri);
+            assert.equal(body.error, 'invalid_redirect_uri', redirectUri);
+        }
+    });
+
+    it('escapes client-supplied values on the sign-in page', async () => {
+        const { body: client } = await register({ client_name: '<script>alert(1)</script>' });
+        const page = await (await get(`/authorize?${authorizeQuery(client.client_id, createPkce())}`)).text();
+
+        assert.doesNotMatch(page, /<script>alert\(1\)<\/script>/);
+        assert.match(page, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    });
+
+    it('keeps an MCP session to the user who opened it', async () => {
+        const { body: client } = await register();
+        const owner = await obtainTokens(client.client_id);
+        const other = await obtainTokens(client.client_id, 'other@example.com');
+        const sessionId = (await initializeMcp(owner.access_token)).headers.get('mcp-session-id');
+        const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+
+        assert.equal((await postMcp(other.access_token, listTools, sessionId)).status, 404);
+        assert.equal((await postMcp(owner.access_token, listTools, sessionId)).status, 200);
+    });
+
+    it('carries an MCP session over to a refreshed or new token of its owner', async () => {
+        const { body: client } = await register();
+        const first = await obtainTokens(client.client_id);
+        const sessionId = (await initializeMcp(first.access_token)).headers.get('mcp-session-id');
+
+        const refreshed = await exchange({ grant_type: 'refresh_token', refresh_token: first.refresh_token, client_id: client.client_id });
+        assert.equal((await postMcp(refreshed.body.access_token, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId)).status, 200);
+
+        // Reusing the rotated refresh token revokes the first grant; a fresh sign-in continues the session
+        const again = await obtainTokens(client.client_id);
+        assert.equal((await exchange({ grant_type: 'refresh_token', refresh_token: first.refresh_token, client_id: client.client_id })).body.error, 'invalid_grant');
+
+        const response = await postMcp(again.access_token, { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'get_user_info', arguments: {} } }, sessionId);
+        assert.equal(response.status, 200);
+        const { result, error } = JSON.parse((await response.text()).match(/^data: (.+)$/m)[1]);
+        assert.equal(error, undefined, error?.message);
+        assert.equal(result.isError, undefined, result.content[0].text);
+        assert.equal(result.structuredContent.user.email, 'user@example.com');
+    });
+
+    it('accepts legacy SSE messages only with the token of the stream owner', async () => {
+        const { body: client } = await register();
+        const owner = await obtainTokens(client.client_id);
+        const other = await obtainTokens(client.client_id, 'other@example.com');
+
+        const stream = new AbortController();
+        const sse = await fetch(`${baseUrl}/v1/sse`, { headers: { Authorization: `Bearer ${owner.access_token}` }, signal: stream.signal });
+        const reader = sse.body.getReader();
+        let received = '';
+        while (!received.includes('\n\n')) {
+            received += new TextDecoder().decode((await reader.read()).value);
+        }
+        const endpoint = received.match(/data: (\S+)/)[1];
+
+        const post = (accessToken) => fetch(`${baseUrl}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(accessToken && { Authorization: `Bearer ${accessToken}` }) },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })
+        });
+        try {
+            assert.equal((await post()).status, 401);
+            assert.equal((await post(other.access_token)).status, 404);
+            assert.equal((await post(owner.access_token)).status, 202);
+        } finally {
+            stream.abort();
+        }
+    });
+});
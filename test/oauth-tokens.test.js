@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OAuthTokenStore, UpstreamRejectedError } from '../lib/oauth-tokens.js';
+import { OAuthError } from '../lib/oauth-server.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// A store whose upstream renewal does whatever renewal.mode says
+function createStore(options = {}) {
+    const renewal = { mode: 'ok', calls: 0 };
+    const store = new OAuthTokenStore(logger, {
+        renewUpstream: async () => {
+            renewal.calls++;
+            if (renewal.mode === 'unreachable') {
+                throw new Error('connect ECONNREFUSED');
+            }
+            if (renewal.mode === 'rejected') {
+                throw new UpstreamRejectedError('Rezoomex refused the refresh token');
+            }
+            return { access_token: `upstream-${renewal.calls}`, expires_in: 3600, refresh_token: `upstream-rt-${renewal.calls}` };
+        },
+        ...options
+    });
+    return { store, renewal };
+}
+
+function startGrant(store, overrides = {}) {
+    return store.issue({
+        clientId: 'client-1',
+        scope: 'read write',
+        subject: 'user@example.com',
+        upstream: { access_token: 'upstream-0', expires_in: 3600, refresh_token: 'upstream-rt-0' },
+        ...overrides
+    });
+}
+
+async function rejectsWith(promise, code) {
+    await assert.rejects(promise, error => error instanceof OAuthError && error.code === code);
+}
+
+describe('OAuthTokenStore', () => {
+    it('issues access tokens that resolve to their grant', () => {
+        const { store } = createStore();
+        const tokens = startGrant(store);
+
+        assert.equal(tokens.token_type, 'Bearer');
+        assert.ok(OAuthTokenStore.isIssuedToken(tokens.access_token));
+        assert.ok(tokens.refresh_token);
+        const grant = store.verifyAccessToken(tokens.access_token);
+        assert.equal(grant.clientId, 'client-1');
+        assert.equal(grant.subject, 'user@example.com');
+        assert.equal(store.verifyAccessToken('rzmx_at_unknown'), null);
+    });
+
+    it('rotates refresh tokens on every use', async () => {
+        const { store } = createStore();
+        const first = startGrant(store);
+        const second = await store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' });
+
+        assert.notEqual(second.refresh_token, first.refresh_token);
+        assert.notEqual(second.access_token, first.access_token);
+        assert.ok(store.verifyAccessToken(second.access_token));
+    });
+
+    it('revokes the whole grant when a rotated refresh token comes back', async () => {
+        const { store } = createStore();
+        const first = startGrant(store);
+        const second = await store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' });
+
+        await rejectsWith(store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' }), 'invalid_grant');
+        assert.equal(store.verifyAccessToken(second.access_token), null);
+        await rejectsWith(store.refresh({ refresh_token: second.refresh_token, client_id: 'client-1' }), 'invalid_grant');
+    });
+
+    it('treats concurrent use of one refresh token as reuse', async () => {
+        const { store } = createStore();
+        const first = startGrant(store);
+        const results = await Promise.allSettled([
+            store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' }),
+            store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' })
+        ]);
+
+        // The second use revokes the grant, so the first one cannot complete either
+        assert.deepEqual(results.map(result => result.reason?.code), ['invalid_grant', 'invalid_grant']);
+        assert.equal(store.getStats().grants, 0);
+    });
+
+    it('refuses refresh tokens presented by another client', async () => {
+        const { store } = createStore();
+        const first = startGrant(store);
+        await rejectsWith(store.refresh({ refresh_token: first.refresh_token, client_id: 'client-2' }), 'invalid_grant');
+    });
+
+    it('narrows the scope of the refreshed access token only', async () => {
+        const { store } = createStore();
+        const first = startGrant(store);
+        const narrowed = await store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1', scope: 'read' });
+
+        assert.equal(narrowed.scope, 'read');
+        assert.equal(store.verifyAccessToken(narrowed.access_token).scope, 'read');
+        const widened = await store.refresh({ refresh_token: narrowed.refresh_token, client_id: 'client-1' });
+        assert.equal(store.verifyAccessToken(widened.access_token).scope, 'read write');
+        await rejectsWith(store.refresh({ refresh_token: widened.refresh_token, client_id: 'client-1', scope: 'admin' }), 'invalid_scope');
+    });
+
+    it('renews the upstream token shortly before it expires', async () => {
+        const { store, renewal } = createStore();
+        const tokens = startGrant(store, { upstream: { access_token: 'upstream-0', expires_in: 60, refresh_token: 'upstream-rt-0' } });
+        const { grantId } = store.verifyAccessToken(tokens.access_token);
+
+        assert.equal(await store.getUpstreamToken(grantId), 'upstream-1');
+        assert.equal(await store.getUpstreamToken(grantId), 'upstream-1');
+        assert.equal(renewal.calls, 1);
+    });
+
+    it('keeps the refresh token usable when Rezoomex is unreachable', async () => {
+        const { store, renewal } = createStore();
+        const first = startGrant(store, { upstream: { access_token: 'upstream-0', expires_in: 60, refresh_token: 'upstream-rt-0' } });
+
+        renewal.mode = 'unreachable';
+        await assert.rejects(
+            store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' }),
+            error => error.code === 'temporarily_unavailable' && error.status === 503
+        );
+        assert.ok(store.verifyAccessToken(first.access_token));
+
+        renewal.mode = 'ok';
+        const second = await store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' });
+        assert.ok(store.verifyAccessToken(second.access_token));
+    });
+
+    it('ends the grant when Rezoomex refuses the renewal', async () => {
+        const { store, renewal } = createStore();
+        const first = startGrant(store, { upstream: { access_token: 'upstream-0', expires_in: 60, refresh_token: 'upstream-rt-0' } });
+
+        renewal.mode = 'rejected';
+        await rejectsWith(store.refresh({ refresh_token: first.refresh_token, client_id: 'client-1' }), 'invalid_grant');
+        assert.equal(store.verifyAccessToken(first.access_token), null);
+    });
+
+    it('does not keep credentials unless retention is enabled', () => {
+        const { store } = createStore({ retainCredentials: false });
+        const tokens = startGrant(store, {
+            upstream: { access_token: 'upstream-0', expires_in: 120 },
+            credentials: { email: 'user@example.com', password: 'secret' }
+        });
+        const { grantId } = store.verifyAccessToken(tokens.access_token);
+
+        assert.equal(store.grants.get(grantId).upstream.credentials, null);
+        // Nothing to renew with, so the grant ends with the upstream token
+        assert.equal(tokens.refresh_token, undefined);
+        assert.ok(tokens.expires_in <= 120);
+    });
+
+    it('caps the lifetime of grants that retain credentials', () => {
+        const { store } = createStore({ retainCredentials: true, credentialGrantTtl: 10 * 60 * 1000 });
+        const tokens = startGrant(store, {
+            upstream: { access_token: 'upstream-0', expires_in: 120 },
+            credentials: { email: 'user@example.com', password: 'secret' }
+        });
+        const { grantId } = store.verifyAccessToken(tokens.access_token);
+        const grant = store.grants.get(grantId);
+
+        assert.ok(grant.upstream.credentials);
+        assert.ok(tokens.refresh_token);
+        assert.ok(grant.expiresAt <= Date.now() + 10 * 60 * 1000);
+    });
+
+    it('gives clients without the refresh_token grant an access token only', () => {
+        const { store } = createStore();
+        const tokens = startGrant(store, { refreshable: false });
+        assert.equal(tokens.refresh_token, undefined);
+    });
+
+    it('counts and revokes the grants of one client', () => {
+        const { store } = createStore();
+        const first = startGrant(store);
+        startGrant(store);
+        const other = startGrant(store, { clientId: 'client-2' });
+
+        assert.equal(store.countClientGrants('client-1'), 2);
+        assert.equal(store.revokeClient('client-1'), 2);
+        assert.equal(store.verifyAccessToken(first.access_token), null);
+        assert.ok(store.verifyAccessToken(other.access_token));
+    });
+});
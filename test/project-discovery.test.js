@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProjectDiscovery, extractMembershipIds } from '../lib/project-discovery.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+// A client stand-in that can read the projects in `accessible` and counts every probe
+function createClient(userInfo, accessible) {
+    return {
+        userInfo,
+        probes: [],
+        async fetchProjectSummary(projectId) {
+            this.probes.push(projectId);
+            if (!accessible.includes(projectId)) {
+                throw httpError(403);
+            }
+            return { id: projectId, name: `Project ${projectId}` };
+        }
+    };
+}
+
+describe('extractMembershipIds', () => {
+    it('reads plain IDs and membership objects', () => {
+        const ids = extractMembershipIds({
+            projects: ['39SQ', ' '],
+            memberships: [{ productCode: 'AB12' }, { role: 'viewer' }],
+            workspaces: { main: { slug: 'CD34' } }
+        });
+        assert.deepEqual(ids, ['39SQ', 'AB12', 'CD34']);
+    });
+});
+
+describe('ProjectDiscovery', () => {
+    it('lists only the candidates each user can actually open', async () => {
+        const discovery = new ProjectDiscovery(logger, { probeIds: ['39SQ', 'ZZ99'] });
+
+        const alice = createClient({ id: 'alice', projects: ['AB12'] }, ['AB12', '39SQ']);
+        const bob = createClient({ id: 'bob' }, ['ZZ99']);
+
+        assert.deepEqual((await discovery.discover(alice)).map(project => project.id), ['AB12', '39SQ']);
+        assert.deepEqual((await discovery.discover(bob)).map(project => project.id), ['ZZ99']);
+    });
+
+    it('serves a cached list until a newly used project makes it stale', async () => {
+        const discovery = new ProjectDiscovery(logger, { probeIds: [] });
+        const client = createClient({ id: 'alice', projects: ['AB12'] }, ['AB12', 'EF56']);
+
+        await discovery.discover(client);
+        await discovery.discover(client);
+        assert.deepEqual(client.probes, ['AB12']);
+
+        discovery.rememberProject('alice', 'EF56');
+        assert.deepEqual((await discovery.discover(client)).map(project => project.id), ['AB12', 'EF56']);
+    });
+
+    it('forgets remembered projects the user has lost access to', async () => {
+        const discovery = new ProjectDiscovery(logger, { probeIds: [], cacheTtl: 0 });
+        const client = createClient({ id: 'alice' }, []);
+
+        discovery.rememberProject('alice', 'AB12');
+        assert.deepEqual(await discovery.discover(client), []);
+        assert.deepEqual(discovery.getCandidateIds('alice', client.userInfo), []);
+    });
+});
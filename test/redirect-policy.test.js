@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RedirectUriPolicy } from '../lib/redirect-policy.js';
+import { ClientRegistry, MemoryClientStore } from '../lib/oauth-clients.js';
+import { OAuthAuthorizationServer } from '../lib/oauth-server.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+describe('RedirectUriPolicy', () => {
+    describe('checkRegistration', () => {
+        const policy = new RedirectUriPolicy({ loopback: 'any-port', allowlist: [] });
+
+        it('accepts https, loopback http and private-use schemes', () => {
+            for (const uri of ['https://app.example/cb', 'http://127.0.0.1:5000/cb', 'http://[::1]/cb', 'http://localhost:8080/cb', 'cursor://auth/cb']) {
+                assert.equal(policy.checkRegistration(uri), null, uri);
+            }
+        });
+
+        it('rejects schemes a browser would execute or read locally', () => {
+            for (const uri of ['javascript:alert(1)', 'data:text/html,<script>x</script>', 'vbscript:msgbox', 'file:///etc/passwd']) {
+                assert.match(policy.checkRegistration(uri), /scheme is not allowed/, uri);
+            }
+        });
+
+        it('rejects http for hosts other than loopback', () => {
+            assert.match(policy.checkRegistration('http://evil.example/cb'), /only allowed for loopback/);
+            assert.match(policy.checkRegistration('http://127.0.0.1.evil.example/cb'), /only allowed for loopback/);
+        });
+
+        it('rejects relative URIs, fragments and credentials', () => {
+            assert.match(policy.checkRegistration('/cb'), /absolute URI/);
+            assert.match(policy.checkRegistration('https://app.example/cb#frag'), /fragment/);
+            assert.match(policy.checkRegistration('https://user:pw@app.example/cb'), /credentials/);
+        });
+
+        it('limits non-loopback URIs to the allowlist', () => {
+            const allowlisted = new RedirectUriPolicy({ allowlist: ['https://vscode.dev', 'cursor:'] });
+            assert.equal(allowlisted.checkRegistration('https://vscode.dev/redirect'), null);
+            assert.equal(allowlisted.checkRegistration('cursor://auth/cb'), null);
+            assert.equal(allowlisted.checkRegistration('http://127.0.0.1:5000/cb'), null);
+            assert.match(allowlisted.checkRegistration('https://app.example/cb'), /allowlist/);
+            assert.match(allowlisted.checkRegistration('vscode://auth/cb'), /allowlist/);
+        });
+
+        it('rejects loopback URIs under the deny policy', () => {
+            const deny = new RedirectUriPolicy({ loopback: 'deny', allowlist: [] });
+            assert.match(deny.checkRegistration('http://127.0.0.1:5000/cb'), /loopback redirect URIs are disabled/);
+        });
+
+        it('refuses an unknown loopback policy', () => {
+            assert.throws(() => new RedirectUriPolicy({ loopback: 'sometimes' }), /Unknown OAUTH_LOOPBACK_REDIRECTS/);
+        });
+    });
+
+    describe('isAllowed', () => {
+        const registered = ['http://127.0.0.1:5000/cb?x=1', 'https://app.example/cb'];
+
+        it('requires an exact match for non-loopback URIs', () => {
+            const policy = new RedirectUriPolicy({ loopback: 'any-port', allowlist: [] });
+            assert.equal(policy.isAllowed(registered, 'https://app.example/cb'), true);
+            assert.equal(policy.isAllowed(registered, 'https://app.example/cb2'), false);
+            assert.equal(policy.isAllowed(registered, 'https://app.example/cb?next=https://evil.example'), false);
+            assert.equal(policy.isAllowed(registered, 'https://evil.example/cb'), false);
+        });
+
+        it('lets loopback URIs change port under any-port, but nothing else', () => {
+            const policy = new RedirectUriPolicy({ loopback: 'any-port', allowlist: [] });
+            assert.equal(policy.isAllowed(registered, 'http://127.0.0.1:6123/cb?x=1'), true);
+            assert.equal(policy.isAllowed(registered, 'http://127.0.0.1:6123/other?x=1'), false);
+            assert.equal(policy.isAllowed(registered, 'http://127.0.0.1:6123/cb?x=2'), false);
+            assert.equal(policy.isAllowed(registered, 'http://localhost:6123/cb?x=1'), false);
+        });
+
+        it('requires the registered port under exact', () => {
+            const policy = new RedirectUriPolicy({ loopback: 'exact', allowlist: [] });
+            assert.equal(policy.isAllowed(registered, 'http://127.0.0.1:5000/cb?x=1'), true);
+            assert.equal(policy.isAllowed(registered, 'http://127.0.0.1:6123/cb?x=1'), false);
+        });
+
+        it('applies a tightened policy to existing registrations', () => {
+            const deny = new RedirectUriPolicy({ loopback: 'deny', allowlist: [] });
+            assert.equal(deny.isAllowed(registered, 'http://127.0.0.1:5000/cb?x=1'), false);
+            assert.equal(deny.isAllowed(['javascript:alert(1)'], 'javascript:alert(1)'), false);
+        });
+    });
+});
+
+describe('OAuthAuthorizationServer.checkRedirectUri', () => {
+    const clients = new ClientRegistry(logger, new MemoryClientStore(), new RedirectUriPolicy({ loopback: 'exact', allowlist: [] }));
+    const server = new OAuthAuthorizationServer(logger, { authenticate: async () => null, clients, tokens: {} });
+
+    const rejects = (promise, message) => assert.rejects(promise, error => error.code === 'invalid_request' && error.redirectable === false && message.test(error.message));
+
+    it('resolves a registered client and redirect_uri', async () => {
+        const client = await clients.register({ redirect_uris: ['https://app.example/cb'] });
+        assert.equal((await server.checkRedirectUri(client.client_id, 'https://app.example/cb')).client_id, client.client_id);
+        await rejects(server.checkRedirectUri(client.client_id, 'https://evil.example/cb'), /not registered for this client/);
+        await rejects(server.checkRedirectUri('unknown', 'https://app.example/cb'), /client_id is not registered/);
+    });
+
+    it('checks clients configured outside the registry, such as the Auth0 application', async () => {
+        const auth0Client = { client_id: 'auth0-app', redirect_uris: ['http://localhost:3000/callback'] };
+        assert.equal(await server.checkRedirectUri('auth0-app', 'http://localhost:3000/callback', auth0Client), auth0Client);
+        await rejects(server.checkRedirectUri('auth0-app', 'https://evil.example/callback', auth0Client), /not registered for this client/);
+        await rejects(server.checkRedirectUri('auth0-app', 'javascript:alert(1)', auth0Client), /not registered for this client/);
+    });
+});
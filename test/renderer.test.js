@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Renderer, getRenderer, heading, paragraph, fields, list, note, code } from '../lib/renderer.js';
+import { MCPTools } from '../lib/mcp-tools.js';
+
+const blocks = [
+    heading('2 user stories'),
+    list([
+        { number: 1, title: 'Search', id: 'S1', fields: [['description', 'Find roles'], ['notes', '']] },
+        { number: 2, title: 'Apply', id: 'S2' }
+    ]),
+    fields([['keyTraits', ['patient', 'curious']], ['age', null]]),
+    note('More stories available'),
+    code('{"raw": true}', 'json')
+];
+
+describe('Renderer', () => {
+    const renderer = getRenderer();
+
+    it('renders the same blocks as plain, Markdown and compact text', () => {
+        assert.equal(renderer.render(blocks, 'plain'), [
+            '2 user stories',
+            '==============',
+            '1. Search (S1)',
+            '   description: Find roles',
+            '2. Apply (S2)',
+            'key traits: patient, curious',
+            'More stories available',
+            '{"raw": true}'
+        ].join('\n'));
+
+        assert.equal(renderer.render(blocks, 'markdown'), [
+            '# 2 user stories',
+            '- **1.** Search `S1`\n  - description: Find roles\n- **2.** Apply `S2`',
+            '- **key traits:** patient, curious',
+            '> More stories available',
+            '```json\n{"raw": true}\n```'
+        ].join('\n\n'));
+
+        assert.equal(renderer.render(blocks, 'compact'), [
+            '2 user stories',
+            '1. Search; 2. Apply',
+            'key traits: patient, curious',
+            'More stories available'
+        ].join('\n'));
+    });
+
+    it('renders the structured data for json and refuses unknown formats', () => {
+        assert.equal(renderer.render(blocks, 'json', { total: 2 }), '{\n  "total": 2\n}');
+        assert.throws(() => renderer.render(blocks, 'yaml'), /Unknown output format: yaml. Available formats: plain, markdown, compact, json/);
+    });
+
+    it('accepts added formats that provide a render function', () => {
+        const custom = new Renderer();
+        assert.throws(() => custom.registerFormat('broken', {}), /needs a render\(blocks, data\) function/);
+
+        custom.registerFormat('count', { render: (documentBlocks) => String(documentBlocks.length) });
+        assert.equal(custom.render([paragraph('one'), paragraph('two')], 'count'), '2');
+    });
+});
+
+describe('tool result formats', () => {
+    const tools = new MCPTools();
+    const result = {
+        stories: [{ number: 1, id: 'S1', title: 'Search' }, { number: 2, id: 'S2', title: 'Apply' }],
+        total: 2,
+        nextCursor: null,
+        hasMore: false
+    };
+
+    it('offers every registered format through the format argument', () => {
+        const definition = tools.getToolDefinitions().find(tool => tool.name === 'list_user_stories');
+        assert.deepEqual(definition.inputSchema.properties.format.enum, ['plain', 'markdown', 'compact', 'json']);
+    });
+
+    it('renders the text content in the requested format', () => {
+        const text = format => tools.formatToolResult('list_user_stories', result, { format }).content[0].text;
+
+        assert.equal(text('plain'), '2 user stories\n==============\n1. Search (S1)\n2. Apply (S2)');
+        assert.match(text('markdown'), /^# 2 user stories/);
+        assert.deepEqual(JSON.parse(text('json')).stories.map(story => story.id), ['S1', 'S2']);
+    });
+});
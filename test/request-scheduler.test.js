@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestScheduler } from '../lib/request-scheduler.js';
+import { RezoomexApiClient } from '../lib/rezoomex-client.js';
+import { TOOL_OUTPUTS, renderResult } from '../lib/tool-output.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// A task that stays running until release() is called, recording how many ran at once
+function createTasks(scheduler) {
+    const pending = [];
+    let running = 0;
+    const peaks = { overall: 0 };
+
+    const task = (label) => () => new Promise(resolve => {
+        running++;
+        peaks.overall = Math.max(peaks.overall, running);
+        pending.push(() => {
+            running--;
+            resolve(label);
+        });
+    });
+
+    const releaseAll = async () => {
+        while (pending.length > 0 || scheduler.active > 0) {
+            pending.splice(0).forEach(release => release());
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+
+    return { task, peaks, pending, releaseAll };
+}
+
+describe('RequestScheduler', () => {
+    it('queues work beyond the per-user limit and finishes all of it', async () => {
+        const scheduler = new RequestScheduler(logger, { globalLimit: 10, userLimit: 2 });
+        const { task, peaks, releaseAll } = createTasks(scheduler);
+
+        const results = Promise.all([1, 2, 3, 4, 5].map(n => scheduler.schedule('alice', task(n))));
+        assert.equal(scheduler.getStats().queued, 3);
+        await releaseAll();
+
+        assert.deepEqual(await results, [1, 2, 3, 4, 5]);
+        assert.equal(peaks.overall, 2);
+    });
+
+    it('lets other users start while one user is at their limit', () => {
+        const scheduler = new RequestScheduler(logger, { globalLimit: 10, userLimit: 1 });
+        const { task, pending } = createTasks(scheduler);
+
+        scheduler.schedule('alice', task('a1'));
+        scheduler.schedule('alice', task('a2'));
+        scheduler.schedule('bob', task('b1'));
+
+        assert.equal(pending.length, 2);
+        assert.deepEqual(scheduler.queue.map(entry => entry.userKey), ['alice']);
+    });
+
+    it('caps concurrency across users at the global limit', () => {
+        const scheduler = new RequestScheduler(logger, { globalLimit: 2, userLimit: 2 });
+        const { task, pending } = createTasks(scheduler);
+
+        ['alice', 'bob', 'carol'].forEach(user => scheduler.schedule(user, task(user)));
+
+        assert.equal(pending.length, 2);
+        assert.equal(scheduler.getStats().queued, 1);
+    });
+
+    it('passes task failures to the caller and keeps draining', async () => {
+        const scheduler = new RequestScheduler(logger, { globalLimit: 1, userLimit: 1 });
+
+        const failing = scheduler.schedule('alice', async () => { throw new Error('boom'); });
+        const next = scheduler.schedule('alice', async () => 'ok');
+
+        await assert.rejects(failing, /boom/);
+        assert.equal(await next, 'ok');
+        assert.equal(scheduler.getStats().failed, 1);
+    });
+});
+
+describe('RezoomexApiClient story details', () => {
+    it('returns the story with the collections that loaded and names the ones that failed', async () => {
+        const client = new RezoomexApiClient('test-token', logger, {
+            requestScheduler: new RequestScheduler(logger, { globalLimit: 2, userLimit: 1 })
+        });
+        client.fetchStoryChildren = async (projectId, storyId, collection) => {
+            if (collection === 'test_data') {
+                throw new Error('gateway timeout');
+            }
+            return [{ resourceId: `${collection}-1` }];
+        };
+
+        const story = await client.loadStoryDetails('P1', { id: 'story-a', title: 'Sign up' });
+
+        assert.deepEqual(story.acceptanceCriteria, [{ resourceId: 'acceptance_criteria-1' }]);
+        assert.deepEqual(story.testCases, [{ resourceId: 'test_case-1' }]);
+        assert.deepEqual(story.testData, []);
+        assert.deepEqual(story.failedCollections, ['test_data']);
+        assert.match(renderResult(TOOL_OUTPUTS.storyDetails, { story }), /Could not load: test_data \(shown as empty\)/);
+    });
+});
@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitOpenError, RetryPolicy, isTransientFailure, parseRetryAfter } from '../lib/resilience.js';
+import { RezoomexApiClient } from '../lib/rezoomex-client.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const gatewayError = (config, status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    isAxiosError: true,
+    config,
+    response: { status, statusText: String(status), headers, data: {}, config }
+});
+
+// A breaker that opens on the first failure and is ready for a trial straight away
+function createOpenBreaker() {
+    const breaker = new CircuitBreaker('test-upstream', logger, { failureThreshold: 1, resetTimeout: 0 });
+    breaker.recordFailure(new Error('gateway down'));
+    return breaker;
+}
+
+describe('RetryPolicy', () => {
+    const policy = new RetryPolicy({ maxRetries: 2, baseDelay: 100, maxDelay: 1000, maxRetryAfter: 5000 });
+
+    it('retries transient failures of idempotent requests only', () => {
+        assert.notEqual(policy.getRetryDelay(gatewayError({ method: 'get' }, 503), 0), null);
+        assert.equal(policy.getRetryDelay(gatewayError({ method: 'post' }, 503), 0), null);
+        assert.equal(policy.getRetryDelay(gatewayError({ method: 'get' }, 400), 0), null);
+        assert.equal(policy.getRetryDelay(gatewayError({ method: 'get' }, 503), 2), null);
+    });
+
+    it('honours Retry-After on 429 for any method, unless it is too long', () => {
+        assert.equal(policy.getRetryDelay(gatewayError({ method: 'post' }, 429, { 'retry-after': '2' }), 0), 2000);
+        assert.equal(policy.getRetryDelay(gatewayError({ method: 'post' }, 429, { 'retry-after': '60' }), 0), null);
+    });
+
+    it('keeps backoff within the capped exponential ceiling', () => {
+        for (let attempt = 0; attempt < 6; attempt++) {
+            const delay = policy.getBackoff(attempt);
+            assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+        }
+    });
+
+    it('reads Retry-After as seconds or an HTTP date', () => {
+        assert.equal(parseRetryAfter('3'), 3000);
+        assert.ok(parseRetryAfter(new Date(Date.now() + 10000).toUTCString()) > 8000);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+
+    it('treats cancelled requests as not transient', () => {
+        assert.equal(isTransientFailure({ isAxiosError: true, code: 'ERR_CANCELED' }), false);
+        assert.equal(isTransientFailure({ isAxiosError: true, code: 'ECONNRESET' }), true);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    it('opens after the failure threshold and fails fast', () => {
+        const breaker = new CircuitBreaker('test-upstream', logger, { failureThreshold: 2, resetTimeout: 60000 });
+
+        breaker.recordFailure(new Error('gateway down'));
+        assert.equal(breaker.state, 'closed');
+        breaker.recordFailure(new Error('gateway down'));
+        assert.equal(breaker.state, 'open');
+        assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+    });
+
+    it('lets one trial through when half-open and closes on success', () => {
+        const breaker = createOpenBreaker();
+
+        assert.equal(breaker.beforeRequest(), true);
+        assert.equal(breaker.state, 'half-open');
+        assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+
+        breaker.recordSuccess();
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.beforeRequest(), false);
+    });
+
+    it('re-opens when the trial fails', () => {
+        const breaker = new CircuitBreaker('test-upstream', logger, { failureThreshold: 1, resetTimeout: 60000 });
+        breaker.recordFailure(new Error('gateway down'));
+        breaker.resetTimeout = 0;
+
+        breaker.beforeRequest();
+        breaker.resetTimeout = 60000;
+        breaker.recordFailure(new Error('still down'));
+        assert.equal(breaker.state, 'open');
+        assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+    });
+
+    it('sends another trial once a trial is released', () => {
+        const breaker = createOpenBreaker();
+
+        breaker.beforeRequest();
+        breaker.releaseTrial();
+        assert.equal(breaker.state, 'half-open');
+        assert.equal(breaker.beforeRequest(), true);
+    });
+});
+
+describe('RezoomexApiClient retries and circuit breaking', () => {
+    function createClient(breaker, responses) {
+        const client = new RezoomexApiClient('test-token', logger, {
+            circuitBreaker: breaker,
+            retryPolicy: new RetryPolicy({ maxRetries: 2, baseDelay: 0, maxDelay: 0 })
+        });
+        client.calls = 0;
+        client.api.defaults.adapter = async (config) => {
+            const status = responses[Math.min(client.calls++, responses.length - 1)];
+            if (status >= 400) {
+                throw gatewayError(config, status);
+            }
+            return { data: {}, status, statusText: 'OK', headers: {}, config };
+        };
+        return client;
+    }
+
+    it('retries a GET through a brief gateway outage', async () => {
+        const breaker = new CircuitBreaker('test-upstream', logger, { failureThreshold: 5 });
+        const client = createClient(breaker, [503, 502, 200]);
+
+        const response = await client.api.get('/v1/users/me');
+
+        assert.equal(response.status, 200);
+        assert.equal(client.calls, 3);
+        assert.equal(breaker.state, 'closed');
+    });
+
+    it('does not repeat a POST the gateway may have applied', async () => {
+        const client = createClient(new CircuitBreaker('test-upstream', logger), [504, 200]);
+
+        await assert.rejects(client.makeRequest('/v1/requirements/P1/P1-P-001/user_story', 'POST', {}), /status code 504/);
+        assert.equal(client.calls, 1);
+    });
+
+    it('stops calling the gateway once the breaker opens', async () => {
+        const breaker = new CircuitBreaker('test-upstream', logger, { failureThreshold: 3, resetTimeout: 60000 });
+        const client = createClient(breaker, [503]);
+
+        await assert.rejects(client.api.get('/v1/users/me'), /status code 503/);
+        await assert.rejects(client.api.get('/v1/users/me'), CircuitOpenError);
+        assert.equal(client.calls, 3);
+    });
+
+    it('does not leave the breaker stuck after a cancelled trial request', async () => {
+        const breaker = createOpenBreaker();
+        const client = createClient(breaker, [200]);
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(
+            client.api.request({ method: 'post', url: '/v1/trial', signal: controller.signal }),
+            error => error.code === 'ERR_CANCELED'
+        );
+
+        const response = await client.api.post('/v1/next');
+        assert.equal(response.status, 200);
+        assert.equal(breaker.state, 'closed');
+    });
+
+    it('closes the breaker when the trial gets a non-transient error response', async () => {
+        const breaker = createOpenBreaker();
+        const client = createClient(breaker, [404]);
+
+        await assert.rejects(client.api.post('/v1/trial'), /status code 404/);
+        assert.equal(breaker.state, 'closed');
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache } from '../lib/response-cache.js';
+import { RezoomexApiClient } from '../lib/rezoomex-client.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const STORIES = '/v1/requirements/P1/P1-P-001/user_story';
+
+describe('ResponseCache', () => {
+    it('sorts endpoints into TTL families and skips the rest', () => {
+        const cache = new ResponseCache(logger);
+
+        assert.equal(cache.getFamily('/v1/requirements/projects/P1'), 'projects');
+        assert.equal(cache.getFamily('/v1/requirements/P1/P1/elevator_pitch'), 'projects');
+        assert.equal(cache.getFamily('/v1/requirements/P1/P1/persona'), 'personas');
+        assert.equal(cache.getFamily(`${STORIES}?pageSize=100`), 'stories');
+        assert.equal(cache.getFamily('/v1/requirements/P1/story-a/test_case'), 'children');
+        assert.equal(cache.getFamily('/v1/users/me'), null);
+    });
+
+    it('keeps each user\'s entries apart and expires them per family', () => {
+        const cache = new ResponseCache(logger, { ttls: { stories: 60000, personas: 0 } });
+
+        cache.set('alice', STORIES, { pageSize: 100 }, { data: ['a'] });
+        cache.set('alice', '/v1/requirements/P1/P1/persona', undefined, { data: ['p'] });
+
+        assert.deepEqual(cache.get('alice', STORIES, { pageSize: 100 }), { data: ['a'] });
+        assert.equal(cache.get('alice', STORIES, { pageSize: 50 }), undefined);
+        assert.equal(cache.get('bob', STORIES, { pageSize: 100 }), undefined);
+        assert.equal(cache.get('alice', '/v1/requirements/P1/P1/persona'), undefined);
+
+        cache.entries.values().next().value.expiresAt = Date.now() - 1;
+        assert.equal(cache.get('alice', STORIES, { pageSize: 100 }), undefined);
+    });
+
+    it('drops a story\'s list and children when the story is written', () => {
+        const cache = new ResponseCache(logger);
+        cache.set('alice', STORIES, undefined, { data: [] });
+        cache.set('alice', '/v1/requirements/P1/story-a/acceptance_criteria', undefined, { data: [] });
+        cache.set('alice', '/v1/requirements/P1/story-b/acceptance_criteria', undefined, { data: [] });
+        cache.set('bob', STORIES, undefined, { data: [] });
+
+        assert.equal(cache.invalidateForWrite('alice', `${STORIES}/story-a`), 2);
+        assert.notEqual(cache.get('alice', '/v1/requirements/P1/story-b/acceptance_criteria'), undefined);
+        assert.notEqual(cache.get('bob', STORIES), undefined);
+    });
+
+    it('evicts the oldest entries beyond the size limit', () => {
+        const cache = new ResponseCache(logger, { maxEntries: 2 });
+        ['s1', 's2', 's3'].forEach(id => cache.set('alice', `${STORIES}/${id}`, undefined, { id }));
+
+        assert.equal(cache.get('alice', `${STORIES}/s1`), undefined);
+        assert.deepEqual(cache.get('alice', `${STORIES}/s3`), { id: 's3' });
+        assert.equal(cache.getStats().evictions, 1);
+    });
+});
+
+describe('RezoomexApiClient response caching', () => {
+    function createClient() {
+        const calls = [];
+        const client = new RezoomexApiClient('test-token', logger, { responseCache: new ResponseCache(logger) });
+        client.userInfo = { id: 'alice' };
+        client.api.defaults.adapter = async (config) => {
+            calls.push(`${config.method.toUpperCase()} ${config.url}`);
+            return { data: { data: [] }, status: 200, statusText: 'OK', headers: {}, config };
+        };
+        return { client, calls };
+    }
+
+    it('answers a repeated GET from the cache until a write invalidates it', async () => {
+        const { client, calls } = createClient();
+
+        await client.api.get(STORIES);
+        const cached = await client.api.get(STORIES);
+        await client.makeRequest(`${STORIES}/story-a`, 'PUT', { properties: {} });
+        await client.api.get(STORIES);
+
+        assert.deepEqual(cached.data, { data: [] });
+        assert.deepEqual(calls, [`GET ${STORIES}`, `PUT ${STORIES}/story-a`, `GET ${STORIES}`]);
+    });
+});
@@ -0,0 +1,488 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RezoomexApiClient, JOURNEY_ORDER_FIELD } from '../lib/rezoomex-client.js';
+import { StoryRegistry } from '../lib/story-registry.js';
+import { MCPTools } from '../lib/mcp-tools.js';
+import { renderElevatorPitch } from '../lib/renderer.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// An in-memory stand-in for the Rezoomex gateway: collections keyed by path, answering
+// GET/POST on the collection and GET/PUT/DELETE on `<collection>/<resourceId>`
+function createGateway(collections = {}) {
+    const store = new Map(Object.entries(collections).map(([path, items]) => [path, items.map(item => ({ ...item }))]));
+    const requests = [];
+    let created = 0;
+
+    const respond = (config, status, data) => {
+        if (status >= 400) {
+            return Promise.reject(Object.assign(new Error(`Request failed with status code ${status}`), {
+                isAxiosError: true,
+                config,
+                response: { status, statusText: String(status), headers: {}, data, config }
+            }));
+        }
+        return Promise.resolve({ data, status, statusText: 'OK', headers: {}, config });
+    };
+
+    const adapter = async (config) => {
+        const method = config.method.toUpperCase();
+        const data = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+        requests.push({ method, url: config.url, params: config.params, data });
+
+        if (store.has(config.url)) {
+            const items = store.get(config.url);
+            if (method === 'GET') {
+                const start = config.params?.startOffset ?? 0;
+                const end = config.params?.pageSize === undefined ? undefined : start + config.params.pageSize;
+                return respond(config, 200, { data: items.slice(start, end) });
+            }
+            if (method === 'POST') {
+                created += 1;
+                const item = { ...data, resourceId: `new-${created}`, createdAt: new Date(Date.UTC(2030, 0, created)).toISOString() };
+                items.push(item);
+                return respond(config, 201, { data: item });
+            }
+        }
+
+        const slash = config.url.lastIndexOf('/');
+        const items = store.get(config.url.slice(0, slash));
+        const index = items ? items.findIndex(item => item.resourceId === config.url.slice(slash + 1)) : -1;
+        if (index === -1) return respond(config, 404, { message: 'Not found' });
+
+        if (method === 'GET') return respond(config, 200, { data: items[index] });
+        if (method === 'PUT') {
+            items[index] = { ...data, resourceId: items[index].resourceId, createdAt: items[index].createdAt };
+            return respond(config, 200, { data: items[index] });
+        }
+        if (method === 'DELETE') {
+            items.splice(index, 1);
+            return respond(config, 204, '');
+        }
+        return respond(config, 405, { message: 'Method not allowed' });
+    };
+
+    return { store, requests, adapter };
+}
+
+// Every client numbers stories in its own registry directory, so tests never share numbering
+const registryRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rezoomex-client-test-'));
+let registryCount = 0;
+after(() => fs.rmSync(registryRoot, { recursive: true, force: true }));
+
+function createClient(collections) {
+    const gateway = createGateway(collections);
+    const storyRegistry = new StoryRegistry(logger, { directory: path.join(registryRoot, String(registryCount++)) });
+    const client = new RezoomexApiClient('test-token', logger, { storyRegistry });
+    client.api.defaults.adapter = gateway.adapter;
+    client.authenticated = true;
+    return { client, gateway };
+}
+
+const STORIES = '/v1/requirements/P1/P1-P-001/user_story';
+
+const storyItem = (resourceId, goal, day, extra = {}) => ({
+    resourceId,
+    createdAt: new Date(Date.UTC(2025, 0, day)).toISOString(),
+    properties: { goal, description: `${goal} description`, ...extra }
+});
+
+describe('RezoomexApiClient user story writes', () => {
+    it('creates a story and returns it with its number in the new ordering', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [storyItem('a', 'Sign up', 1)] });
+
+        const result = await client.createUserStory('P1', 'P1-P-001', { title: 'Log in', description: 'With email' });
+
+        assert.equal(result.action, 'created');
+        assert.equal(result.story.number, 2);
+        assert.equal(result.story.title, 'Log in');
+        assert.equal(result.total, 2);
+        const post = gateway.requests.find(request => request.method === 'POST');
+        assert.deepEqual(post.data.properties, { goal: 'Log in', description: 'With email' });
+    });
+
+    it('refuses to create a story without a title', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [] });
+
+        await assert.rejects(client.createUserStory('P1', 'P1-P-001', { description: 'No goal' }), /A story title is required/);
+        assert.equal(gateway.requests.length, 0);
+    });
+
+    it('keeps stored properties the update did not mention', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [storyItem('a', 'Sign up', 1, { priority: 'high' })] });
+
+        const result = await client.updateUserStory('P1', 'P1-P-001', 'a', { title: 'Sign up with email' });
+
+        assert.equal(result.story.title, 'Sign up with email');
+        assert.deepEqual(gateway.store.get(STORIES)[0].properties, {
+            goal: 'Sign up with email',
+            description: 'Sign up description',
+            priority: 'high'
+        });
+    });
+
+    it('deletes a story and returns the remaining list with their numbers kept', async () => {
+        const { client } = createClient({
+            [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2), storyItem('c', 'Log out', 3)]
+        });
+        await client.getUserStories('P1', 'P1-P-001');
+
+        const result = await client.deleteUserStory('P1', 'P1-P-001', 'a');
+
+        assert.equal(result.story.title, 'Sign up');
+        assert.equal(result.story.number, 1);
+        assert.deepEqual(result.stories.map(story => [story.number, story.title]), [[2, 'Log in'], [3, 'Log out']]);
+    });
+});
+
+describe('MCPTools user story tools', () => {
+    const tools = new MCPTools();
+
+    it('resolves a story number before updating', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2)] });
+
+        await tools.callTool('update_user_story', { project_id: 'P1', persona_id: 'P1-P-001', story_number: 2, description: 'Changed' }, client);
+
+        const put = gateway.requests.find(request => request.method === 'PUT');
+        assert.equal(put.url, `${STORIES}/b`);
+        assert.equal(put.data.properties.description, 'Changed');
+    });
+
+    it('only deletes when the call is confirmed', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [storyItem('a', 'Sign up', 1)] });
+        const args = { project_id: 'P1', persona_id: 'P1-P-001', story_number: 1 };
+
+        await assert.rejects(tools.callTool('delete_user_story', args, client), /confirm/);
+        assert.equal(gateway.store.get(STORIES).length, 1);
+
+        await tools.callTool('delete_user_story', { ...args, confirm: true }, client);
+        assert.equal(gateway.store.get(STORIES).length, 0);
+    });
+});
+
+describe('MCPTools story child tools', () => {
+    const tools = new MCPTools();
+    const story = { project_id: 'P1', persona_id: 'P1-P-001', story_number: 2 };
+    const childItem = (resourceId, field, value, day) => ({
+        resourceId,
+        createdAt: new Date(Date.UTC(2025, 1, day)).toISOString(),
+        properties: { [field]: value }
+    });
+
+    it('adds an acceptance criterion to the story picked by number', async () => {
+        const { client, gateway } = createClient({
+            [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2)],
+            '/v1/requirements/P1/b/acceptance_criteria': [childItem('ac-1', 'title', 'Shows an error', 1)]
+        });
+
+        const result = await tools.callTool('add_acceptance_criterion', { ...story, title: 'Remembers the user' }, client);
+
+        assert.equal(result.action, 'created');
+        assert.equal(result.item.number, 2);
+        assert.equal(result.item.title, 'Remembers the user');
+        assert.equal(gateway.store.get('/v1/requirements/P1/b/acceptance_criteria').length, 2);
+    });
+
+    it('updates test data by item number using its name field', async () => {
+        const { client, gateway } = createClient({
+            [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2)],
+            '/v1/requirements/P1/b/test_data': [childItem('td-2', 'name', 'Second', 2), childItem('td-1', 'name', 'First', 1)]
+        });
+
+        await tools.callTool('update_test_data', { ...story, item_number: 2, name: 'Locked account' }, client);
+
+        const put = gateway.requests.find(request => request.method === 'PUT');
+        assert.equal(put.url, '/v1/requirements/P1/b/test_data/td-2');
+        assert.equal(put.data.properties.name, 'Locked account');
+    });
+
+    it('reports the item count when the number is out of range', async () => {
+        const { client } = createClient({
+            [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2)],
+            '/v1/requirements/P1/b/test_case': [childItem('tc-1', 'title', 'Happy path', 1)]
+        });
+
+        await assert.rejects(
+            tools.callTool('update_test_case', { ...story, item_number: 3, title: 'x' }, client),
+            /Could not find test case #3 on story b \(it has 1\)/
+        );
+    });
+
+    it('only removes a test case when the call is confirmed', async () => {
+        const path = '/v1/requirements/P1/b/test_case';
+        const { client, gateway } = createClient({
+            [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2)],
+            [path]: [childItem('tc-1', 'title', 'Happy path', 1)]
+        });
+
+        await assert.rejects(tools.callTool('remove_test_case', { ...story, item_number: 1 }, client), /confirm/);
+        const result = await tools.callTool('remove_test_case', { ...story, item_number: 1, confirm: true }, client);
+
+        assert.equal(result.item.title, 'Happy path');
+        assert.equal(gateway.store.get(path).length, 0);
+    });
+});
+
+describe('MCPTools persona tools', () => {
+    const tools = new MCPTools();
+    const PERSONAS = '/v1/requirements/P1/P1/persona';
+    const recruiter = {
+        resourceId: 'P1-P-001',
+        properties: { name: 'Rita Recruiter', role: 'Recruiter', age: 34, motivations: 'Fill roles fast' }
+    };
+
+    it('creates a persona from the named fields', async () => {
+        const { client, gateway } = createClient({ [PERSONAS]: [] });
+
+        const result = await tools.callTool('create_persona', { project_id: 'P1', name: 'Carl Candidate', role: 'Candidate' }, client);
+
+        assert.equal(result.action, 'created');
+        assert.equal(result.personaId, 'new-1');
+        assert.deepEqual(gateway.store.get(PERSONAS)[0].properties, { name: 'Carl Candidate', role: 'Candidate' });
+    });
+
+    it('updates a persona found by name and leaves the other fields alone', async () => {
+        const { client, gateway } = createClient({ [PERSONAS]: [recruiter] });
+
+        const result = await tools.callTool('update_persona', { project_id: 'P1', persona_id: 'rita recruiter', location: 'Pune' }, client);
+
+        assert.equal(result.personaId, 'P1-P-001');
+        assert.deepEqual(gateway.store.get(PERSONAS)[0].properties, { ...recruiter.properties, location: 'Pune' });
+    });
+});
+
+describe('MCPTools elevator pitch and vision tools', () => {
+    const tools = new MCPTools();
+    const PITCH = '/v1/requirements/P1/P1/elevator_pitch';
+    const VISION = '/v1/requirements/P1/P1/vision_statement';
+    const pitch = {
+        project_id: 'P1',
+        for: 'recruiters',
+        who: 'drown in CVs',
+        the: 'Rezoomex',
+        is_a: 'screening tool',
+        that: 'shortlists candidates',
+        unlike: 'job boards',
+        our_product: 'explains every match'
+    };
+
+    it('previews a pitch on dry run without writing it', async () => {
+        const { client, gateway } = createClient({ [PITCH]: [] });
+
+        const result = await tools.callTool('update_elevator_pitch', { ...pitch, dry_run: true }, client);
+
+        assert.equal(result.dryRun, true);
+        assert.equal(
+            renderElevatorPitch(result.pitch),
+            'For recruiters who drown in CVs, Rezoomex is a screening tool that shortlists candidates. Unlike job boards, our product explains every match'
+        );
+        assert.equal(gateway.requests.length, 0);
+    });
+
+    it('names the fields a blank pitch is missing', async () => {
+        const { client } = createClient({ [PITCH]: [] });
+
+        await assert.rejects(
+            client.updateElevatorPitch('P1', { FOR: 'recruiters', WHO: ' ', THE: 'Rezoomex' }),
+            /Missing fields: WHO, IS_A, THAT, UNLIKE, OUR_PRODUCT/
+        );
+    });
+
+    it('updates the existing vision statement in place', async () => {
+        const { client, gateway } = createClient({ [VISION]: [{ resourceId: 'vision-1', properties: { content: 'Old vision' } }] });
+
+        const result = await tools.callTool('update_vision_statement', { project_id: 'P1', content: ' Hire on evidence ' }, client);
+
+        assert.equal(result.action, 'updated');
+        assert.equal(gateway.store.get(VISION).length, 1);
+        assert.deepEqual(gateway.store.get(VISION)[0].properties, { content: 'Hire on evidence' });
+    });
+});
+
+describe('RezoomexApiClient journey ordering', () => {
+    const EVENTS = '/v1/requirements/P1/P1-P-001/event';
+    const event = (resourceId, order) => ({
+        resourceId,
+        properties: { name: resourceId, ...(order !== undefined && { [JOURNEY_ORDER_FIELD]: order }) }
+    });
+    const journeyOrder = (gateway) => new RezoomexApiClient('unused', logger).sortJourneyEvents(gateway.store.get(EVENTS))
+        .map(item => item.resourceId);
+
+    it('sorts by the order property, keeping unordered events after the ordered ones', () => {
+        const client = new RezoomexApiClient('test-token', logger);
+        const sorted = client.sortJourneyEvents([event('c'), event('b', 2), event('a', 1), event('d')]);
+        assert.deepEqual(sorted.map(item => item.resourceId), ['a', 'b', 'c', 'd']);
+    });
+
+    it('inserts a new event at the requested position', async () => {
+        const { client, gateway } = createClient({ [EVENTS]: [event('a', 1), event('b', 2)] });
+
+        const result = await client.addJourneyEvent('P1', 'P1-P-001', { name: 'Sign up' }, 1);
+
+        assert.equal(result.event.number, 1);
+        assert.deepEqual(journeyOrder(gateway), ['new-1', 'a', 'b']);
+    });
+
+    it('moves an event and renumbers the rest of the journey', async () => {
+        const { client, gateway } = createClient({ [EVENTS]: [event('a', 1), event('b', 2), event('c', 3)] });
+
+        await client.moveJourneyEvent('P1', 'P1-P-001', 'c', 1);
+
+        assert.deepEqual(journeyOrder(gateway), ['c', 'a', 'b']);
+        assert.deepEqual(gateway.store.get(EVENTS).map(item => item.properties[JOURNEY_ORDER_FIELD]), [2, 3, 1]);
+    });
+
+    it('closes the gap when an event is removed', async () => {
+        const { client, gateway } = createClient({ [EVENTS]: [event('a', 1), event('b', 2), event('c', 3)] });
+
+        await new MCPTools().callTool('remove_journey_event', { project_id: 'P1', persona_id: 'P1-P-001', event_number: 2, confirm: true }, client);
+
+        assert.deepEqual(gateway.store.get(EVENTS).map(item => [item.resourceId, item.properties[JOURNEY_ORDER_FIELD]]), [['a', 1], ['c', 2]]);
+    });
+
+    it('refuses an add position beyond the end of the journey without writing anything', async () => {
+        const { client, gateway } = createClient({ [EVENTS]: [event('a', 1), event('b', 2)] });
+
+        await assert.rejects(client.addJourneyEvent('P1', 'P1-P-001', { name: 'Sign up' }, 4), /Position must be between 1 and 3/);
+        assert.deepEqual(gateway.requests.filter(request => request.method !== 'GET'), []);
+    });
+
+    it('refuses a move beyond the end of the journey', async () => {
+        const { client, gateway } = createClient({ [EVENTS]: [event('a', 1), event('b', 2)] });
+
+        await assert.rejects(client.moveJourneyEvent('P1', 'P1-P-001', 'a', 3), /Position must be between 1 and 2/);
+        assert.deepEqual(gateway.requests.filter(request => request.method !== 'GET'), []);
+    });
+
+    it('numbers paged events by journey position so a page-2 number can be reordered', async () => {
+        const { client, gateway } = createClient({ [EVENTS]: [event('e', 5), event('c', 3), event('a', 1), event('d', 4), event('b', 2)] });
+        const tools = new MCPTools();
+        const args = { project_id: 'P1', persona_id: 'P1-P-001', page_size: 2 };
+
+        const pages = [];
+        let cursor;
+        do {
+            const page = tools.formatToolResult('get_user_journey', await tools.callTool('get_user_journey', { ...args, ...(cursor && { cursor }) }, client));
+            pages.push(page.structuredContent.events.map(item => [item.number, item.id]));
+            assert.equal(page.structuredContent.total, 5);
+            cursor = page.structuredContent.nextCursor;
+        } while (cursor);
+
+        assert.deepEqual(pages, [
+            [[1, 'a'], [2, 'b']],
+            [[3, 'c'], [4, 'd']],
+            [[5, 'e']]
+        ]);
+
+        await tools.callTool('reorder_journey_event', { project_id: 'P1', persona_id: 'P1-P-001', event_number: pages[1][1][0], new_position: 1 }, client);
+        assert.deepEqual(journeyOrder(gateway), ['d', 'a', 'b', 'c', 'e']);
+    });
+});
+
+describe('MCPTools jobs to be done', () => {
+    it('adds a job and returns the refreshed list', async () => {
+        const JOBS = '/v1/requirements/P1/P1-P-001/jtbd';
+        const { client, gateway } = createClient({ [JOBS]: [] });
+
+        const tools = new MCPTools();
+        const result = await tools.callTool('add_job_to_be_done', {
+            project_id: 'P1',
+            persona_id: 'P1-P-001',
+            job: 'Shortlist candidates quickly',
+            context: 'Monday mornings'
+        }, client);
+
+        assert.equal(result.action, 'created');
+        assert.deepEqual(gateway.store.get(JOBS)[0].properties, { jtbdItem: 'Shortlist candidates quickly', context: 'Monday mornings' });
+        assert.match(tools.formatToolResult('add_job_to_be_done', result).content[0].text, /Shortlist candidates quickly/);
+    });
+});
+
+describe('RezoomexApiClient list paging', () => {
+    const manyStories = (count) => Array.from({ length: count }, (_, index) => storyItem(`s${index + 1}`, `Story ${index + 1}`, index + 1));
+
+    it('walks every upstream page for a full listing', async () => {
+        const { client, gateway } = createClient({ [STORIES]: manyStories(150) });
+
+        const result = await client.getUserStories('P1', 'P1-P-001');
+
+        assert.equal(result.total, 150);
+        assert.equal(result.hasMore, false);
+        assert.equal(result.stories[149].number, 150);
+        assert.deepEqual(gateway.requests.map(request => request.params), [
+            { pageSize: 100, startOffset: 0 },
+            { pageSize: 100, startOffset: 100 }
+        ]);
+    });
+
+    it('keeps story numbers stable across incremental pages', async () => {
+        const { client } = createClient({ [STORIES]: manyStories(5) });
+        const tools = new MCPTools();
+        const args = { project_id: 'P1', persona_id: 'P1-P-001', page_size: 2 };
+
+        const pages = [];
+        let cursor;
+        do {
+            const page = await tools.callTool('list_user_stories', { ...args, ...(cursor && { cursor }) }, client);
+            pages.push(page.stories.map(story => [story.number, story.id]));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        assert.deepEqual(pages, [
+            [[1, 's1'], [2, 's2']],
+            [[3, 's3'], [4, 's4']],
+            [[5, 's5']]
+        ]);
+    });
+
+    it('stops at the item limit and offers a cursor for the rest', async () => {
+        const { client } = createClient({ [STORIES]: manyStories(5) });
+
+        const result = await client.getUserStories('P1', 'P1-P-001', { maxItems: 3 });
+
+        assert.equal(result.stories.length, 3);
+        assert.equal(result.hasMore, true);
+        assert.equal(client.decodeCursor(result.nextCursor), 3);
+    });
+
+    it('rejects a cursor it did not issue', async () => {
+        const { client } = createClient({ [STORIES]: manyStories(2) });
+
+        await assert.rejects(client.getUserStories('P1', 'P1-P-001', { cursor: 'not-a-cursor' }), /Invalid cursor/);
+    });
+});
+
+describe('RezoomexApiClient story numbers', () => {
+    it('keeps numbers when earlier stories are deleted and flags the deleted number', async () => {
+        const { client } = createClient({
+            [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2), storyItem('c', 'Log out', 3)]
+        });
+        await client.getUserStories('P1', 'P1-P-001');
+        await client.deleteUserStory('P1', 'P1-P-001', 'b');
+
+        const story = await client.getSingleStoryDetails('P1', 'P1-P-001', 3);
+        assert.equal(story.story.title, 'Log out');
+        await assert.rejects(client.getSingleStoryDetails('P1', 'P1-P-001', 2), /Story #2 \("Log in"\) no longer exists/);
+    });
+
+    it('retires the number of a story deleted outside this server', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [storyItem('a', 'Sign up', 1), storyItem('b', 'Log in', 2)] });
+        await client.getUserStories('P1', 'P1-P-001');
+        gateway.store.get(STORIES).splice(0, 1);
+
+        await assert.rejects(client.getSingleStoryDetails('P1', 'P1-P-001', 1), /Story #1 \("Sign up"\) no longer exists/);
+        const result = await client.getUserStories('P1', 'P1-P-001');
+        assert.deepEqual(result.stories.map(item => item.number), [2]);
+    });
+
+    it('numbers a story created since the last listing', async () => {
+        const { client, gateway } = createClient({ [STORIES]: [storyItem('a', 'Sign up', 1)] });
+        await client.getUserStories('P1', 'P1-P-001');
+        gateway.store.get(STORIES).push(storyItem('b', 'Log in', 2));
+
+        assert.equal(await client.resolveStoryId('P1', 'P1-P-001', 2), 'b');
+    });
+});
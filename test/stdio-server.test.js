@@ -0,0 +1,119 @@
+// The stdio entry point, started through the MCP SDK client against a local stand-in for the
+// Rezoomex gateway that accepts a single bearer token.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-server-stdio.js', import.meta.url));
+
+function startGatewayStandIn() {
+    const server = http.createServer((req, res) => {
+        const send = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+
+        if (req.headers.authorization !== 'Bearer good-token') {
+            return send(401, { detail: 'Invalid token' });
+        }
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/v1/users/me') {
+            return send(200, { id: 'user-1', email: 'user@example.com' });
+        }
+        if (url.pathname === '/v1/requirements/P1/P1-P-001/user_story') {
+            return send(200, { data: [{ resourceId: 'story-a', createdAt: '2025-01-01T00:00:00Z', properties: { goal: 'Sign up' } }] });
+        }
+        send(404, { detail: 'Not found' });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('stdio server', () => {
+    let gateway;
+    let home;
+
+    before(async () => {
+        gateway = await startGatewayStandIn();
+        home = await fs.mkdtemp(path.join(os.tmpdir(), 'stdio-server-test-'));
+    });
+
+    after(async () => {
+        await new Promise(resolve => gateway.close(resolve));
+        await fs.rm(home, { recursive: true, force: true });
+    });
+
+    async function connect(env) {
+        const transport = new StdioClientTransport({
+            command: process.execPath,
+            args: [SERVER_PATH],
+            cwd: home,
+            stderr: 'ignore',
+            env: {
+                HOME: home,
+                REZOOMEX_BASE_URL: `http://127.0.0.1:${gateway.address().port}`,
+                STORY_REGISTRY_DIR: path.join(home, 'story-registry'),
+                REZOOMEX_TOKEN: '',
+                ...env
+            }
+        });
+        const client = new Client({ name: 'stdio-test', version: '1.0.0' });
+        await client.connect(transport);
+        return client;
+    }
+
+    it('serves tools with the token from REZOOMEX_TOKEN', async () => {
+        const client = await connect({ REZOOMEX_TOKEN: 'good-token' });
+        try {
+            const { tools } = await client.listTools();
+            assert.ok(tools.some(tool => tool.name === 'list_user_stories'));
+            assert.ok(!tools.some(tool => tool.name === 'authenticate'));
+
+            const result = await client.callTool({ name: 'list_user_stories', arguments: { project_id: 'P1', persona_id: 'P1-P-001' } });
+            assert.equal(result.structuredContent.stories[0].title, 'Sign up');
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('reads the token from the credential file', async () => {
+        const credentialsFile = path.join(home, 'credentials.json');
+        await fs.writeFile(credentialsFile, JSON.stringify({ access_token: 'Bearer good-token' }));
+
+        const client = await connect({ REZOOMEX_CREDENTIALS_FILE: credentialsFile });
+        try {
+            const result = await client.callTool({ name: 'list_user_stories', arguments: { project_id: 'P1', persona_id: 'P1-P-001' } });
+            assert.equal(result.structuredContent.total, 1);
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('explains a missing or rejected token on the first tool call', async () => {
+        const missing = await connect({ REZOOMEX_CREDENTIALS_FILE: path.join(home, 'absent.json') });
+        try {
+            await assert.rejects(
+                missing.callTool({ name: 'list_user_stories', arguments: { project_id: 'P1', persona_id: 'P1-P-001' } }),
+                /No Rezoomex token configured/
+            );
+        } finally {
+            await missing.close();
+        }
+
+        const rejected = await connect({ REZOOMEX_TOKEN: 'stale-token' });
+        try {
+            await assert.rejects(
+                rejected.callTool({ name: 'list_user_stories', arguments: { project_id: 'P1', persona_id: 'P1-P-001' } }),
+                /Rezoomex rejected the configured token/
+            );
+        } finally {
+            await rejected.close();
+        }
+    });
+});
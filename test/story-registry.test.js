@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StoryRegistry, StaleStoryNumberError } from '../lib/story-registry.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+describe('StoryRegistry', () => {
+    let directory;
+    let registry;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'story-registry-test-'));
+        registry = new StoryRegistry(logger, { directory });
+    });
+
+    after(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('numbers new stories in the order given and keeps existing numbers', async () => {
+        await registry.assign('P2', 'P2-P-001', [{ resourceId: 'a' }, { resourceId: 'b' }]);
+        const numbers = await registry.assign('P2', 'P2-P-001', [{ resourceId: 'c' }, { resourceId: 'a' }]);
+
+        assert.deepEqual(numbers, { a: 1, b: 2, c: 3 });
+    });
+
+    it('retires stories missing from a complete list', async () => {
+        const numbers = await registry.assign('P2', 'P2-P-001', [{ resourceId: 'a' }, { resourceId: 'c' }], { complete: true });
+
+        assert.deepEqual(numbers, { a: 1, c: 3 });
+        await assert.rejects(registry.lookup('P2', 'P2-P-001', 2), StaleStoryNumberError);
+    });
+
+    it('reports retired numbers as stale and never reuses them', async () => {
+        const first = (await registry.assign('P1', 'P1-P-001', [{ resourceId: 'story-a', properties: { goal: 'Sign up' } }]))['story-a'];
+        assert.equal(await registry.lookup('P1', 'P1-P-001', first), 'story-a');
+        await registry.assertNotRetired('P1', 'P1-P-001', first);
+
+        await registry.retire('P1', 'P1-P-001', 'story-a');
+
+        await assert.rejects(registry.lookup('P1', 'P1-P-001', first), /"Sign up"\) no longer exists/);
+        await assert.rejects(registry.assertNotRetired('P1', 'P1-P-001', first), StaleStoryNumberError);
+        const second = (await registry.assign('P1', 'P1-P-001', [{ resourceId: 'story-b', properties: { goal: 'Log in' } }]))['story-b'];
+        assert.notEqual(second, first);
+    });
+
+    it('returns null for numbers that were never handed out', async () => {
+        assert.equal(await registry.lookup('P1', 'P1-P-001', 999), null);
+        await registry.assertNotRetired('P1', 'P1-P-001', 999);
+    });
+
+    it('reloads numbers and retirements from disk', async () => {
+        const reloaded = new StoryRegistry(logger, { directory });
+
+        assert.equal(await reloaded.lookup('P2', 'P2-P-001', 3), 'c');
+        await assert.rejects(reloaded.lookup('P2', 'P2-P-001', 2), StaleStoryNumberError);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv from 'ajv';
+import { TOOL_OUTPUTS, shapeToolResult } from '../lib/tool-output.js';
+import { MCPTools } from '../lib/mcp-tools.js';
+
+const storyListResult = {
+    projectId: 'P1',
+    personaId: 'P1-P-001',
+    stories: [
+        { number: 1, id: 'story-a', title: 'Sign up', description: 'As a recruiter...', createdAt: '2025-01-01T00:00:00Z', rawData: { big: 'blob' } }
+    ],
+    total: 1,
+    nextCursor: null,
+    hasMore: false,
+    formatted: 'pre-rendered summary'
+};
+
+const ambiguousResult = {
+    success: false,
+    ambiguous: true,
+    kind: 'persona',
+    query: 'priya',
+    message: 'Did you mean Priya Sinha or Priya Shah?',
+    candidates: [
+        { id: 'P1-P-001', name: 'Priya Sinha', score: 0.7, matchedOn: 'name' },
+        { id: 'P1-P-002', name: 'Priya Shah', score: 0.68, matchedOn: 'name' }
+    ],
+    timestamp: '2025-01-01T00:00:00Z'
+};
+
+describe('shapeToolResult', () => {
+    it('trims the client result to the fields declared in the outputSchema', () => {
+        const { structuredContent, content } = shapeToolResult(TOOL_OUTPUTS.storyList, storyListResult);
+
+        assert.deepEqual(structuredContent.stories, [
+            { number: 1, id: 'story-a', title: 'Sign up', description: 'As a recruiter...', createdAt: '2025-01-01T00:00:00Z' }
+        ]);
+        assert.equal(structuredContent.formatted, undefined);
+        assert.match(content[0].text, /Sign up/);
+    });
+
+    it('keeps identifiers and titles at minimal and the untrimmed result at raw', () => {
+        const minimal = shapeToolResult(TOOL_OUTPUTS.storyList, storyListResult, { verbosity: 'minimal' }).structuredContent;
+        assert.deepEqual(minimal.stories, [{ number: 1, id: 'story-a', title: 'Sign up' }]);
+
+        const raw = shapeToolResult(TOOL_OUTPUTS.storyList, storyListResult, { verbosity: 'raw' }).structuredContent;
+        assert.deepEqual(raw.raw, storyListResult);
+        assert.equal(raw.stories[0].description, 'As a recruiter...');
+    });
+
+    it('returns an ambiguous name as an error carrying the candidates', () => {
+        const result = shapeToolResult(TOOL_OUTPUTS.storyList, ambiguousResult);
+
+        assert.equal(result.isError, true);
+        assert.deepEqual(result.structuredContent.candidates, [
+            { id: 'P1-P-001', name: 'Priya Sinha', score: 0.7, matchedOn: 'name' },
+            { id: 'P1-P-002', name: 'Priya Shah', score: 0.68, matchedOn: 'name' }
+        ]);
+        assert.equal(result.structuredContent.timestamp, undefined);
+        assert.match(result.content[0].text, /Priya Sinha or Priya Shah/);
+    });
+});
+
+describe('tool output schemas', () => {
+    const tools = new MCPTools();
+
+    it('declares a compiling outputSchema and a verbosity argument for every tool', () => {
+        const ajv = new Ajv({ strict: false });
+        for (const definition of tools.getToolDefinitions()) {
+            assert.equal(definition.outputSchema?.type, 'object', definition.name);
+            assert.doesNotThrow(() => ajv.compile(definition.outputSchema), definition.name);
+            assert.deepEqual(definition.inputSchema.properties.verbosity.enum, ['minimal', 'standard', 'raw'], definition.name);
+        }
+    });
+
+    it('shapes every verbosity of a tool result to match its outputSchema', () => {
+        const ajv = new Ajv({ strict: false });
+        const schema = tools.getToolDefinitions().find(definition => definition.name === 'list_user_stories').outputSchema;
+        const validate = ajv.compile(schema);
+
+        for (const verbosity of ['minimal', 'standard', 'raw']) {
+            const { structuredContent } = tools.formatToolResult('list_user_stories', storyListResult, { verbosity });
+            assert.ok(validate(structuredContent), `${verbosity}: ${ajv.errorsText(validate.errors)}`);
+        }
+    });
+
+    it('admits the ambiguous candidate list in every outputSchema', () => {
+        const ajv = new Ajv({ strict: false });
+        for (const definition of tools.getToolDefinitions()) {
+            const validate = ajv.compile(definition.outputSchema);
+            const { structuredContent } = tools.formatToolResult(definition.name, ambiguousResult);
+            assert.ok(validate(structuredContent), `${definition.name}: ${ajv.errorsText(validate.errors)}`);
+        }
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry, DuplicateToolError } from '../lib/tool-registry.js';
+import { TOOL_OUTPUTS } from '../lib/tool-output.js';
+import { MCPTools } from '../lib/mcp-tools.js';
+
+const tool = (overrides = {}) => ({
+    name: 'echo',
+    description: 'Echo the arguments',
+    inputSchema: { type: 'object', properties: {} },
+    output: TOOL_OUTPUTS.storyList,
+    handler: async (args) => args,
+    ...overrides
+});
+
+describe('ToolRegistry', () => {
+    it('refuses duplicate names, unknown categories and tools without a handler', () => {
+        const registry = new ToolRegistry();
+        registry.register(tool());
+
+        assert.throws(() => registry.register(tool()), DuplicateToolError);
+        assert.throws(() => registry.register(tool({ name: 'other', category: 'misc' })), /unknown category misc/);
+        assert.throws(() => registry.register(tool({ name: 'broken', handler: null })), /needs a name, an inputSchema, an output and a handler/);
+    });
+
+    it('publishes read-only and destructive hints as annotations', () => {
+        const registry = new ToolRegistry();
+        registry.registerAll([tool({ readOnly: true }), tool({ name: 'wipe', destructive: true })]);
+
+        assert.deepEqual(registry.getDefinitions().map(definition => definition.annotations), [
+            { readOnlyHint: true, destructiveHint: false },
+            { readOnlyHint: false, destructiveHint: true }
+        ]);
+        assert.equal(registry.getCatalog()[0].category, 'core');
+    });
+
+    it('requires confirm: true before running a destructive tool', async () => {
+        const registry = new ToolRegistry();
+        registry.register(tool({ name: 'wipe', destructive: true }));
+
+        await assert.rejects(registry.execute('wipe', {}, null), /Call it again with confirm: true/);
+        assert.deepEqual(await registry.execute('wipe', { confirm: true }, null), { confirm: true });
+    });
+
+    it('reports the first stage up front and later stages as the handler advances', async () => {
+        const registry = new ToolRegistry();
+        registry.register(tool({
+            progress: ['Resolving...', args => `Saving ${args.name}...`],
+            handler: async (args, client, { advance }) => {
+                advance();
+                advance();
+                return 'done';
+            }
+        }));
+
+        const updates = [];
+        await registry.execute('echo', { name: 'story' }, null, { onProgress: update => updates.push(update) });
+
+        assert.deepEqual(updates, [
+            { message: 'Resolving...', progress: 0, total: 2 },
+            { message: 'Saving story...', progress: 1, total: 2 }
+        ]);
+    });
+});
+
+describe('MCPTools dispatch', () => {
+    const tools = new MCPTools();
+
+    it('coerces query-string arguments the way /mcp/execute receives them', () => {
+        const args = { project_id: '39SQ', persona_id: '39SQ-P-003', story_number: '12', confirm: 'true' };
+
+        assert.deepEqual(tools.validateToolInput('delete_user_story', args, { coerce: true }), {
+            project_id: '39SQ',
+            persona_id: '39SQ-P-003',
+            story_number: 12,
+            confirm: true,
+            verbosity: 'standard',
+            format: 'plain'
+        });
+        assert.throws(() => tools.validateToolInput('delete_user_story', { ...args, story_number: '12a' }, { coerce: true }), /story_number: must be integer/);
+    });
+
+    it('runs a tool through the registry and reports its progress', async () => {
+        const client = {
+            resolveStoryId: async () => 'story-b',
+            updateUserStory: async (projectId, personaId, storyId, fields) => ({ storyId, fields })
+        };
+        const messages = [];
+
+        const result = await tools.callTool(
+            'update_user_story',
+            { project_id: 'P1', persona_id: 'P1-P-001', story_number: '2', title: 'Log in' },
+            client,
+            { coerce: true, onProgress: ({ message }) => messages.push(message) }
+        );
+
+        assert.equal(result.storyId, 'story-b');
+        assert.equal(result.fields.title, 'Log in');
+        assert.deepEqual(messages, ['Resolving story...', 'Updating user story...']);
+    });
+
+    it('lists every tool in the dashboard catalog with a known category', () => {
+        const catalog = tools.getToolCatalog();
+        assert.equal(catalog.length, new Set(catalog.map(entry => entry.name)).size);
+        assert.ok(catalog.every(entry => ['core', 'name', 'authoring', 'legacy'].includes(entry.category)));
+    });
+});
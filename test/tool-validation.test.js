@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolInputValidator, ToolInputError } from '../lib/tool-validation.js';
+import { ToolRegistry } from '../lib/tool-registry.js';
+import { TOOL_OUTPUTS } from '../lib/tool-output.js';
+import { MCPTools } from '../lib/mcp-tools.js';
+
+const schema = {
+    type: 'object',
+    properties: {
+        story_number: { type: 'integer', minimum: 1 },
+        story_id: { type: 'string' },
+        status: { type: 'string', enum: ['draft', 'ready'] },
+        page_size: { type: 'integer', default: 20 }
+    },
+    required: ['status'],
+    oneOf: [{ required: ['story_number'] }, { required: ['story_id'] }]
+};
+
+describe('ToolInputValidator', () => {
+    const validator = new ToolInputValidator();
+    validator.compile('update_story', schema);
+
+    it('applies defaults to a copy and leaves the input alone', () => {
+        const input = { story_id: 'story-a', status: 'draft' };
+        assert.deepEqual(validator.validate('update_story', input), { story_id: 'story-a', status: 'draft', page_size: 20 });
+        assert.deepEqual(input, { story_id: 'story-a', status: 'draft' });
+    });
+
+    it('converts strings to the declared types only when asked', () => {
+        const input = { story_number: '3', status: 'ready' };
+        assert.equal(validator.validate('update_story', input, { coerce: true }).story_number, 3);
+        assert.throws(() => validator.validate('update_story', input), ToolInputError);
+    });
+
+    it('lists every offending field with an invalid-params code', () => {
+        let error;
+        try {
+            validator.validate('update_story', { story_number: 0, status: 'done' });
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.ok(error instanceof ToolInputError);
+        assert.equal(error.code, -32602);
+        assert.deepEqual(error.errors.map(({ field, message }) => [field, message]), [
+            ['story_number', 'must be >= 1'],
+            ['status', 'must be one of: draft, ready']
+        ]);
+        assert.equal(error.data.tool, 'update_story');
+    });
+
+    it('summarises a failed oneOf as the alternatives to choose from', () => {
+        assert.throws(() => validator.validate('update_story', { status: 'draft' }), {
+            message: 'Invalid arguments for update_story: story_number | story_id: provide one of story_number or story_id'
+        });
+        assert.throws(() => validator.validate('update_story', { status: 'draft', story_number: 1, story_id: 'story-a' }), {
+            message: /provide only one of story_number or story_id/
+        });
+    });
+});
+
+describe('tool schemas', () => {
+    it('refuses a tool whose schema does not compile', () => {
+        const registry = new ToolRegistry();
+        assert.throws(() => registry.register({
+            name: 'broken',
+            inputSchema: { type: 'object', properties: { count: { type: 'number', minimum: 'one' } } },
+            output: TOOL_OUTPUTS.storyList,
+            handler: async () => null
+        }));
+    });
+
+    it('rejects story tools addressed by both number and ID before calling the client', async () => {
+        const tools = new MCPTools();
+        const client = { resolveStoryId: async () => assert.fail('client should not be called') };
+
+        await assert.rejects(
+            tools.callTool('update_user_story', { project_id: 'P1', persona_id: 'P1-P-001', story_number: 2, story_id: 'story-b' }, client),
+            /provide only one of story_number or story_id/
+        );
+        await assert.rejects(
+            tools.callTool('list_user_stories', { project_id: 'P1', persona_id: 'P1-P-001', cursor: 'not a cursor!' }, client),
+            /cursor: must match pattern/
+        );
+    });
+});